@@ -1,32 +1,45 @@
 #!/usr/bin/env -S node --loader tsx
-import { Effect, Chunk } from "effect";
-import * as Stream from "effect/Stream";
-import { NodeRuntime, NodeFileSystem } from "@effect/platform-node";
-import { FileSystem } from "@effect/platform";
-import * as HG from "../src/memory/Hypergraph.js";
-import { checkCorrectness, typeOf } from "../src/hg/ops.js";
-import { hedgeFromHypergraphString } from "../src/parser/adapter.js";
-import { prettyPrint } from "../src/hg/pretty.js";
-import { atom, hedge } from "../src/hg/model.js";
+import { FileSystem } from "@effect/platform"
+import { NodeFileSystem, NodeRuntime } from "@effect/platform-node"
+import { Chunk, Effect, HashMap, HashSet, Option } from "effect"
+import * as Stream from "effect/Stream"
+import { partsOf } from "../src/hg/atom.js"
+import { atom, hedge } from "../src/hg/model.js"
+import type { Hedge } from "../src/hg/model.js"
+import { atoms, connector, correctnessDiagnostics, subedges, typeOf } from "../src/hg/ops.js"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { prettyPrint } from "../src/hg/pretty.js"
+import { toStr } from "../src/hg/print.js"
+import * as HG from "../src/memory/Hypergraph.js"
+import * as Snapshot from "../src/memory/Snapshot.js"
+import { hedgeFromHypergraphString } from "../src/parser/adapter.js"
+import { match } from "../src/patterns/matcher.js"
 
 // Load CJS parser via dynamic import to keep tsx happy
 // eslint-disable-next-line @typescript-eslint/no-var-requires
 const { ProductionHypergraphParser } = await import(
   "../production_hypergraph_parser.cjs"
-);
+)
 
-const readFileEffect = (filePath: string) =>
-  Effect.gen(function* () {
-    const fs = yield* FileSystem.FileSystem;
-    return yield* fs.readFileString(filePath);
-  });
+// A text file, or every .txt file of a directory (e.g. the test/data corpora)
+const readCorpusEffect = (path: string) =>
+  Effect.gen(function*() {
+    const fs = yield* FileSystem.FileSystem
+    const info = yield* fs.stat(path)
+    if (info.type !== "Directory") return yield* fs.readFileString(path)
+    const files = (yield* fs.readDirectory(path))
+      .filter((f) => f.endsWith(".txt"))
+      .sort()
+    const texts = yield* Effect.forEach(files, (f) => fs.readFileString(`${path}/${f}`))
+    return texts.join("\n\n")
+  })
 
 const toSentences = (text: string) =>
-  Effect.gen(function* () {
-    const nlp = yield* Effect.promise(() => import("compromise"));
-    const doc = nlp.default(text);
-    return doc.sentences().out("array") as string[];
-  });
+  Effect.gen(function*() {
+    const nlp = yield* Effect.promise(() => import("compromise"))
+    const doc = nlp.default(text)
+    return doc.sentences().out("array") as Array<string>
+  })
 
 const parseSentenceEffect = (parser: any, s: string) =>
   Effect.map(
@@ -34,44 +47,71 @@ const parseSentenceEffect = (parser: any, s: string) =>
       () => parser.parse(s) as Promise<{ hypergraphString: string }>
     ),
     (res) => hedgeFromHypergraphString(res.hypergraphString)
-  );
+  )
 
 const validateEdge = (h: any): boolean => {
-  if (!h) return false;
-  const text = JSON.stringify(h);
-  if (text.includes("/unknown") || text.includes("//")) return false;
-  try {
-    typeOf(h as any);
-  } catch (_) {
-    return false;
-  }
-  try {
-    const errs = checkCorrectness(h as any);
-    if (errs.length > 0) return false;
-  } catch (_) {
-    return false;
-  }
-  return true;
-};
+  if (!h) return false
+  const text = JSON.stringify(h)
+  if (text.includes("/unknown") || text.includes("//")) return false
+  // malformed connectors (where typeOf would throw) are reported as errors too
+  return correctnessDiagnostics(h as any).every((d) => d.severity !== "error")
+}
 
 const bench = <A, E, R>(label: string, eff: Effect.Effect<A, E, R>) =>
-  Effect.gen(function* () {
-    const start = Date.now();
-    const result = yield* eff;
-    const ms = Date.now() - start;
-    console.log(`${label}: ${ms} ms`);
-    return result;
-  });
+  Effect.gen(function*() {
+    const start = Date.now()
+    const result = yield* eff
+    const ms = Date.now() - start
+    console.log(`${label}: ${ms} ms`)
+    return result
+  })
+
+// Heap in use after a full collection when node runs with --expose-gc
+const heapUsed = () => {
+  ;(globalThis as { gc?: () => void }).gc?.()
+  return process.memoryUsage().heapUsed
+}
+
+const mb = (bytes: number) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+
+// The main indexes keyed by edge strings instead of interned ids (the layout
+// before interning), to compare the memory of both
+const stringKeyIndexes = (edges: ReadonlyArray<Hedge>) => {
+  type Index = HashMap.HashMap<string, HashSet.HashSet<string>>
+  const add = (index: Index, key: string, edge: string): Index =>
+    HashMap.set(
+      index,
+      key,
+      HashSet.add(HashMap.get(index, key).pipe(Option.getOrElse(() => HashSet.empty<string>())), edge)
+    )
+  let byKey = HashMap.beginMutation(HashMap.empty<string, Hedge>())
+  let byConnector: Index = HashMap.beginMutation(HashMap.empty())
+  let byType: Index = HashMap.beginMutation(HashMap.empty())
+  let byRoot: Index = HashMap.beginMutation(HashMap.empty())
+  let byDeepSubedge: Index = HashMap.beginMutation(HashMap.empty())
+  for (const e of edges) {
+    const key = toStr(e)
+    if (HashMap.has(byKey, key)) continue
+    byKey = HashMap.set(byKey, key, e)
+    byConnector = add(byConnector, toStr(connector(e)), key)
+    byType = add(byType, typeOf(e), key)
+    for (const a of atoms(e)) byRoot = add(byRoot, partsOf(a).root, key)
+    for (const sub of subedges(e).slice(1)) byDeepSubedge = add(byDeepSubedge, toStr(sub), key)
+  }
+  return [byKey, byConnector, byType, byRoot, byDeepSubedge].map((m) =>
+    HashMap.endMutation(m as HashMap.HashMap<string, unknown>)
+  )
+}
 
 const program = (filePath: string, maxSentences: number, concurrency: number) =>
-  Effect.gen(function* () {
+  Effect.gen(function*() {
     // Load file
     const raw = yield* bench(
       "load-file",
-      readFileEffect(filePath).pipe(Effect.provide(NodeFileSystem.layer))
-    );
-    const sentencesAll = yield* bench("split-sentences", toSentences(raw));
-    const sentences = sentencesAll.slice(0, maxSentences);
+      readCorpusEffect(filePath).pipe(Effect.provide(NodeFileSystem.layer))
+    )
+    const sentencesAll = yield* bench("split-sentences", toSentences(raw))
+    const sentences = sentencesAll.slice(0, maxSentences)
 
     // Init parser
     const parser = new ProductionHypergraphParser({
@@ -79,88 +119,138 @@ const program = (filePath: string, maxSentences: number, concurrency: number) =>
       enableEntityPreprocessing: true,
       enablePunctuationHandling: true,
       bm25: {
-        cacheVectors: true,
-      },
-    });
+        cacheVectors: true
+      }
+    })
     yield* bench(
       "parser-initialize",
       Effect.promise(() => parser.initialize())
-    );
+    )
 
     // Parse concurrently
     const edges = yield* bench(
       `parse-sentences x${sentences.length} (conc=${concurrency})`,
       Effect.forEach(sentences, (s) => parseSentenceEffect(parser, s), {
-        concurrency,
+        concurrency
       })
-    );
+    )
 
-    // Build hypergraph
-    let hg = yield* bench(
+    // Build hypergraph (one insert per edge, then one bulk insert)
+    const valid = edges.filter(validateEdge) as Array<Hedge>
+    yield* bench(
       "index-build",
       Effect.sync(() => {
-        let acc = HG.make();
-        for (const h of edges) if (validateEdge(h)) acc = HG.insert(acc, h!);
-        return acc;
+        let acc = HG.make()
+        for (const h of valid) acc = HG.insert(acc, h)
+        return acc
       })
-    );
+    )
+    const heapBefore = heapUsed()
+    const hg = yield* bench(
+      "index-build (insertMany)",
+      Effect.sync(() => HG.insertMany(HG.make(), valid))
+    )
+    console.log(`index memory: ${mb(heapUsed() - heapBefore)}`)
+    const stringHeapBefore = heapUsed()
+    const stringKeyed = yield* bench(
+      "index-build (string keys)",
+      Effect.sync(() => stringKeyIndexes(valid))
+    )
+    console.log(`string-key index memory: ${mb(heapUsed() - stringHeapBefore)} (${stringKeyed.length} maps)`)
 
-    console.log(`hypergraph edges: ${HG.size(hg)}`);
+    // Loading a snapshot (decoded edges sharing atoms, one bulk insert) against
+    // parsing and inserting the edge strings one at a time
+    const snapshot = Snapshot.encode(hg)
+    console.log(`snapshot size: ${mb(snapshot.length)}`)
+    yield* bench("snapshot-decode", Snapshot.decode(snapshot))
+    const lines = HG.values(hg).map((e) => toStr(e))
+    yield* bench(
+      "string-reinsert",
+      Effect.sync(() => {
+        let acc = HG.make()
+        for (const line of lines) acc = HG.insert(acc, hedgeFromString(line)!)
+        return acc
+      })
+    )
+
+    console.log(`hypergraph edges: ${HG.size(hg)}`)
+    console.log(
+      `interned terms: ${HashMap.size(hg.ids)}, shared atoms: ${
+        HashMap.size(
+          hg.atoms
+        )
+      }`
+    )
 
     // Query bench
-    const patterns: ReadonlyArray<readonly [string, ReturnType<typeof hedge>]> =
+    const patterns: ReadonlyArray<readonly [string, ReturnType<typeof hedge>]> = [
+      [
+        "any head with mary/C as 3rd arg",
+        hedge([atom("*"), atom("*"), atom("mary/C")] as any)
+      ],
       [
-        [
-          "any head with mary/C as 3rd arg",
-          hedge([atom("*"), atom("*"), atom("mary/C")] as any),
-        ],
-        [
-          "and/J with two args",
-          hedge([atom("and/J"), atom("*"), atom("*")] as any),
-        ],
-        [
-          ":/J/. with nested so/J",
-          hedge([
-            atom(":/J/."),
-            hedge([atom("so/J"), atom("*")] as any) as any,
-            atom("*"),
-          ] as any),
-        ],
-        [
-          "unordered hear/Pd.{os} pattern",
-          hedge([
-            atom("+/B/."),
-            atom("hear/Pd.{os}"),
-            atom("alice/C"),
-            atom("bob/C"),
-          ] as any),
-        ],
-      ];
+        "and/J with two args",
+        hedge([atom("and/J"), atom("*"), atom("*")] as any)
+      ],
+      [
+        ":/J/. with nested so/J",
+        hedge([
+          atom(":/J/."),
+          hedge([atom("so/J"), atom("*")] as any) as any,
+          atom("*")
+        ] as any)
+      ],
+      [
+        "unordered hear/Pd.{os} pattern",
+        hedge([
+          atom("+/B/."),
+          atom("hear/Pd.{os}"),
+          atom("alice/C"),
+          atom("bob/C")
+        ] as any)
+      ]
+    ]
 
+    // Indexed queries against a full scan, repeated to get stable timings
+    const repeat = <A>(f: () => A) =>
+      Effect.sync(() => {
+        let out = f()
+        for (let i = 1; i < queryRuns; i++) out = f()
+        return out
+      })
     for (const [label, pat] of patterns) {
       const res = yield* bench(
-        `query: ${label}`,
-        Effect.succeed(HG.findByPattern(hg, pat))
-      );
-      console.log(`  matches: ${Chunk.size(res)}`);
+        `query x${queryRuns}: ${label}`,
+        repeat(() => HG.findByPattern(hg, pat))
+      )
+      const scanned = yield* bench(
+        `scan x${queryRuns}: ${label}`,
+        repeat(() => Chunk.filter(HG.all(hg), (e) => match(e, pat)))
+      )
+      console.log(
+        `  matches: ${Chunk.size(res)} (scan: ${Chunk.size(scanned)})`
+      )
     }
 
     // Stream sample
     const s = HG.streamByConnector(hg, "+/B/.").pipe(
       Stream.take(3),
       Stream.map((e) => prettyPrint(e, { width: 60, indent: 2 }))
-    );
-    console.log("sample stream (connector +/B/.):");
-    const collected = yield* Stream.runCollect(s);
-    for (const it of collected) console.log(it);
-  });
+    )
+    console.log("sample stream (connector +/B/.):")
+    const collected = yield* Stream.runCollect(s)
+    for (const it of collected) console.log(it)
+  })
 
-const filePath = process.argv[2] ?? "data/texts/alice.txt";
-const maxSentences = Number(process.argv[3] ?? 200);
-const concurrency = Number(process.argv[4] ?? 8);
+// usage: performance.ts [file or directory] [max sentences] [concurrency]
+// [query runs]; run node with --expose-gc for stable memory numbers
+const filePath = process.argv[2] ?? "test/data"
+const maxSentences = Number(process.argv[3] ?? 200)
+const concurrency = Number(process.argv[4] ?? 8)
+const queryRuns = Number(process.argv[5] ?? 20)
 
 NodeRuntime.runMain(
   program(filePath, maxSentences, concurrency).pipe(
     Effect.provide(NodeFileSystem.layer)
   )
-);
+)
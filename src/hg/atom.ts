@@ -0,0 +1,177 @@
+import { Data, Schema as S } from "effect"
+import { str2atom } from "./encoding.js"
+import { atom } from "./model.js"
+import type { Atom } from "./model.js"
+
+// Parsed view of an atom's text, e.g. "says/Pd.{so}/en/x" is
+// root "says", main type "P", subtype "d", argroles "so" (unordered),
+// namespace "en" and extra parts ["x"]. Missing parts are empty strings.
+export interface AtomParts {
+  readonly root: string
+  readonly mainType: string
+  readonly subtype: string
+  readonly argroles: string
+  readonly unordered: boolean
+  readonly namespace: string
+  readonly extra: ReadonlyArray<string>
+}
+
+export const AtomPartsSchema = S.Data(
+  S.Struct({
+    root: S.String,
+    mainType: S.String,
+    subtype: S.String,
+    argroles: S.String,
+    unordered: S.Boolean,
+    namespace: S.String,
+    extra: S.Array(S.String)
+  })
+)
+
+export const makeAtomParts = (
+  fields: Partial<AtomParts> & { readonly root: string }
+): AtomParts =>
+  Data.struct<AtomParts>({
+    root: fields.root,
+    mainType: fields.mainType ?? "",
+    subtype: fields.subtype ?? "",
+    argroles: fields.argroles ?? "",
+    unordered: fields.unordered ?? false,
+    namespace: fields.namespace ?? "",
+    extra: fields.extra ?? []
+  })
+
+export const parseAtomText = (text: string): AtomParts => {
+  const [root = "", role, namespace = "", ...extra] = text.split("/")
+  if (role === undefined) return makeAtomParts({ root })
+  const [type = "", roles = ""] = role.split(".")
+  const unordered = roles.startsWith("{") && roles.endsWith("}")
+  return makeAtomParts({
+    root,
+    mainType: type.slice(0, 1),
+    subtype: type.slice(1),
+    argroles: unordered ? roles.slice(1, -1) : roles,
+    unordered,
+    namespace,
+    extra
+  })
+}
+
+// Role part as written in atom text, e.g. "Pd.{so}"
+export const roleText = (p: AtomParts): string => {
+  const type = p.mainType + p.subtype
+  if (p.argroles.length === 0 && !p.unordered) return type
+  return `${type}.${p.unordered ? `{${p.argroles}}` : p.argroles}`
+}
+
+export const atomPartsText = (p: AtomParts): string => {
+  const role = roleText(p)
+  const tail = p.namespace.length > 0 || p.extra.length > 0
+  const head = role.length > 0 || tail ? [p.root, role] : [p.root]
+  return (tail ? head.concat(p.namespace, p.extra) : head).join("/")
+}
+
+// Atom text <-> parsed parts; lossless for well-formed atoms
+export const AtomTextSchema = S.transform(S.String, AtomPartsSchema, {
+  decode: (text) => parseAtomText(text),
+  encode: (p) => atomPartsText(p),
+  strict: false
+})
+
+// Parsed parts are memoized per atom value so index maintenance, pattern
+// matching and ops can query them repeatedly without re-splitting text
+const partsCache = new WeakMap<Atom, AtomParts>()
+
+export const partsOf = (a: Atom): AtomParts => {
+  const cached = partsCache.get(a)
+  if (cached) return cached
+  const parsed = parseAtomText(a.text)
+  partsCache.set(a, parsed)
+  return parsed
+}
+
+export const atomFromParts = (p: AtomParts, parens = false): Atom => {
+  const a = atom(atomPartsText(p), parens)
+  partsCache.set(a, p)
+  return a
+}
+
+// Pattern text with the characters of every {...} block sorted
+export const normalizeUnorderedBracesText = (text: string): string => {
+  let result = ""
+  let i = 0
+  while (i < text.length) {
+    const ch = text[i]
+    if (ch === "{") {
+      const end = text.indexOf("}", i + 1)
+      if (end === -1) return result + text.slice(i) // malformed, best-effort
+      const inside = text.slice(i + 1, end)
+      const sorted = inside.split("").sort().join("")
+      result += `{${sorted}}`
+      i = end + 1
+    } else {
+      result += ch
+      i++
+    }
+  }
+  return result
+}
+
+const sortedRoles = (p: AtomParts): string => p.unordered ? p.argroles.split("").sort().join("") : p.argroles
+
+// Whether two parsed atoms are the same atom, ignoring the order of
+// unordered argroles ("Pd.{so}" and "Pd.{os}")
+export const equivalentParts = (a: AtomParts, b: AtomParts): boolean =>
+  (a.root === b.root ||
+    (a.root.includes("{") && normalizeUnorderedBracesText(a.root) === normalizeUnorderedBracesText(b.root))) &&
+  a.mainType === b.mainType &&
+  a.subtype === b.subtype &&
+  a.unordered === b.unordered &&
+  sortedRoles(a) === sortedRoles(b) &&
+  a.namespace === b.namespace &&
+  a.extra.length === b.extra.length &&
+  a.extra.every((part, i) => part === b.extra[i])
+
+// Graphbrain type of the parts; root-only atoms are conjunctions ("J")
+export const partsType = (p: AtomParts): string => p.mainType.length > 0 ? p.mainType + p.subtype : "J"
+
+// Argroles as written in the role part, braces included when unordered
+export const partsArgroles = (p: AtomParts): string => p.unordered ? `{${p.argroles}}` : p.argroles
+
+// Graphbrain build_atom: encodes the text as root and appends the non-empty parts
+export const buildAtom = (
+  text: string,
+  ...parts: ReadonlyArray<string>
+): Atom => {
+  const tail = parts.filter((part) => part.length > 0).join("/")
+  const root = str2atom(text)
+  return atom(tail.length > 0 ? `${root}/${tail}` : root)
+}
+
+export interface SimplifyOptions {
+  readonly subtypes?: boolean // keep subtypes (default: false)
+  readonly argroles?: boolean // keep argroles of B/P atoms (default: false)
+  readonly namespaces?: boolean // keep namespace and extra parts (default: true)
+}
+
+// Graphbrain Atom.simplify over parsed parts
+export const simplifyParts = (
+  p: AtomParts,
+  options: SimplifyOptions = {}
+): AtomParts => {
+  if (p.mainType.length === 0 && p.namespace.length === 0) return p
+  const keepRoles = options.argroles === true && (p.mainType === "B" || p.mainType === "P")
+  const keepNamespaces = options.namespaces !== false
+  return makeAtomParts({
+    root: p.root,
+    mainType: p.mainType,
+    subtype: options.subtypes === true ? p.subtype : "",
+    argroles: keepRoles ? p.argroles : "",
+    unordered: keepRoles && p.unordered,
+    namespace: keepNamespaces ? p.namespace : "",
+    extra: keepNamespaces ? p.extra : []
+  })
+}
+
+export const simplifyAtom = (a: Atom, options: SimplifyOptions = {}): Atom =>
+  atomFromParts(simplifyParts(partsOf(a), options), a.parens === true)
@@ -0,0 +1,360 @@
+import * as Doc from "@effect/printer/Doc"
+import { Data } from "effect"
+import { hedge, isAtom, isHedge } from "./model.js"
+import type { Atom, Hedge } from "./model.js"
+import { pathsOf } from "./path.js"
+import type { Path } from "./path.js"
+import { docOf, parensHeadArgs, renderPretty } from "./pretty.js"
+import type { PrettyOptions } from "./pretty.js"
+import { toStr } from "./print.js"
+
+// Edit script entries; old paths address the old edge, new paths the new one
+export type EdgeEdit = Data.TaggedEnum<{
+  Relabel: {
+    readonly oldPath: Path
+    readonly newPath: Path
+    readonly from: Atom
+    readonly to: Atom
+  }
+  Insert: { readonly newPath: Path; readonly edge: Atom | Hedge }
+  Delete: { readonly oldPath: Path; readonly edge: Atom | Hedge }
+  // the same subedge deleted at one place and inserted at another
+  Move: {
+    readonly oldPath: Path
+    readonly newPath: Path
+    readonly edge: Atom | Hedge
+  }
+  // `edge` enclosed in the new `wrapper`, which is inserted at `wrapperPath`
+  Wrap: {
+    readonly oldPath: Path
+    readonly newPath: Path
+    readonly edge: Atom | Hedge
+    readonly wrapperPath: Path
+    readonly wrapper: Hedge
+  }
+  // the old `wrapper` at `wrapperPath` deleted and replaced by its subedge `edge`
+  Unwrap: {
+    readonly oldPath: Path
+    readonly newPath: Path
+    readonly edge: Atom | Hedge
+    readonly wrapperPath: Path
+    readonly wrapper: Hedge
+  }
+}>
+
+export const EdgeEdit = Data.taggedEnum<EdgeEdit>()
+
+// ===== Alignment =====
+// Items of two edges are aligned level by level with an edit distance where
+// relabeling an atom, inserting or deleting a subedge cost 1 each and aligned
+// subedges cost their own distance.
+
+type Aligned =
+  | { readonly tag: "same"; readonly edge: Atom | Hedge }
+  | { readonly tag: "relabel"; readonly from: Atom; readonly to: Atom }
+  | { readonly tag: "insert"; readonly edge: Atom | Hedge }
+  | { readonly tag: "delete"; readonly edge: Atom | Hedge }
+  | {
+    readonly tag: "replace"
+    readonly from: Atom | Hedge
+    readonly to: Atom | Hedge
+  }
+  | { readonly tag: "nested"; readonly items: ReadonlyArray<Aligned> }
+
+interface Alignment {
+  readonly cost: number
+  readonly node: Aligned
+}
+
+const align = (
+  a: Atom | Hedge,
+  b: Atom | Hedge,
+  memo: Map<string, Alignment>
+): Alignment => {
+  const sa = toStr(a)
+  const sb = toStr(b)
+  if (sa === sb) return { cost: 0, node: { tag: "same", edge: b } }
+  const memoKey = `${sa}\u0000${sb}`
+  const cached = memo.get(memoKey)
+  if (cached) return cached
+  let result: Alignment
+  if (isAtom(a) && isAtom(b)) {
+    result = { cost: 1, node: { tag: "relabel", from: a, to: b } }
+  } else if (isHedge(a) && isHedge(b)) {
+    result = alignItems(a.items, b.items, memo)
+  } else {
+    result = { cost: 2, node: { tag: "replace", from: a, to: b } }
+  }
+  memo.set(memoKey, result)
+  return result
+}
+
+const alignItems = (
+  as: ReadonlyArray<Atom | Hedge>,
+  bs: ReadonlyArray<Atom | Hedge>,
+  memo: Map<string, Alignment>
+): Alignment => {
+  const n = as.length
+  const m = bs.length
+  const cost: Array<Array<number>> = []
+  for (let i = 0; i <= n; i++) {
+    cost.push(new Array<number>(m + 1).fill(0))
+    for (let j = 0; j <= m; j++) {
+      if (i === 0) cost[i][j] = j
+      else if (j === 0) cost[i][j] = i
+      else {
+        cost[i][j] = Math.min(
+          cost[i - 1][j] + 1,
+          cost[i][j - 1] + 1,
+          cost[i - 1][j - 1] + align(as[i - 1], bs[j - 1], memo).cost
+        )
+      }
+    }
+  }
+  // backtrack, preferring aligned pairs
+  const items: Array<Aligned> = []
+  let i = n
+  let j = m
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0) {
+      const sub = align(as[i - 1], bs[j - 1], memo)
+      if (cost[i][j] === cost[i - 1][j - 1] + sub.cost) {
+        items.push(sub.node)
+        i--
+        j--
+        continue
+      }
+    }
+    if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      items.push({ tag: "delete", edge: as[i - 1] })
+      i--
+    } else {
+      items.push({ tag: "insert", edge: bs[j - 1] })
+      j--
+    }
+  }
+  items.reverse()
+  return { cost: cost[n][m], node: { tag: "nested", items } }
+}
+
+// ===== Edit script =====
+
+const collectEdits = (
+  node: Aligned,
+  oldPath: Path,
+  newPath: Path,
+  out: Array<EdgeEdit>
+): void => {
+  switch (node.tag) {
+    case "same":
+      return
+    case "relabel":
+      out.push(EdgeEdit.Relabel({ oldPath, newPath, ...node }))
+      return
+    case "insert":
+      out.push(EdgeEdit.Insert({ newPath, edge: node.edge }))
+      return
+    case "delete":
+      out.push(EdgeEdit.Delete({ oldPath, edge: node.edge }))
+      return
+    case "replace":
+      out.push(EdgeEdit.Delete({ oldPath, edge: node.from }))
+      out.push(EdgeEdit.Insert({ newPath, edge: node.to }))
+      return
+    case "nested": {
+      let oi = 0
+      let ni = 0
+      for (const child of node.items) {
+        collectEdits(child, [...oldPath, oi], [...newPath, ni], out)
+        if (child.tag !== "insert") oi++
+        if (child.tag !== "delete") ni++
+      }
+    }
+  }
+}
+
+const findWithin = (
+  container: Atom | Hedge,
+  needle: Atom | Hedge
+): Path | undefined => {
+  const key = toStr(needle)
+  return pathsOf(container, (sub) => toStr(sub) === key)[0]
+}
+
+// The edit pairing a deletion with an insertion of the same subedge: a move
+// when both are equal, a wrap when the deleted edge appears inside the
+// insertion and an unwrap when the inserted edge appears inside the deletion
+const moveOf = (
+  del: Extract<EdgeEdit, { _tag: "Delete" }>,
+  ins: Extract<EdgeEdit, { _tag: "Insert" }>
+): EdgeEdit | undefined => {
+  const inner = findWithin(ins.edge, del.edge)
+  if (inner !== undefined) {
+    return inner.length === 0 || !isHedge(ins.edge)
+      ? EdgeEdit.Move({ oldPath: del.oldPath, newPath: ins.newPath, edge: del.edge })
+      : EdgeEdit.Wrap({
+        oldPath: del.oldPath,
+        newPath: [...ins.newPath, ...inner],
+        edge: del.edge,
+        wrapperPath: ins.newPath,
+        wrapper: ins.edge
+      })
+  }
+  const outer = findWithin(del.edge, ins.edge)
+  if (outer !== undefined && isHedge(del.edge)) {
+    return EdgeEdit.Unwrap({
+      oldPath: [...del.oldPath, ...outer],
+      newPath: ins.newPath,
+      edge: ins.edge,
+      wrapperPath: del.oldPath,
+      wrapper: del.edge
+    })
+  }
+  return undefined
+}
+
+// Replaces each paired deletion and insertion with a single move, wrap or
+// unwrap, placed where the deletion was
+const detectMoves = (
+  edits: ReadonlyArray<EdgeEdit>
+): ReadonlyArray<EdgeEdit> => {
+  const paired = new Set<number>()
+  const moves = new Map<number, EdgeEdit>()
+  edits.forEach((del, d) => {
+    if (del._tag !== "Delete") return
+    for (let i = 0; i < edits.length; i++) {
+      const ins = edits[i]
+      if (ins._tag !== "Insert" || paired.has(i)) continue
+      const move = moveOf(del, ins)
+      if (move !== undefined) {
+        moves.set(d, move)
+        paired.add(d)
+        paired.add(i)
+        return
+      }
+    }
+  })
+  return edits.flatMap((edit, i) => {
+    const move = moves.get(i)
+    if (move !== undefined) return [move]
+    return paired.has(i) ? [] : [edit]
+  })
+}
+
+// Minimal edit script (relabels, insertions, deletions, moves, wraps and
+// unwraps) turning `from` into `to`; empty when both edges are equal
+export const diff = (
+  from: Atom | Hedge,
+  to: Atom | Hedge
+): ReadonlyArray<EdgeEdit> => {
+  const { node } = align(from, to, new Map())
+  const edits: Array<EdgeEdit> = []
+  collectEdits(node, [], [], edits)
+  return detectMoves(edits)
+}
+
+// Applies an edit script from `diff(from, to)` to `from`, giving back `to`.
+// Old subedges that are not deleted keep their order and fill the positions
+// of each level not taken by an insertion.
+export const patch = (
+  from: Atom | Hedge,
+  edits: ReadonlyArray<EdgeEdit>
+): Atom | Hedge => {
+  const deleted = new Set<string>()
+  const inserted = new Map<string, Atom | Hedge>()
+  const relabeled = new Map<string, Atom>()
+  for (const edit of edits) {
+    switch (edit._tag) {
+      case "Relabel":
+        relabeled.set(String(edit.oldPath), edit.to)
+        break
+      case "Insert":
+        inserted.set(String(edit.newPath), edit.edge)
+        break
+      case "Delete":
+        deleted.add(String(edit.oldPath))
+        break
+      case "Move":
+        deleted.add(String(edit.oldPath))
+        inserted.set(String(edit.newPath), edit.edge)
+        break
+      case "Wrap":
+        deleted.add(String(edit.oldPath))
+        inserted.set(String(edit.wrapperPath), edit.wrapper)
+        break
+      case "Unwrap":
+        deleted.add(String(edit.wrapperPath))
+        inserted.set(String(edit.newPath), edit.edge)
+        break
+    }
+  }
+  const go = (e: Atom | Hedge, oldPath: Path, newPath: Path): Atom | Hedge => {
+    const relabel = relabeled.get(String(oldPath))
+    if (relabel !== undefined) return relabel
+    if (isAtom(e)) return e
+    const kept = e.items.flatMap((it, i) => deleted.has(String([...oldPath, i])) ? [] : [{ it, i }])
+    const items: Array<Atom | Hedge> = []
+    let k = 0
+    for (let ni = 0; k < kept.length || inserted.has(String([...newPath, ni])); ni++) {
+      const insert = inserted.get(String([...newPath, ni]))
+      if (insert !== undefined) {
+        items.push(insert)
+      } else {
+        items.push(go(kept[k].it, [...oldPath, kept[k].i], [...newPath, ni]))
+        k++
+      }
+    }
+    return hedge(items)
+  }
+  return inserted.get(String([])) ?? go(from, [], [])
+}
+
+// Number of edit operations in the minimal alignment
+export const diffDistance = (from: Atom | Hedge, to: Atom | Hedge): number => align(from, to, new Map()).cost
+
+// ===== Rendering =====
+// Changes are marked wdiff-style: [-removed-] and {+added+}
+
+const removed = (d: Doc.Doc<unknown>): Doc.Doc<unknown> => Doc.hcat([Doc.text("[-"), d, Doc.text("-]")])
+
+const added = (d: Doc.Doc<unknown>): Doc.Doc<unknown> => Doc.hcat([Doc.text("{+"), d, Doc.text("+}")])
+
+const docOfAligned = (node: Aligned, indent: number): Doc.Doc<unknown> => {
+  switch (node.tag) {
+    case "same":
+      return docOf(node.edge, indent)
+    case "relabel":
+      return Doc.hcat([
+        removed(Doc.text(toStr(node.from))),
+        added(Doc.text(toStr(node.to)))
+      ])
+    case "insert":
+      return added(docOf(node.edge, indent))
+    case "delete":
+      return removed(docOf(node.edge, indent))
+    case "replace":
+      return Doc.hcat([
+        removed(docOf(node.from, indent)),
+        added(docOf(node.to, indent))
+      ])
+    case "nested": {
+      const [head, ...args] = node.items.map((it) => docOfAligned(it, indent))
+      return head === undefined
+        ? Doc.text("()")
+        : parensHeadArgs(head, args, indent)
+    }
+  }
+}
+
+export const diffDoc = (
+  from: Atom | Hedge,
+  to: Atom | Hedge,
+  indent = 2
+): Doc.Doc<unknown> => docOfAligned(align(from, to, new Map()).node, indent)
+
+// Pretty-printed `to` edge with changes from `from` highlighted inline
+export const prettyDiff = (
+  from: Atom | Hedge,
+  to: Atom | Hedge,
+  options: PrettyOptions = {}
+): string => renderPretty(diffDoc(from, to, options.indent ?? 2), options)
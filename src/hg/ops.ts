@@ -1,5 +1,12 @@
-import { Atom, Hedge, atom, hedge, isAtom, isHedge } from "./model.js";
-import { toStr } from "./print.js";
+import { Option } from "effect"
+import { atomFromParts, makeAtomParts, partsArgroles, partsOf, partsType, simplifyAtom } from "./atom.js"
+import type { SimplifyOptions } from "./atom.js"
+import { atom2str } from "./encoding.js"
+import { atom, hedge, isAtom, isHedge } from "./model.js"
+import type { Atom, Hedge } from "./model.js"
+import { modifyAt } from "./path.js"
+import type { Path } from "./path.js"
+import { toStr } from "./print.js"
 
 // Order for roles when normalizing unordered argroles
 export const argroleOrder: Record<string, number> = {
@@ -14,150 +21,385 @@ export const argroleOrder: Record<string, number> = {
   j: 7,
   x: 8,
   r: 9,
-  "?": 10,
-};
+  "?": 10
+}
 
 // ===== Atom helpers =====
-export const atomParts = (a: Atom): ReadonlyArray<string> => a.text.split("/");
+export const atomParts = (a: Atom): ReadonlyArray<string> => a.text.split("/")
 
-export const atomRoot = (a: Atom): string => atomParts(a)[0] ?? "";
+export const atomRoot = (a: Atom): string => partsOf(a).root
 
 export const atomRole = (a: Atom): ReadonlyArray<string> => {
-  const parts = atomParts(a);
-  if (parts.length < 2) return ["J"];
-  return parts[1].split(".");
-};
+  const p = partsOf(a)
+  if (atomParts(a).length < 2) return ["J"]
+  const roles = partsArgroles(p)
+  const type = p.mainType + p.subtype
+  return roles.length > 0 ? [type, roles] : [type]
+}
 
-export const atomType = (a: Atom): string => atomRole(a)[0] ?? "J";
+export const atomType = (a: Atom): string => partsType(partsOf(a))
 
-export const atomMType = (a: Atom): string => atomType(a)[0] ?? "J";
+export const atomMType = (a: Atom): string => atomType(a)[0] ?? "J"
 
-export const atomArgroles = (a: Atom): string => {
-  const role = atomRole(a);
-  if (role.length < 2) return "";
-  return role[1];
-};
+export const atomArgroles = (a: Atom): string => partsArgroles(partsOf(a))
 
 export const replaceAtomArgroles = (a: Atom, newRoles: string): Atom => {
-  const parts = [...atomParts(a)];
-  if (parts.length < 2) return a;
-  const role = parts[1].split(".");
-  if (role.length < 2) role.push(newRoles);
-  else role[1] = newRoles;
-  parts[1] = role.join(".");
-  return atom(parts.join("/"), a.parens === true);
-};
+  if (atomParts(a).length < 2) return a
+  const unordered = newRoles.startsWith("{") && newRoles.endsWith("}")
+  const parts = {
+    ...partsOf(a),
+    argroles: unordered ? newRoles.slice(1, -1) : newRoles,
+    unordered
+  }
+  return atomFromParts(makeAtomParts(parts), a.parens === true)
+}
 
 export const insertAtomArgrole = (a: Atom, role: string, pos: number): Atom => {
-  const current = atomArgroles(a);
-  const inserted = current.slice(0, pos) + role + current.slice(pos);
-  return replaceAtomArgroles(a, inserted);
-};
+  const current = atomArgroles(a)
+  const inserted = current.slice(0, pos) + role + current.slice(pos)
+  return replaceAtomArgroles(a, inserted)
+}
 
 // ===== Hedge helpers =====
-export const connector = (h: Hedge): Atom | Hedge => h.items[0] as any;
+export const connector = (h: Hedge): Atom | Hedge => h.items[0] as any
 
-export const connectorType = (h: Hedge): string => typeOf(connector(h) as any);
+export const connectorType = (h: Hedge): string => typeOf(connector(h) as any)
 
-export const connectorMType = (h: Hedge): string =>
-  mtypeOf(connector(h) as any);
+export const connectorMType = (h: Hedge): string => mtypeOf(connector(h) as any)
 
 export const typeOf = (e: Atom | Hedge): string => {
   if (isHedge(e) && e.items.length === 1 && isAtom(e.items[0] as any)) {
-    return typeOf(e.items[0] as Atom);
+    return typeOf(e.items[0] as Atom)
   }
-  if (isAtom(e)) return atomType(e);
+  if (isAtom(e)) return atomType(e)
   // Hyperedge type per Graphbrain rules
-  const ctype = connectorType(e);
-  const cmain = ctype[0];
-  if (cmain === "P") return `R${ctype.slice(1)}`;
-  if (cmain === "M") return typeOf(e.items[1] as any);
-  if (cmain === "T") return `S${ctype.slice(1)}`;
-  if (cmain === "B") return `C${ctype.slice(1)}`;
-  if (cmain === "J") return mtypeOf(e.items[1] as any);
+  const ctype = connectorType(e)
+  const cmain = ctype[0]
+  if (cmain === "P") return `R${ctype.slice(1)}`
+  if (cmain === "M") return typeOf(e.items[1] as any)
+  if (cmain === "T") return `S${ctype.slice(1)}`
+  if (cmain === "B") return `C${ctype.slice(1)}`
+  if (cmain === "J") return mtypeOf(e.items[1] as any)
   throw new Error(
     `Malformed edge, type cannot be determined: ${JSON.stringify(e)}`
-  );
-};
+  )
+}
 
-export const mtypeOf = (e: Atom | Hedge): string => typeOf(e)[0];
+export const mtypeOf = (e: Atom | Hedge): string => typeOf(e)[0]
 
 export const argrolesOf = (e: Atom | Hedge): string => {
   if (isHedge(e) && e.items.length === 1 && isAtom(e.items[0] as any)) {
-    return argrolesOf(e.items[0] as Atom);
+    return argrolesOf(e.items[0] as Atom)
   }
-  if (isAtom(e)) return atomArgroles(e);
-  const mt = mtypeOf(e);
-  const cmt = connectorMType(e);
+  if (isAtom(e)) return atomArgroles(e)
+  const mt = mtypeOf(e)
+  const cmt = connectorMType(e)
   if ((mt === "C" || mt === "R") && (cmt === "B" || cmt === "P")) {
-    return argrolesOf(connector(e));
+    return argrolesOf(connector(e))
   }
-  if (mt !== "B" && mt !== "P") return "";
-  return argrolesOf(e.items[1] as any);
-};
-
-export const replaceArgroles = (e: Hedge, newRoles: string): Hedge => {
-  const mt = mtypeOf(e);
-  if (mt === "C" || mt === "R") {
-    const newConn = replaceAtomArgroles(connector(e) as any, newRoles);
-    return hedge([newConn, ...e.items.slice(1)]);
+  if (mt !== "B" && mt !== "P") return ""
+  return argrolesOf(e.items[1] as any)
+}
+
+// Path to the atom carrying the argroles of an edge: through the connector of
+// relations and concepts, through the predicate/builder of P and B edges
+export const argrolesAtomPath = (e: Atom | Hedge): Option.Option<Path> => {
+  if (isAtom(e)) return Option.some([])
+  const mt = mtypeOf(e)
+  const pos = mt === "C" || mt === "R" ? 0 : mt === "B" || mt === "P" ? 1 : -1
+  if (pos < 0 || pos >= e.items.length) return Option.none()
+  return Option.map(argrolesAtomPath(e.items[pos]), (p) => [pos, ...p])
+}
+
+const replaceArgrolesIn = (e: Atom | Hedge, newRoles: string): Atom | Hedge =>
+  Option.match(argrolesAtomPath(e), {
+    onNone: () => e,
+    onSome: (path) => modifyAt(e, path, (a) => isAtom(a) ? replaceAtomArgroles(a, newRoles) : a)
+  })
+
+export const replaceArgroles = (e: Hedge, newRoles: string): Hedge => replaceArgrolesIn(e, newRoles) as Hedge
+
+// Replaces the argroles of the subedge at `path`, e.g. fixing one nested
+// sub-predicate in a single call
+export const replaceArgrolesAt = (
+  e: Atom | Hedge,
+  path: Path,
+  newRoles: string
+): Atom | Hedge => modifyAt(e, path, (sub) => replaceArgrolesIn(sub, newRoles))
+
+const argroleRank = (role: string): number => argroleOrder[role] ?? Number.MAX_SAFE_INTEGER
+
+const sortArgroleLetters = (letters: string): string =>
+  letters
+    .split("")
+    .sort((a, b) => argroleRank(a) - argroleRank(b))
+    .join("")
+
+const normalizedAtom = (a: Atom): Atom => {
+  const mt = atomMType(a)
+  if (mt !== "B" && mt !== "P") return a
+  const p = partsOf(a)
+  if (p.argroles.length === 0) return a
+  const argroles = sortArgroleLetters(p.argroles)
+  if (argroles === p.argroles) return a
+  return atomFromParts(makeAtomParts({ ...p, argroles }), a.parens === true)
+}
+
+// Graphbrain normalized: arguments are reordered by the argroles of the
+// connector (following argroleOrder) and argrole letters are sorted the same
+// way, so equivalent edges get the same string key. Arguments sharing a role
+// under unordered argroles are additionally sorted by their string form.
+export const normalized = (e: Atom | Hedge): Atom | Hedge => {
+  if (isAtom(e)) return normalizedAtom(e)
+  const [conn, ...args] = e.items.map(normalized)
+  if (conn === undefined) return e
+  const first = e.items[0]
+  // only predicate and builder atoms carry argroles (Graphbrain semantics)
+  const ar = isAtom(first) && !"BP".includes(atomMType(first)) ? "" : argrolesOf(first)
+  const unordered = ar.startsWith("{") && ar.endsWith("}")
+  const letters = (unordered ? ar.slice(1, -1) : ar).replace(/,/g, "")
+  if (letters.length === 0) return hedge([conn, ...args])
+  const withRoles = args.slice(0, letters.length).map((arg, i) => ({
+    arg,
+    rank: argroleRank(letters[i]),
+    key: unordered ? toStr(arg) : ""
+  }))
+  withRoles.sort(
+    (a, b) => a.rank - b.rank || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+  )
+  return hedge([
+    conn,
+    ...withRoles.map(({ arg }) => arg),
+    ...args.slice(letters.length)
+  ])
+}
+
+// Graphbrain simplify: rewrites every atom, dropping subtypes, argroles and/or
+// namespaces according to the options
+export const simplify = (
+  e: Atom | Hedge,
+  options: SimplifyOptions = {}
+): Atom | Hedge =>
+  isAtom(e)
+    ? simplifyAtom(e, options)
+    : hedge(e.items.map((it) => simplify(it, options)))
+
+// ===== Correctness =====
+
+export type CorrectnessRule =
+  | "atom-syntax"
+  | "atom-type"
+  | "connector-type"
+  | "modifier-arity"
+  | "builder-arity"
+  | "trigger-arity"
+  | "conjunction-arity"
+  | "argument-type"
+  | "argrole-count"
+  | "argrole-letter"
+  | "argrole-type"
+
+export type Severity = "error" | "warning"
+
+export interface Diagnostic {
+  readonly rule: CorrectnessRule
+  // from the checked edge down to the offending subedge
+  readonly path: Path
+  readonly severity: Severity
+  readonly message: string
+}
+
+const ATOM_MTYPES = "CPMBTJ"
+const CONNECTOR_MTYPES = "PMBTJ"
+const PREDICATE_ARGROLES = "spacoitjxr?"
+const BUILDER_ARGROLES = "ma"
+
+// Types of arguments each connector main type accepts
+const ARGUMENT_MTYPES: Record<string, string> = {
+  B: "C",
+  T: "CR",
+  P: "CRS"
+}
+
+const diagnostic = (
+  rule: CorrectnessRule,
+  path: Path,
+  message: string,
+  severity: Severity = "error"
+): Diagnostic => ({ rule, path, severity, message })
+
+const connectorName = (cmt: string): string => cmt === "B" ? "builder" : cmt === "T" ? "trigger" : "predicate"
+
+// Main type, or undefined when it cannot be inferred (malformed edge)
+const safeMType = (e: Atom | Hedge): string | undefined => {
+  try {
+    return mtypeOf(e)
+  } catch {
+    return undefined
+  }
+}
+
+const atomDiagnostics = (a: Atom, path: Path): ReadonlyArray<Diagnostic> => {
+  const out: Array<Diagnostic> = []
+  const p = partsOf(a)
+  if (a.text.length === 0 || p.root.length === 0) {
+    out.push(diagnostic("atom-syntax", path, "atom has an empty root"))
+  }
+  if (/[\s()]/.test(a.text)) {
+    out.push(
+      diagnostic(
+        "atom-syntax",
+        path,
+        `atom ${a.text} contains whitespace or parentheses`
+      )
+    )
   }
-  if (mt === "B" || mt === "P") {
-    const first = e.items[0];
-    const second = replaceAtomArgroles(e.items[1] as any, newRoles);
-    return hedge([first, second, ...e.items.slice(2)]);
+  if (/[{}]/.test(p.argroles) || /[{}]/.test(p.subtype)) {
+    out.push(
+      diagnostic("atom-syntax", path, `atom ${a.text} has malformed argroles`)
+    )
+  }
+  const mt = atomMType(a)
+  if (!ATOM_MTYPES.includes(mt)) {
+    out.push(diagnostic("atom-type", path, `${mt} is not a valid atom type`))
   }
-  return e;
-};
+  if (p.argroles.length > 0 && mt !== "B" && mt !== "P") {
+    out.push(
+      diagnostic(
+        "argrole-type",
+        path,
+        `argroles are only meaningful on predicates and builders: ${a.text}`,
+        "warning"
+      )
+    )
+  }
+  return out
+}
 
-export const normalized = (e: Atom | Hedge): Atom | Hedge => {
-  if (isAtom(e)) return e;
-  const conn = connector(e) as Atom | Hedge;
-  const ar = argrolesOf(e);
-  // If unordered (wrapped in braces), sort roles using argroleOrder
-  // For now we preserve order (no-op) to match expected behavior
-  if (ar && ar.length > 0 && ar.startsWith("{") && ar.endsWith("}")) {
-    return e;
+const edgeDiagnostics = (e: Hedge, path: Path): ReadonlyArray<Diagnostic> => {
+  const out: Array<Diagnostic> = []
+  const args = e.items.slice(1)
+  const cmt = e.items.length > 0 ? safeMType(e.items[0]) : undefined
+  if (cmt === undefined || !CONNECTOR_MTYPES.includes(cmt)) {
+    out.push(
+      diagnostic(
+        "connector-type",
+        [...path, 0],
+        `connector has incorrect type: ${cmt ?? "unknown"}`
+      )
+    )
+    return out
   }
-  // Recurse
-  return hedge(
-    e.items.map((it) => (isAtom(it) ? it : (normalized(it) as Hedge)))
-  );
-};
-
-export const checkCorrectness = (e: Atom | Hedge): ReadonlyArray<string> => {
-  const errors: string[] = [];
-  if (isAtom(e)) return errors;
-  const mt = mtypeOf(e);
-  const cmt = connectorMType(e);
-  if (!"PMBTJ".includes(cmt))
-    errors.push(`connector has incorrect type: ${cmt}`);
-  if (cmt === "M" && e.items.length !== 2)
-    errors.push("modifiers can only have one argument");
-  if (cmt === "B" && e.items.length !== 3)
-    errors.push("builders can only have two arguments");
-  if (cmt === "T" && e.items.length !== 2)
-    errors.push("triggers can only have one arguments");
-  // Recurse
-  for (const child of e.items) {
-    if (isHedge(child)) errors.push(...checkCorrectness(child));
+  if (cmt === "M" && args.length !== 1) {
+    out.push(
+      diagnostic("modifier-arity", path, "modifiers can only have one argument")
+    )
+  }
+  if (cmt === "B" && args.length !== 2) {
+    out.push(
+      diagnostic("builder-arity", path, "builders can only have two arguments")
+    )
+  }
+  if (cmt === "T" && args.length !== 1) {
+    out.push(
+      diagnostic("trigger-arity", path, "triggers can only have one arguments")
+    )
+  }
+  if (cmt === "J" && args.length < 2) {
+    out.push(
+      diagnostic(
+        "conjunction-arity",
+        path,
+        "conjunctions must have at least two arguments"
+      )
+    )
+  }
+  const allowed = ARGUMENT_MTYPES[cmt]
+  if (allowed !== undefined) {
+    args.forEach((arg, i) => {
+      const at = safeMType(arg)
+      if (at !== undefined && !allowed.includes(at)) {
+        out.push(
+          diagnostic(
+            "argument-type",
+            [...path, i + 1],
+            `${connectorName(cmt)} argument ${
+              toStr(
+                arg
+              )
+            } has incorrect type: ${at}`
+          )
+        )
+      }
+    })
   }
-  return errors;
-};
+  if (cmt === "B" || cmt === "P") {
+    const ar = argrolesOf(e.items[0])
+    const letters = (ar.startsWith("{") ? ar.slice(1, -1) : ar).replace(
+      /,/g,
+      ""
+    )
+    if (letters.length > 0) {
+      if (letters.length !== args.length) {
+        out.push(
+          diagnostic(
+            "argrole-count",
+            path,
+            `${letters.length} argroles for ${args.length} arguments`
+          )
+        )
+      }
+      const valid = cmt === "B" ? BUILDER_ARGROLES : PREDICATE_ARGROLES
+      for (const r of letters) {
+        if (!valid.includes(r)) {
+          out.push(
+            diagnostic(
+              "argrole-letter",
+              [...path, 0],
+              `argrole ${r} is not valid for ${connectorName(cmt)}s`
+            )
+          )
+        }
+      }
+    }
+  }
+  return out
+}
+
+// Graphbrain check_correctness rule set, reported as structured diagnostics
+// for the edge and all of its subedges
+export const correctnessDiagnostics = (
+  e: Atom | Hedge,
+  path: Path = []
+): ReadonlyArray<Diagnostic> => {
+  if (isAtom(e)) return atomDiagnostics(e, path)
+  if (e.items.length === 1) return correctnessDiagnostics(e.items[0], path)
+  const out: Array<Diagnostic> = [...edgeDiagnostics(e, path)]
+  e.items.forEach((child, i) => {
+    for (const d of correctnessDiagnostics(child, [...path, i])) out.push(d)
+  })
+  return out
+}
+
+// Error messages only (see correctnessDiagnostics for structured output)
+export const checkCorrectness = (e: Atom | Hedge): ReadonlyArray<string> =>
+  correctnessDiagnostics(e)
+    .filter((d) => d.severity === "error")
+    .map((d) => d.message)
 
 // ===== Structural edits =====
 export const insertFirstArgument = (
   e: Atom | Hedge,
   argument: Atom | Hedge
 ): Hedge => {
-  if (isAtom(e)) return hedge([e, argument]);
-  return hedge([e.items[0], argument, ...e.items.slice(1)]);
-};
+  if (isAtom(e)) return hedge([e, argument])
+  return hedge([e.items[0], argument, ...e.items.slice(1)])
+}
 
 export const connect = (e: Hedge, args: ReadonlyArray<Atom | Hedge>): Hedge => {
-  if (!args || args.length === 0) return e;
-  return hedge([...e.items, ...args]);
-};
+  if (!args || args.length === 0) return e
+  return hedge([...e.items, ...args])
+}
 
 export const replaceAtom = (
   e: Atom | Hedge,
@@ -166,8 +408,8 @@ export const replaceAtom = (
   unique = false
 ): Atom | Hedge => {
   if (isAtom(e)) {
-    const equal = toStr(e) === toStr(oldAtom);
-    return equal ? newAtom : e;
+    const equal = toStr(e) === toStr(oldAtom)
+    return equal ? newAtom : e
   }
   return hedge(
     e.items.map((it) =>
@@ -175,8 +417,8 @@ export const replaceAtom = (
         ? (replaceAtom(it, oldAtom, newAtom, unique) as Atom)
         : (replaceAtom(it, oldAtom, newAtom, unique) as Hedge)
     )
-  );
-};
+  )
+}
 
 export const contains = (
   e: Atom | Hedge,
@@ -186,23 +428,25 @@ export const contains = (
   const norm = (x: Atom | Hedge): Atom | Hedge =>
     isHedge(x) && x.items.length === 1 && isAtom(x.items[0] as any)
       ? (x.items[0] as Atom)
-      : x;
-  if (toStr(norm(e)) === toStr(norm(needle))) return true;
-  if (isAtom(e)) return false;
+      : x
+  if (toStr(norm(e)) === toStr(norm(needle))) return true
+  if (isAtom(e)) return false
   for (const it of e.items) {
-    if (toStr(norm(it as any)) === toStr(norm(needle))) return true;
-    if (deep && contains(it as any, needle, true)) return true;
+    if (toStr(norm(it as any)) === toStr(norm(needle))) return true
+    if (deep && contains(it as any, needle, true)) return true
   }
-  return false;
-};
+  return false
+}
 
 export const subedges = (e: Atom | Hedge): ReadonlyArray<Atom | Hedge> => {
-  const acc: (Atom | Hedge)[] = [e];
+  const acc: Array<Atom | Hedge> = [e]
   if (isHedge(e)) {
-    for (const it of e.items) acc.push(...subedges(it as any));
+    for (const it of e.items) {
+      for (const sub of subedges(it as any)) acc.push(sub)
+    }
   }
-  return acc;
-};
+  return acc
+}
 
 export const sequence = (
   e: Hedge,
@@ -213,80 +457,267 @@ export const sequence = (
   if (flat) {
     return before
       ? hedge([...(isHedge(entity) ? entity.items : [entity]), ...e.items])
-      : hedge([...e.items, ...(isHedge(entity) ? entity.items : [entity])]);
+      : hedge([...e.items, ...(isHedge(entity) ? entity.items : [entity])])
   } else {
-    return before ? hedge([entity, e]) : hedge([e, entity]);
+    return before ? hedge([entity, e]) : hedge([e, entity])
   }
-};
+}
 
 export const edgesWithArgrole = (
   e: Hedge,
   role: string
 ): ReadonlyArray<Atom | Hedge> => {
-  const ar = argrolesOf(e);
-  if (!ar) return [];
-  const roles =
-    ar[0] === "{" ? ar.slice(1, -1).replace(/,/g, "") : ar.replace(/,/g, "");
-  const results: (Atom | Hedge)[] = [];
-  let idx = 0;
+  const ar = argrolesOf(e)
+  if (!ar) return []
+  const roles = ar[0] === "{" ? ar.slice(1, -1).replace(/,/g, "") : ar.replace(/,/g, "")
+  const results: Array<Atom | Hedge> = []
+  let idx = 0
   for (const r of roles) {
-    if (idx >= e.items.length - 1) break;
-    if (r === role) results.push(e.items[idx + 1]);
-    idx += 1;
+    if (idx >= e.items.length - 1) break
+    if (r === role) results.push(e.items[idx + 1])
+    idx += 1
+  }
+  return results
+}
+
+// ===== Argrole-addressed edits =====
+// Arguments are addressed by their position in the argroles string (0 is the
+// first argument after the connector); edits keep argroles and arguments in
+// sync, preserving the ordered/unordered marker.
+
+const argroleLetters = (
+  e: Hedge
+): { readonly letters: string; readonly unordered: boolean } => {
+  const ar = argrolesOf(e)
+  const unordered = ar.startsWith("{") && ar.endsWith("}")
+  return { letters: unordered ? ar.slice(1, -1) : ar, unordered }
+}
+
+const rebuildWithArgroles = (
+  conn: Atom | Hedge,
+  args: ReadonlyArray<Atom | Hedge>,
+  letters: string,
+  unordered: boolean
+): Hedge =>
+  hedge([
+    replaceArgrolesIn(conn, unordered ? `{${letters}}` : letters),
+    ...args
+  ])
+
+export const insertArgrole = (e: Hedge, role: string, pos: number): Hedge => {
+  const { letters, unordered } = argroleLetters(e)
+  const inserted = letters.slice(0, pos) + role + letters.slice(pos)
+  return rebuildWithArgroles(e.items[0], e.items.slice(1), inserted, unordered)
+}
+
+// Graphbrain insert_edge_with_argrole: inserts `argument` at position `pos`
+// together with its argrole (appends when `pos` is omitted)
+export const insertEdgeWithArgrole = (
+  e: Hedge,
+  argument: Atom | Hedge,
+  role: string,
+  pos?: number
+): Hedge => {
+  const { letters, unordered } = argroleLetters(e)
+  const at = pos ?? letters.length
+  const args = e.items.slice(1)
+  return rebuildWithArgroles(
+    e.items[0],
+    [...args.slice(0, at), argument, ...args.slice(at)],
+    letters.slice(0, at) + role + letters.slice(at),
+    unordered
+  )
+}
+
+export const removeArgumentAt = (e: Hedge, pos: number): Hedge => {
+  const { letters, unordered } = argroleLetters(e)
+  const args = e.items.slice(1)
+  if (pos < 0 || pos >= args.length) return e
+  return rebuildWithArgroles(
+    e.items[0],
+    [...args.slice(0, pos), ...args.slice(pos + 1)],
+    letters.slice(0, pos) + letters.slice(pos + 1),
+    unordered
+  )
+}
+
+export const removeEdgesWithArgrole = (e: Hedge, role: string): Hedge => {
+  const { letters, unordered } = argroleLetters(e)
+  const args = e.items.slice(1)
+  const keep = args.map((_, i) => letters[i] !== role)
+  return rebuildWithArgroles(
+    e.items[0],
+    args.filter((_, i) => keep[i]),
+    letters
+      .split("")
+      .filter((_, i) => keep[i] ?? true)
+      .join(""),
+    unordered
+  )
+}
+
+// Replaces the `nth` argument playing `role`; unchanged if there is none
+export const replaceEdgeWithArgrole = (
+  e: Hedge,
+  role: string,
+  argument: Atom | Hedge,
+  nth = 0
+): Hedge => {
+  const { letters } = argroleLetters(e)
+  let seen = 0
+  for (let i = 0; i < letters.length && i < e.items.length - 1; i++) {
+    if (letters[i] !== role) continue
+    if (seen++ === nth) {
+      const items = [...e.items]
+      items[i + 1] = argument
+      return hedge(items)
+    }
+  }
+  return e
+}
+
+// Rearranges arguments so that their argroles read `roles` (a permutation of
+// the current argroles); none if `roles` is not a permutation
+export const reorderArguments = (
+  e: Hedge,
+  roles: string
+): Option.Option<Hedge> => {
+  const { letters, unordered } = argroleLetters(e)
+  const target = roles.startsWith("{") ? roles.slice(1, -1) : roles
+  if (target.length !== letters.length) return Option.none()
+  const args = e.items.slice(1)
+  const used = new Set<number>()
+  const picked: Array<Atom | Hedge> = []
+  for (const r of target) {
+    let found = -1
+    for (let i = 0; i < letters.length; i++) {
+      if (letters[i] === r && !used.has(i)) {
+        found = i
+        break
+      }
+    }
+    if (found < 0 || found >= args.length) return Option.none()
+    used.add(found)
+    picked.push(args[found])
   }
-  return results;
-};
+  return Option.some(
+    rebuildWithArgroles(
+      e.items[0],
+      [...picked, ...args.slice(letters.length)],
+      target,
+      unordered
+    )
+  )
+}
 
 // ===== Additional structural utilities =====
 export const atoms = (e: Atom | Hedge): ReadonlyArray<Atom> => {
-  if (isAtom(e)) return [e];
-  const acc: Atom[] = [];
-  for (const item of e.items) acc.push(...atoms(item));
+  if (isAtom(e)) return [e]
+  const acc: Array<Atom> = []
+  for (const item of e.items) {
+    for (const a of atoms(item)) acc.push(a)
+  }
   // unique by text
-  const seen = new Set<string>();
-  const uniq: Atom[] = [];
+  const seen = new Set<string>()
+  const uniq: Array<Atom> = []
   for (const a of acc) {
-    const key = a.text + (a.parens ? "()" : "");
+    const key = a.text + (a.parens ? "()" : "")
     if (!seen.has(key)) {
-      seen.add(key);
-      uniq.push(a);
+      seen.add(key)
+      uniq.push(a)
     }
   }
-  return uniq;
-};
+  return uniq
+}
 
 export const allAtoms = (e: Atom | Hedge): ReadonlyArray<Atom> => {
-  if (isAtom(e)) return [e];
-  const acc: Atom[] = [];
-  for (const item of e.items) acc.push(...allAtoms(item));
-  return acc;
-};
+  if (isAtom(e)) return [e]
+  const acc: Array<Atom> = []
+  for (const item of e.items) {
+    for (const a of allAtoms(item)) acc.push(a)
+  }
+  return acc
+}
 
 export const sizeOf = (e: Atom | Hedge): number => {
-  if (isAtom(e)) return 1;
-  if (e.items.length === 1 && isAtom(e.items[0] as any)) return 1;
-  return e.items.reduce((sum, it) => sum + sizeOf(it), 0);
-};
+  if (isAtom(e)) return 1
+  if (e.items.length === 1 && isAtom(e.items[0] as any)) return 1
+  return e.items.reduce((sum, it) => sum + sizeOf(it), 0)
+}
 
 export const depthOf = (e: Atom | Hedge): number => {
-  if (isAtom(e)) return 0;
-  if (e.items.length === 1 && isAtom(e.items[0] as any)) return 0;
-  let max = 0;
+  if (isAtom(e)) return 0
+  if (e.items.length === 1 && isAtom(e.items[0] as any)) return 0
+  let max = 0
   for (const it of e.items) {
-    const d = depthOf(it);
-    if (d > max) max = d;
+    const d = depthOf(it)
+    if (d > max) max = d
   }
-  return max + 1;
-};
+  return max + 1
+}
 
 export const rootsOf = (e: Atom | Hedge): Atom | Hedge => {
   if (isAtom(e)) {
-    const root = atomRoot(e);
-    return atom(root, e.parens === true);
+    const root = atomRoot(e)
+    return atom(root, e.parens === true)
   }
   return hedge(
-    e.items.map((it) =>
-      isAtom(it) ? (rootsOf(it) as Atom) : (rootsOf(it) as Hedge)
-    )
-  );
-};
+    e.items.map((it) => isAtom(it) ? (rootsOf(it) as Atom) : (rootsOf(it) as Hedge))
+  )
+}
+
+// ===== Labels and concepts =====
+
+// Human-readable label: decoded atom roots, with the connector moved after the
+// first argument unless it is a "." (namespace-only) connector.
+export const label = (e: Atom | Hedge): string => {
+  if (isAtom(e)) return atom2str(atomRoot(e))
+  if (e.items.length === 1) return label(e.items[0])
+  const conn = connectorAtom(e)
+  const parts = Option.isSome(conn) ? atomParts(conn.value) : []
+  const items = e.items.length === 2
+    ? e.items
+    : parts[parts.length - 1] === "."
+    ? e.items.slice(1)
+    : [e.items[1], e.items[0], ...e.items.slice(2)]
+  return items.map(label).join(" ")
+}
+
+// Inner atom of a modifier structure, e.g. shoes/C in (red/M shoes/C)
+export const innerAtom = (e: Atom | Hedge): Atom => {
+  if (isAtom(e)) return e
+  if (e.items.length === 1) return innerAtom(e.items[0])
+  return innerAtom(e.items[1])
+}
+
+// Inner atom of the connector, e.g. like/P.so in
+// ((not/M like/P.so) john/C chess/C) but does/M, the connector itself, in
+// (does/M (not/M like/P.so) john/C chess/C); none for atoms
+export const connectorAtom = (e: Atom | Hedge): Option.Option<Atom> =>
+  isAtom(e) ? Option.none() : Option.some(innerAtom(e.items[0]))
+
+// Arguments with the main-concept role ("m") of a builder edge
+export const mainConcepts = (e: Atom | Hedge): ReadonlyArray<Atom | Hedge> => {
+  if (isAtom(e) || connectorMType(e) !== "B") return []
+  return edgesWithArgrole(e, "m")
+}
+
+export const replaceMainConcept = (
+  e: Atom | Hedge,
+  newMain: Atom | Hedge
+): Option.Option<Atom | Hedge> => {
+  if (mtypeOf(e) !== "C") return Option.none()
+  if (isAtom(e)) return Option.some(newMain)
+  const cmt = connectorMType(e)
+  if (cmt === "M") return Option.some(hedge([e.items[0], newMain]))
+  if (cmt === "B" && e.items.length === 3) {
+    const roles = argrolesOf(e.items[0])
+    if (roles === "ma") {
+      return Option.some(hedge([e.items[0], newMain, e.items[2]]))
+    }
+    if (roles === "am") {
+      return Option.some(hedge([e.items[0], e.items[1], newMain]))
+    }
+  }
+  return Option.none()
+}
@@ -1,72 +1,188 @@
-import { atom, hedge } from "./model.js";
-import type { Atom, Hedge } from "./model.js";
+import { Data, Either } from "effect"
+import { atom, hedge } from "./model.js"
+import type { Atom, Hedge } from "./model.js"
 
-const isDigit = (c: string) => c >= "0" && c <= "9";
+// Tagged parse error with position information (strict mode)
+export class ParseError extends Data.TaggedError("ParseError")<{
+  message: string
+  offset: number
+  expected: string
+  found: string
+  snippet: string
+}> {}
 
-const edgeStrHasOuterParens = (s: string): boolean =>
-  s.length >= 2 && s[0] === "(" && s[s.length - 1] === ")";
+const edgeStrHasOuterParens = (s: string): boolean => s.length >= 2 && s[0] === "(" && s[s.length - 1] === ")"
 
 export const splitEdgeStr = (edgeInner: string): ReadonlyArray<string> => {
-  let start = 0;
-  let depth = 0;
-  let active = false;
-  const tokens: string[] = [];
+  let start = 0
+  let depth = 0
+  let active = false
+  const tokens: string[] = []
   for (let i = 0; i < edgeInner.length; i++) {
-    const c = edgeInner[i];
+    const c = edgeInner[i]
     if (c === " ") {
       if (active && depth === 0) {
-        tokens.push(edgeInner.slice(start, i));
-        active = false;
+        tokens.push(edgeInner.slice(start, i))
+        active = false
       }
     } else if (c === "(") {
       if (depth === 0) {
-        active = true;
-        start = i;
+        active = true
+        start = i
       }
-      depth += 1;
+      depth += 1
     } else if (c === ")") {
-      depth -= 1;
+      depth -= 1
       if (depth === 0) {
-        tokens.push(edgeInner.slice(start, i + 1));
-        active = false;
+        tokens.push(edgeInner.slice(start, i + 1))
+        active = false
       } else if (depth < 0) {
-        return [];
+        return []
       }
     } else {
       if (!active) {
-        active = true;
-        start = i;
+        active = true
+        start = i
       }
     }
   }
   if (active) {
-    if (depth > 0) return [];
-    tokens.push(edgeInner.slice(start));
+    if (depth > 0) return []
+    tokens.push(edgeInner.slice(start))
   }
-  return tokens;
-};
+  return tokens
+}
 
 const _hedgeFromStringUnsafe = (source: string): Hedge | null => {
-  const s = source.trim().replace(/\n/g, " ");
-  let inner = s;
-  const parens = edgeStrHasOuterParens(s);
-  if (parens) inner = s.slice(1, -1);
-  const tokens = splitEdgeStr(inner);
-  if (!tokens || tokens.length === 0) return null;
-  const edges = tokens.map((t) => parsedToken(t));
+  const s = source.trim().replace(/\n/g, " ")
+  let inner = s
+  const parens = edgeStrHasOuterParens(s)
+  if (parens) inner = s.slice(1, -1)
+  const tokens = splitEdgeStr(inner)
+  if (!tokens || tokens.length === 0) return null
+  const edges = tokens.map((t) => parsedToken(t))
   if (
     edges.length > 1 ||
     (edges.length > 0 && (edges[0] as any).kind === "hedge")
-  )
-    return hedge(edges);
-  if (edges.length > 0) return hedge([edges[0] as Atom]);
-  return null;
-};
+  ) {
+    return hedge(edges)
+  }
+  if (edges.length > 0) return hedge([edges[0] as Atom])
+  return null
+}
 
 const parsedToken = (token: string): Atom | Hedge => {
-  if (edgeStrHasOuterParens(token)) return _hedgeFromStringUnsafe(token)!;
-  return atom(token);
-};
+  if (edgeStrHasOuterParens(token)) return _hedgeFromStringUnsafe(token)!
+  return atom(token)
+}
+
+export const hedgeFromString = (source: string): Hedge | null => _hedgeFromStringUnsafe(source) ?? hedge([atom(source)])
+
+// ===== Strict parsing =====
+
+const SNIPPET_RADIUS = 16
+
+const isSpace = (c: string) => /\s/.test(c)
+
+const describeFound = (source: string, offset: number): string =>
+  offset >= source.length ? "end of input" : JSON.stringify(source[offset])
+
+const snippetAt = (source: string, offset: number): string => {
+  const start = Math.max(0, offset - SNIPPET_RADIUS)
+  const end = Math.min(source.length, offset + SNIPPET_RADIUS)
+  const line = source.slice(start, end).replace(/\s/g, " ")
+  const prefix = start > 0 ? "..." : ""
+  const suffix = end < source.length ? "..." : ""
+  const caret = " ".repeat(prefix.length + offset - start) + "^"
+  return `${prefix}${line}${suffix}\n${caret}`
+}
+
+const parseError = (
+  source: string,
+  offset: number,
+  expected: string
+): ParseError => {
+  const found = describeFound(source, offset)
+  return new ParseError({
+    message: `expected ${expected} but found ${found} at offset ${offset}`,
+    offset,
+    expected,
+    found,
+    snippet: snippetAt(source, offset)
+  })
+}
+
+// Recursive descent over the source, mirroring the shapes produced by
+// hedgeFromString for well-formed input but failing on malformed input.
+export const hedgeFromStringStrict = (
+  source: string
+): Either.Either<Hedge, ParseError> => {
+  let pos = 0
+
+  const skipSpaces = () => {
+    while (pos < source.length && isSpace(source[pos])) pos++
+  }
 
-export const hedgeFromString = (source: string): Hedge | null =>
-  _hedgeFromStringUnsafe(source) ?? hedge([atom(source)]);
+  // A token must be followed by whitespace, a closing paren or end of input
+  const expectBoundary = (closing: boolean): ParseError | null => {
+    if (pos >= source.length || isSpace(source[pos])) return null
+    if (closing && source[pos] === ")") return null
+    return parseError(
+      source,
+      pos,
+      closing ? "whitespace or ')'" : "whitespace or end of input"
+    )
+  }
+
+  const parseItems = (
+    closing: boolean
+  ): Either.Either<Array<Atom | Hedge>, ParseError> => {
+    const items: Array<Atom | Hedge> = []
+    for (;;) {
+      skipSpaces()
+      if (pos >= source.length) {
+        if (closing) return Either.left(parseError(source, pos, "')'"))
+        return Either.right(items)
+      }
+      const c = source[pos]
+      if (c === ")") {
+        if (!closing || items.length === 0) {
+          return Either.left(parseError(source, pos, "'(' or atom"))
+        }
+        return Either.right(items)
+      }
+      if (c === "(") {
+        pos++
+        const inner = parseItems(true)
+        if (Either.isLeft(inner)) return Either.left(inner.left)
+        pos++ // consume ")"
+        items.push(hedge(inner.right))
+      } else {
+        const start = pos
+        while (
+          pos < source.length &&
+          !isSpace(source[pos]) &&
+          source[pos] !== "(" &&
+          source[pos] !== ")"
+        ) {
+          pos++
+        }
+        items.push(atom(source.slice(start, pos)))
+      }
+      const boundary = expectBoundary(closing)
+      if (boundary) return Either.left(boundary)
+    }
+  }
+
+  const top = parseItems(false)
+  if (Either.isLeft(top)) return Either.left(top.left)
+  const items = top.right
+  if (items.length === 0) {
+    return Either.left(parseError(source, pos, "'(' or atom"))
+  }
+  // A single parenthesized edge is the edge itself
+  if (items.length === 1 && source.trim().startsWith("(")) {
+    return Either.right(items[0] as Hedge)
+  }
+  return Either.right(hedge(items))
+}
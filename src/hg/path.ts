@@ -0,0 +1,125 @@
+import { Option } from "effect"
+import { dual } from "effect/Function"
+import { hedge, isAtom } from "./model.js"
+import type { Atom, Hedge } from "./model.js"
+
+// Item indices from an edge down to one of its subedges; [] is the edge itself
+export type Path = ReadonlyArray<number>
+
+export const getAt: {
+  (path: Path): (e: Atom | Hedge) => Option.Option<Atom | Hedge>
+  (e: Atom | Hedge, path: Path): Option.Option<Atom | Hedge>
+} = dual(2, (e: Atom | Hedge, path: Path): Option.Option<Atom | Hedge> => {
+  let current = e
+  for (const i of path) {
+    if (isAtom(current) || i < 0 || i >= current.items.length) {
+      return Option.none()
+    }
+    current = current.items[i]
+  }
+  return Option.some(current)
+})
+
+const modifyPath = (
+  e: Atom | Hedge,
+  path: Path,
+  depth: number,
+  f: (sub: Atom | Hedge) => Atom | Hedge
+): Atom | Hedge => {
+  if (depth === path.length) return f(e)
+  const i = path[depth]
+  if (isAtom(e) || i < 0 || i >= e.items.length) return e
+  const updated = modifyPath(e.items[i], path, depth + 1, f)
+  if (updated === e.items[i]) return e
+  const items = [...e.items]
+  items[i] = updated
+  return hedge(items)
+}
+
+// Returns the edge unchanged when the path does not exist
+export const modifyAt: {
+  (path: Path, f: (sub: Atom | Hedge) => Atom | Hedge): (
+    e: Atom | Hedge
+  ) => Atom | Hedge
+  (e: Atom | Hedge, path: Path, f: (sub: Atom | Hedge) => Atom | Hedge):
+    | Atom
+    | Hedge
+} = dual(
+  3,
+  (
+    e: Atom | Hedge,
+    path: Path,
+    f: (sub: Atom | Hedge) => Atom | Hedge
+  ): Atom | Hedge => modifyPath(e, path, 0, f)
+)
+
+export const setAt: {
+  (path: Path, value: Atom | Hedge): (e: Atom | Hedge) => Atom | Hedge
+  (e: Atom | Hedge, path: Path, value: Atom | Hedge): Atom | Hedge
+} = dual(3, (e: Atom | Hedge, path: Path, value: Atom | Hedge): Atom | Hedge => modifyPath(e, path, 0, () => value))
+
+// Paths of all subedges (pre-order, the edge itself included) that satisfy
+// the predicate
+export const pathsOf: {
+  (predicate: (sub: Atom | Hedge, path: Path) => boolean): (
+    e: Atom | Hedge
+  ) => ReadonlyArray<Path>
+  (
+    e: Atom | Hedge,
+    predicate: (sub: Atom | Hedge, path: Path) => boolean
+  ): ReadonlyArray<Path>
+} = dual(
+  2,
+  (
+    e: Atom | Hedge,
+    predicate: (sub: Atom | Hedge, path: Path) => boolean
+  ): ReadonlyArray<Path> => {
+    const out: Array<Path> = []
+    const go = (sub: Atom | Hedge, path: Path) => {
+      if (predicate(sub, path)) out.push(path)
+      if (isAtom(sub)) return
+      sub.items.forEach((it, i) => go(it, [...path, i]))
+    }
+    go(e, [])
+    return out
+  }
+)
+
+// ===== Optics =====
+
+// Optional focusing on the subedge at `path` (absent when the path does not
+// exist); compose to reach deeper subedges
+export interface EdgeOptional {
+  readonly path: Path
+  readonly getOption: (e: Atom | Hedge) => Option.Option<Atom | Hedge>
+  readonly replace: (e: Atom | Hedge, value: Atom | Hedge) => Atom | Hedge
+  readonly modify: (
+    e: Atom | Hedge,
+    f: (sub: Atom | Hedge) => Atom | Hedge
+  ) => Atom | Hedge
+}
+
+export const optional = (path: Path): EdgeOptional => ({
+  path,
+  getOption: (e) => getAt(e, path),
+  replace: (e, value) => setAt(e, path, value),
+  modify: (e, f) => modifyAt(e, path, f)
+})
+
+// Identity optional (the whole edge); also a lens, since it always focuses
+export const identity: EdgeOptional = optional([])
+
+export const atItem = (i: number): EdgeOptional => optional([i])
+
+export const atConnector: EdgeOptional = atItem(0)
+
+// n-th argument (0-based, after the connector)
+export const atArgument = (n: number): EdgeOptional => atItem(n + 1)
+
+export const compose: {
+  (inner: EdgeOptional): (outer: EdgeOptional) => EdgeOptional
+  (outer: EdgeOptional, inner: EdgeOptional): EdgeOptional
+} = dual(
+  2,
+  (outer: EdgeOptional, inner: EdgeOptional): EdgeOptional => optional([...outer.path, ...inner.path])
+)
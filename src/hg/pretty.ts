@@ -1,17 +1,38 @@
-import * as Doc from "@effect/printer/Doc";
-import * as Layout from "@effect/printer/Layout";
-import * as PageWidth from "@effect/printer/PageWidth";
-import { pipe } from "effect";
-import { Atom, Hedge, isAtom } from "./model.js";
-import { toStr } from "./print.js";
+import * as Doc from "@effect/printer/Doc"
+import * as DocTree from "@effect/printer/DocTree"
+import * as Layout from "@effect/printer/Layout"
+import * as PageWidth from "@effect/printer/PageWidth"
+import { atomPartsText, makeAtomParts, partsOf } from "./atom.js"
+import { isAtom } from "./model.js"
+import type { Atom, Hedge } from "./model.js"
+import { toStr } from "./print.js"
 
 export interface PrettyOptions {
-  readonly indent?: number; // spaces
-  readonly width?: number; // page width
+  readonly indent?: number // spaces
+  readonly width?: number // page width
+  readonly rootsOnly?: boolean // print atom roots only (default: false)
+  readonly namespaces?: boolean // print namespace and extra parts (default: true)
+}
+
+// Atom main types that get their own color (terminal) or class (HTML)
+export type MainType = "C" | "P" | "M" | "B" | "T" | "J"
+
+// Annotation attached to every atom by `annotatedDocOf`; `mainType` is
+// undefined for atoms whose type is not one of the main types above
+export interface AtomAnnotation {
+  readonly atom: Atom
+  readonly mainType: MainType | undefined
+}
+
+const mainTypes: ReadonlySet<string> = new Set(["C", "P", "M", "B", "T", "J"])
+
+const mainTypeOf = (a: Atom): MainType | undefined => {
+  const t = partsOf(a).mainType || "J"
+  return mainTypes.has(t) ? (t as MainType) : undefined
 }
 
 // Functional helpers using printer combinators
-const parensHeadArgs = (
+export const parensHeadArgs = (
   head: Doc.Doc<unknown>,
   args: ReadonlyArray<Doc.Doc<unknown>>,
   indent: number
@@ -22,25 +43,157 @@ const parensHeadArgs = (
       Doc.text(")"),
       Doc.line
     )([head, ...args]).pipe((d) => Doc.nest(d, indent))
-  );
+  )
 
-const docOfAtom = (a: Atom): Doc.Doc<unknown> => Doc.text(toStr(a));
+const atomLabel = (a: Atom, options: PrettyOptions): string => {
+  if (options.rootsOnly === true || options.namespaces !== false) {
+    return toStr(a, { rootsOnly: options.rootsOnly === true })
+  }
+  const p = partsOf(a)
+  const text = atomPartsText(makeAtomParts({ ...p, namespace: "", extra: [] }))
+  return a.parens ? `(${text})` : text
+}
 
-export const docOf = (e: Atom | Hedge, indent = 2): Doc.Doc<unknown> =>
+const docWith = <A>(
+  e: Atom | Hedge,
+  indent: number,
+  docOfAtom: (a: Atom) => Doc.Doc<A>
+): Doc.Doc<A> =>
   isAtom(e)
     ? docOfAtom(e)
-    : parensHeadArgs(
-        docOf(e.items[0] as any, indent),
-        e.items.slice(1).map((it) => docOf(it as any, indent)),
-        indent
-      );
+    : (parensHeadArgs(
+      docWith(e.items[0], indent, docOfAtom),
+      e.items.slice(1).map((it) => docWith(it, indent, docOfAtom)),
+      indent
+    ) as Doc.Doc<A>)
+
+export const docOf = (
+  e: Atom | Hedge,
+  indent = 2,
+  options: PrettyOptions = {}
+): Doc.Doc<unknown> => docWith(e, indent, (a) => Doc.text(atomLabel(a, options)))
+
+// Same layout as `docOf`, with each atom annotated by its main type
+export const annotatedDocOf = (
+  e: Atom | Hedge,
+  options: PrettyOptions = {}
+): Doc.Doc<AtomAnnotation> =>
+  docWith(e, options.indent ?? 2, (a) =>
+    Doc.annotate(Doc.text(atomLabel(a, options)), {
+      atom: a,
+      mainType: mainTypeOf(a)
+    }))
+
+export const renderPretty = <A>(
+  doc: Doc.Doc<A>,
+  options: PrettyOptions = {}
+): string => {
+  const width = options.width ?? 80
+  return Doc.render(doc, { style: "pretty", options: { lineWidth: width } })
+}
+
+// Lays out the document and renders it, decorating annotated regions
+export const renderDecorated = <A>(
+  doc: Doc.Doc<A>,
+  options: PrettyOptions,
+  renderText: (text: string) => string,
+  renderAnnotation: (annotation: A, rendered: string) => string
+): string => {
+  const layout = Layout.options(
+    PageWidth.availablePerLine(options.width ?? 80, 1)
+  )
+  const go = (tree: DocTree.DocTree<A>): string => {
+    switch (tree._tag) {
+      case "EmptyTree":
+        return ""
+      case "CharTree":
+        return renderText(tree.char)
+      case "TextTree":
+        return renderText(tree.text)
+      case "LineTree":
+        return "\n" + " ".repeat(tree.indentation)
+      case "AnnotationTree":
+        return renderAnnotation(tree.annotation, go(tree.tree))
+      case "ConcatTree":
+        return tree.trees.map(go).join("")
+    }
+  }
+  return go(DocTree.treeForm(Layout.pretty(doc, layout)))
+}
 
 export const prettyPrint = (
   e: Atom | Hedge,
   options: PrettyOptions = {}
+): string => renderPretty(docOf(e, options.indent ?? 2, options), options)
+
+// ===== Terminal =====
+
+// SGR parameters per main type, e.g. "34" (blue) or "1;31" (bold red)
+export type AnsiColors = Readonly<Record<MainType, string>>
+
+export const defaultAnsiColors: AnsiColors = {
+  C: "34",
+  P: "31",
+  M: "32",
+  B: "35",
+  T: "33",
+  J: "36"
+}
+
+export interface AnsiPrettyOptions extends PrettyOptions {
+  readonly colors?: Partial<AnsiColors>
+}
+
+export const prettyPrintAnsi = (
+  e: Atom | Hedge,
+  options: AnsiPrettyOptions = {}
 ): string => {
-  const width = options.width ?? 80;
-  const indent = options.indent ?? 2;
-  const doc = docOf(e, indent);
-  return Doc.render(doc, { style: "pretty", options: { lineWidth: width } });
-};
+  const colors = { ...defaultAnsiColors, ...options.colors }
+  return renderDecorated(
+    annotatedDocOf(e, options),
+    options,
+    (text) => text,
+    (ann, rendered) =>
+      ann.mainType === undefined
+        ? rendered
+        : `\u001b[${colors[ann.mainType]}m${rendered}\u001b[0m`
+  )
+}
+
+// ===== HTML =====
+
+const escapeHtml = (s: string): string =>
+  s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+
+export interface HtmlPrettyOptions extends PrettyOptions {
+  readonly classPrefix?: string // default: "hg-"
+}
+
+// Whitespace-preserving <pre> block; atoms become
+// <span class="hg-atom hg-C" title="full atom text">...</span>
+export const prettyPrintHtml = (
+  e: Atom | Hedge,
+  options: HtmlPrettyOptions = {}
+): string => {
+  const prefix = options.classPrefix ?? "hg-"
+  const body = renderDecorated(
+    annotatedDocOf(e, options),
+    options,
+    escapeHtml,
+    (ann, rendered) => {
+      const classes = [`${prefix}atom`]
+      if (ann.mainType !== undefined) classes.push(prefix + ann.mainType)
+      const title = escapeHtml(ann.atom.text)
+      return `<span class="${
+        classes.join(
+          " "
+        )
+      }" title="${title}">${rendered}</span>`
+    }
+  )
+  return `<pre class="${prefix}edge">${body}</pre>`
+}
@@ -1,12 +1,110 @@
-import { Atom, Hedge, isAtom } from "./model.js";
+import { partsOf, simplifyAtom } from "./atom.js"
+import type { AtomParts, SimplifyOptions } from "./atom.js"
+import { isAtom } from "./model.js"
+import type { Atom, Hedge } from "./model.js"
 
-export const toStr = (
+export interface ToStrOptions {
+  readonly rootsOnly?: boolean // atom roots only, e.g. "(plays mary chess)"
+  readonly simplify?: SimplifyOptions
+}
+
+const atomText = (a: Atom, opts?: ToStrOptions): string => {
+  if (opts?.rootsOnly) return partsOf(a).root
+  return opts?.simplify ? simplifyAtom(a, opts.simplify).text : a.text
+}
+
+export const toStr = (edge: Atom | Hedge, opts?: ToStrOptions): string => {
+  if (isAtom(edge)) {
+    const text = atomText(edge, opts)
+    return edge.parens ? `(${text})` : text
+  }
+  const s = edge.items.map((e) => toStr(e, opts)).join(" ")
+  return `(${s})`
+}
+
+// ===== JSON tree =====
+
+export type EdgeJson =
+  | {
+    readonly kind: "atom"
+    readonly text: string
+    readonly parens: boolean
+    readonly parts: AtomParts
+  }
+  | { readonly kind: "hedge"; readonly items: ReadonlyArray<EdgeJson> }
+
+// Plain JSON-serializable tree; atoms carry their parsed parts
+export const toJsonTree = (edge: Atom | Hedge): EdgeJson =>
+  isAtom(edge)
+    ? {
+      kind: "atom",
+      text: edge.text,
+      parens: edge.parens === true,
+      parts: { ...partsOf(edge) }
+    }
+    : { kind: "hedge", items: edge.items.map(toJsonTree) }
+
+export const toJson = (edge: Atom | Hedge, space?: number): string => JSON.stringify(toJsonTree(edge), null, space)
+
+// ===== Graphviz =====
+
+export interface DotOptions extends ToStrOptions {
+  readonly name?: string // graph name (default: "edge")
+}
+
+const dotQuote = (s: string): string => `"${s.replace(/\\/g, "\\\\").replace(/"/g, "\\\"")}"`
+
+// DOT digraph of the edge tree: atoms are boxes, hyperedges are points, and
+// links are labeled with the item position (0 is the connector)
+export const toDot = (edge: Atom | Hedge, opts: DotOptions = {}): string => {
+  const lines: Array<string> = []
+  let next = 0
+  const go = (e: Atom | Hedge): string => {
+    const id = `n${next++}`
+    if (isAtom(e)) {
+      lines.push(`  ${id} [shape=box, label=${dotQuote(toStr(e, opts))}];`)
+      return id
+    }
+    lines.push(`  ${id} [shape=point];`)
+    e.items.forEach((it, i) => {
+      const child = go(it)
+      const style = i === 0 ? ", style=bold" : ""
+      lines.push(`  ${id} -> ${child} [label="${i}"${style}];`)
+    })
+    return id
+  }
+  go(edge)
+  return [`digraph ${dotQuote(opts.name ?? "edge")} {`, ...lines, "}"].join(
+    "\n"
+  )
+}
+
+// ===== Outline =====
+
+export interface OutlineOptions extends ToStrOptions {
+  readonly indent?: number // spaces per level (default: 2)
+}
+
+// One line per connector or atom argument, arguments indented under their
+// connector:
+//   plays/Pd.so
+//     mary/C
+//     chess/C
+export const toOutline = (
   edge: Atom | Hedge,
-  opts?: { rootsOnly?: boolean }
+  opts: OutlineOptions = {}
 ): string => {
-  if (isAtom(edge)) {
-    return edge.parens ? `(${edge.text})` : edge.text;
+  const unit = " ".repeat(opts.indent ?? 2)
+  const lines: Array<string> = []
+  const go = (e: Atom | Hedge, depth: number) => {
+    const pad = unit.repeat(depth)
+    if (isAtom(e) || e.items.length === 0) {
+      lines.push(pad + toStr(e, opts))
+      return
+    }
+    lines.push(pad + toStr(e.items[0], opts))
+    e.items.slice(1).forEach((it) => go(it, depth + 1))
   }
-  const s = edge.items.map((e) => toStr(e, opts)).join(" ");
-  return `(${s})`;
-};
+  go(edge, 0)
+  return lines.join("\n")
+}
@@ -1,25 +1,29 @@
-import { Schema as S, Data } from "effect";
-import { AtomSchema, HedgeSchema } from "./model.js";
-import { hedgeFromString } from "./parse.js";
-import { toStr } from "./print.js";
+import { Either, ParseResult, Schema as S } from "effect"
+import { AtomSchema, HedgeSchema } from "./model.js"
+import { hedgeFromStringStrict, ParseError } from "./parse.js"
+import { toStr } from "./print.js"
 
-export const decodeAtom = S.decodeUnknownSync(AtomSchema);
-export const encodeAtom = S.encodeSync(AtomSchema);
+export const decodeAtom = S.decodeUnknownSync(AtomSchema)
+export const encodeAtom = S.encodeSync(AtomSchema)
 
-export const decodeHedge = S.decodeUnknownSync(HedgeSchema);
-export const encodeHedge = S.encodeSync(HedgeSchema);
+export const decodeHedge = S.decodeUnknownSync(HedgeSchema)
+export const encodeHedge = S.encodeSync(HedgeSchema)
 
-// Tagged parse error type
-export class ParseError extends Data.TaggedError("ParseError")<{
-  message: string;
-}> {}
+// Tagged parse error type (raised by the strict parser)
+export { ParseError }
 
-// Transform string <-> Hedge (non-strict for now; assumes valid input)
-export const EdgeStringSchema = S.transform(S.String, HedgeSchema, {
-  decode: (s: string) => hedgeFromString(s) as any,
-  encode: (h) => toStr(h as any),
-  strict: false,
-});
+// Transform string <-> Hedge using the strict parser; malformed input is
+// reported as a ParseResult issue carrying the ParseError message
+export const EdgeStringSchema = S.transformOrFail(S.String, HedgeSchema, {
+  decode: (s, _, ast) =>
+    Either.mapLeft(
+      hedgeFromStringStrict(s),
+      (err) => new ParseResult.Type(ast, s, `${err.message}\n${err.snippet}`)
+    ),
+  encode: (h) => ParseResult.succeed(toStr(h as any)),
+  strict: true
+})
 
-export const decodeEdgeString = S.decodeUnknownSync(EdgeStringSchema);
-export const encodeEdgeString = S.encodeSync(EdgeStringSchema);
+export const decodeEdgeString = S.decodeUnknownSync(EdgeStringSchema)
+export const encodeEdgeString = S.encodeSync(EdgeStringSchema)
+export const decodeEdgeStringEither = S.decodeUnknownEither(EdgeStringSchema)
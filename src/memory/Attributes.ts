@@ -0,0 +1,83 @@
+import { Either, HashMap, Option, Schema as S } from "effect"
+import type { Effect, ParseResult } from "effect"
+import type { Hedge } from "../hg/model.js"
+import * as HG from "./Hypergraph.js"
+import type { HypergraphStoreService, StoreError } from "./HypergraphStore.js"
+
+// Typed view over the string-valued attributes of Hypergraph.ts: each
+// attribute is declared once with a Schema between its value and the stored
+// string, so every storage format keeps working unchanged.
+export interface Attribute<A> {
+  readonly name: string
+  readonly schema: S.Schema<A, string>
+}
+
+export const attribute = <A>(
+  name: string,
+  schema: S.Schema<A, string>
+): Attribute<A> => ({ name, schema })
+
+export const number = (name: string): Attribute<number> => attribute(name, S.NumberFromString)
+
+// stored as "true" / "false"; any other string fails to decode
+export const boolean = (name: string): Attribute<boolean> =>
+  attribute(name, S.compose(S.String, S.BooleanFromString, { strict: false }))
+
+export const string = (name: string): Attribute<string> => attribute(name, S.String)
+
+// Any JSON-encodable value described by `schema`
+export const json = <A, I>(
+  name: string,
+  schema: S.Schema<A, I>
+): Attribute<A> => attribute(name, S.parseJson(schema))
+
+export const list = <A, I>(
+  name: string,
+  item: S.Schema<A, I>
+): Attribute<ReadonlyArray<A>> => attribute(name, S.parseJson(S.Array(item)))
+
+// None when the attribute is not set; Left when the stored string does not
+// decode with the attribute schema
+export const get = <A>(
+  hg: HG.Hypergraph,
+  edge: Hedge,
+  attr: Attribute<A>
+): Either.Either<Option.Option<A>, ParseResult.ParseError> =>
+  HashMap.get(HG.getAttributes(hg, edge), attr.name).pipe(
+    Option.match({
+      onNone: () => Either.right(Option.none()),
+      onSome: (raw) => Either.map(S.decodeEither(attr.schema)(raw), Option.some)
+    })
+  )
+
+export const set = <A>(
+  hg: HG.Hypergraph,
+  edge: Hedge,
+  attr: Attribute<A>,
+  value: A
+): Either.Either<HG.Hypergraph, ParseResult.ParseError> =>
+  Either.map(S.encodeEither(attr.schema)(value), (raw) => HG.setAttribute(hg, edge, attr.name, raw))
+
+export const remove = <A>(
+  hg: HG.Hypergraph,
+  edge: Hedge,
+  attr: Attribute<A>
+): HG.Hypergraph => HG.deleteAttribute(hg, edge, attr.name)
+
+// Adds `by` like HG.incAttribute: the stored value and the sum must be finite
+export const increment = (
+  hg: HG.Hypergraph,
+  edge: Hedge,
+  attr: Attribute<number>,
+  by = 1
+): Either.Either<HG.Hypergraph, ParseResult.ParseError> => HG.updateAttribute(hg, edge, attr.name, HG.incrementBy(by))
+
+// Increment through a store in a single update, so concurrent increments are
+// never lost
+export const incrementIn = (
+  store: HypergraphStoreService,
+  edge: Hedge,
+  attr: Attribute<number>,
+  by = 1
+): Effect.Effect<void, StoreError | ParseResult.ParseError> =>
+  store.updateAttribute(edge, attr.name, HG.incrementBy(by))
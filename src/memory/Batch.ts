@@ -0,0 +1,169 @@
+import { Chunk, Data, Effect, Either, Option } from "effect"
+import * as Stream from "effect/Stream"
+import type { Hedge } from "../hg/model.js"
+import { hedgeFromStringStrict } from "../hg/parse.js"
+import * as HG from "./Hypergraph.js"
+
+// Bulk updates applied as one transaction: every map of the hypergraph is
+// switched into in-place mutation for the whole batch (see HG.beginMutation),
+// so the indexes are built in a single pass instead of copied per edge. The
+// input hypergraph is never modified; a failing batch leaves no trace.
+
+export type BatchOp =
+  | {
+    readonly op: "insert"
+    readonly edge: Hedge
+    readonly options?: HG.InsertOptions
+  }
+  | {
+    readonly op: "remove"
+    readonly edge: Hedge
+    readonly options?: HG.RemoveOptions
+  }
+  | {
+    readonly op: "set"
+    readonly edge: Hedge
+    readonly key: string
+    readonly value: string
+  }
+  | { readonly op: "unset"; readonly edge: Hedge; readonly key: string }
+
+// Edges (as values or strings to parse) are inserted with the batch options
+export type BatchItem = string | Hedge | BatchOp
+
+// An item that could not be applied; `index` is its position in the batch
+export class BatchError extends Data.TaggedError("BatchError")<{
+  message: string
+  index: number
+}> {}
+
+export interface BatchOptions {
+  // "fail" aborts the whole batch at the first rejected item; "skip" applies
+  // the other items and collects the errors
+  readonly onError?: "fail" | "skip"
+  // options for items that are plain edges
+  readonly insert?: HG.InsertOptions
+}
+
+export interface BatchResult {
+  readonly hypergraph: HG.Hypergraph
+  readonly inserted: number // edges that were not stored before
+  readonly duplicates: number // inserts of edges already stored
+  readonly removed: number // including subedges of recursive removals
+  readonly updated: number // attributes set or unset
+  readonly rejected: number
+  readonly errors: Chunk.Chunk<BatchError>
+}
+
+const toOp = (
+  item: BatchItem,
+  options: BatchOptions
+): Either.Either<BatchOp, string> => {
+  if (typeof item === "string") {
+    return Either.map(
+      Either.mapLeft(hedgeFromStringStrict(item), (e) => e.message),
+      (edge): BatchOp => ({ op: "insert", edge, ...insertOptions(options) })
+    )
+  }
+  return Either.right(
+    "op" in item
+      ? item
+      : { op: "insert", edge: item, ...insertOptions(options) }
+  )
+}
+
+const insertOptions = (options: BatchOptions) => options.insert === undefined ? {} : { options: options.insert }
+
+// Accumulates a batch into a mutating copy of `hg`
+const makeBuilder = (hg: HG.Hypergraph, options: BatchOptions) => {
+  let next = HG.beginMutation(hg)
+  let inserted = 0
+  let duplicates = 0
+  let removed = 0
+  let updated = 0
+  let errors = Chunk.empty<BatchError>()
+
+  const applyOp = (op: BatchOp) => {
+    switch (op.op) {
+      case "insert": {
+        if (Option.isSome(HG.get(next, op.edge, op.options))) duplicates++
+        else inserted++
+        next = HG.insert(next, op.edge, op.options)
+        return
+      }
+      case "remove": {
+        const before = HG.size(next)
+        next = HG.remove(next, op.edge, op.options)
+        removed += before - HG.size(next)
+        return
+      }
+      case "set":
+        next = HG.setAttribute(next, op.edge, op.key, op.value)
+        updated++
+        return
+      case "unset":
+        next = HG.deleteAttribute(next, op.edge, op.key)
+        updated++
+        return
+    }
+  }
+
+  // the error when the item is rejected and the batch must stop
+  const add = (item: BatchItem, index: number): BatchError | undefined => {
+    const op = Either.flatMap(toOp(item, options), (o) => {
+      const reason = HG.invalidEdgeReason(o.edge)
+      return reason === undefined ? Either.right(o) : Either.left(reason)
+    })
+    if (Either.isRight(op)) {
+      applyOp(op.right)
+      return undefined
+    }
+    const error = new BatchError({ message: op.left, index })
+    if (options.onError === "skip") {
+      errors = Chunk.append(errors, error)
+      return undefined
+    }
+    return error
+  }
+
+  const result = (): BatchResult => ({
+    hypergraph: HG.endMutation(next),
+    inserted,
+    duplicates,
+    removed,
+    updated,
+    rejected: Chunk.size(errors),
+    errors
+  })
+
+  return { add, result }
+}
+
+export const apply = (
+  hg: HG.Hypergraph,
+  items: Iterable<BatchItem>,
+  options: BatchOptions = {}
+): Either.Either<BatchResult, BatchError> => {
+  const builder = makeBuilder(hg, options)
+  let index = 0
+  for (const item of items) {
+    const error = builder.add(item, index++)
+    if (error !== undefined) return Either.left(error)
+  }
+  return Either.right(builder.result())
+}
+
+// Nothing is applied unless the whole stream is consumed
+export const applyStream = <E, R>(
+  hg: HG.Hypergraph,
+  items: Stream.Stream<BatchItem, E, R>,
+  options: BatchOptions = {}
+): Effect.Effect<BatchResult, E | BatchError, R> =>
+  Effect.suspend(() => {
+    const builder = makeBuilder(hg, options)
+    let index = 0
+    return Stream.runForEach(items, (item) => {
+      const error = builder.add(item, index++)
+      return error === undefined ? Effect.void : Effect.fail(error)
+    }).pipe(Effect.map(builder.result))
+  })
@@ -0,0 +1,110 @@
+import { Equal, HashMap, Option } from "effect"
+import type { Atom, Hedge } from "../hg/model.js"
+import { isAtom } from "../hg/model.js"
+import { normalized } from "../hg/ops.js"
+import { toStr } from "../hg/print.js"
+import { match } from "../patterns/matcher.js"
+import * as HG from "./Hypergraph.js"
+
+// Change events of a hypergraph, computed by comparing the hypergraph before
+// and after a write over the edges and attributes the write can touch. Writes
+// that change nothing (inserting a stored edge, setting the same value) have
+// no events. Removing an edge with the default "delete" policy also reports
+// the deletion of each of its attributes, before the removal itself.
+
+export type ChangeEvent =
+  | { readonly _tag: "EdgeInserted"; readonly edge: Hedge }
+  | { readonly _tag: "EdgeRemoved"; readonly edge: Hedge }
+  | {
+    readonly _tag: "AttributeSet"
+    readonly edge: Hedge
+    readonly attribute: string
+    readonly value: string
+    readonly previous: Option.Option<string>
+  }
+  | {
+    readonly _tag: "AttributeDeleted"
+    readonly edge: Hedge
+    readonly attribute: string
+    readonly previous: string
+  }
+
+const keyEdge = (edge: Hedge, options?: HG.EdgeKeyOptions): Hedge =>
+  options?.normalize === true ? (normalized(edge) as Hedge) : edge
+
+// The edge and, when recursive, its subedges: innermost first when
+// `inner` is set (the order of a recursive insert), outermost first otherwise
+const touched = (edge: Hedge, recursive: boolean, inner: boolean) => {
+  const out = new Map<string, Hedge>()
+  const go = (e: Atom | Hedge) => {
+    if (isAtom(e)) return
+    if (!inner) out.set(toStr(e), e)
+    if (recursive) e.items.forEach(go)
+    if (inner) out.set(toStr(e), e)
+  }
+  go(edge)
+  return Array.from(out.values())
+}
+
+export const inserted = (
+  before: HG.Hypergraph,
+  after: HG.Hypergraph,
+  edge: Hedge,
+  options?: HG.InsertOptions
+): ReadonlyArray<ChangeEvent> =>
+  touched(keyEdge(edge, options), options?.recursive === true, true)
+    .filter((e) => !HG.has(before, e) && HG.has(after, e))
+    .map((e) => ({ _tag: "EdgeInserted", edge: e }))
+
+// Attributes of the edge that are gone after the write, by name
+const attributesDeleted = (
+  before: HG.Hypergraph,
+  after: HG.Hypergraph,
+  edge: Hedge
+): ReadonlyArray<ChangeEvent> => {
+  const current = HG.getAttributes(after, edge)
+  return Array.from(HashMap.entries(HG.getAttributes(before, edge)))
+    .filter(([attribute]) => !HashMap.has(current, attribute))
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([attribute, previous]) => ({ _tag: "AttributeDeleted", edge, attribute, previous }))
+}
+
+export const removed = (
+  before: HG.Hypergraph,
+  after: HG.Hypergraph,
+  edge: Hedge,
+  options?: HG.RemoveOptions
+): ReadonlyArray<ChangeEvent> =>
+  touched(keyEdge(edge, options), options?.recursive === true, false).flatMap(
+    (e): ReadonlyArray<ChangeEvent> =>
+      HG.has(before, e) && !HG.has(after, e)
+        ? [...attributesDeleted(before, after, e), { _tag: "EdgeRemoved", edge: e }]
+        : attributesDeleted(before, after, e)
+  )
+
+export const attributeChanged = (
+  before: HG.Hypergraph,
+  after: HG.Hypergraph,
+  edge: Hedge,
+  attribute: string
+): ReadonlyArray<ChangeEvent> => {
+  const previous = HashMap.get(HG.getAttributes(before, edge), attribute)
+  const current = HashMap.get(HG.getAttributes(after, edge), attribute)
+  if (Equal.equals(previous, current)) return []
+  return Option.match(current, {
+    onNone: () => [
+      {
+        _tag: "AttributeDeleted",
+        edge,
+        attribute,
+        previous: Option.getOrThrow(previous)
+      }
+    ],
+    onSome: (value) => [
+      { _tag: "AttributeSet", edge, attribute, value, previous }
+    ]
+  })
+}
+
+// Whether the changed edge matches the pattern (see patterns/matcher.ts)
+export const matches = (event: ChangeEvent, pattern: Hedge): boolean => match(event.edge, pattern)
@@ -0,0 +1,405 @@
+import { FileSystem } from "@effect/platform"
+import type { PlatformError } from "@effect/platform/Error"
+import { Data, Effect, Either, HashMap, Ref } from "effect"
+import type { Option, ParseResult, Scope } from "effect"
+import type { Hedge } from "../hg/model.js"
+import { normalized } from "../hg/ops.js"
+import { hedgeFromStringStrict } from "../hg/parse.js"
+import { toStr } from "../hg/print.js"
+import * as HG from "./Hypergraph.js"
+import * as Snapshot from "./Snapshot.js"
+
+// A hypergraph persisted in a directory:
+//   snapshot.whgs  binary snapshot (see Snapshot.ts) of the last compaction
+//   journal.log    append-only log of the operations since, one per line as
+//                  "<crc32 hex>\t<json>" where json is
+//                  {"op":"insert","edge":...,"recursive"?:true},
+//                  {"op":"remove","edge":...,"recursive"?:true,
+//                   "retainAttributes"?:true},
+//                  {"op":"set","edge":...,"key":...,"value":...} or
+//                  {"op":"unset","edge":...,"key":...}
+// Operations are applied before they are journaled, so one that fails (e.g.
+// inserting a malformed edge) is rejected and never written; an append that
+// fails midway (e.g. on a full disk) is truncated away before failing.
+// Opening loads the snapshot and replays the journal. A torn last line (a
+// crash mid-append) fails its checksum and is truncated away. Every journaled
+// operation is idempotent when replayed in order, so a crash between writing
+// a new snapshot and truncating the journal only replays already applied
+// operations.
+
+export const SNAPSHOT_FILE = "snapshot.whgs"
+export const JOURNAL_FILE = "journal.log"
+
+export class JournalError extends Data.TaggedError("JournalError")<{
+  message: string
+  line: number
+}> {}
+
+// An operation that cannot be applied to the hypergraph
+export class EntryError extends Data.TaggedError("EntryError")<{
+  message: string
+  entry: JournalEntry
+}> {}
+
+export type JournalEntry =
+  | {
+    readonly op: "insert"
+    readonly edge: Hedge
+    readonly recursive?: true
+  }
+  | {
+    readonly op: "remove"
+    readonly edge: Hedge
+    readonly recursive?: true
+    readonly retainAttributes?: true
+  }
+  | {
+    readonly op: "set"
+    readonly edge: Hedge
+    readonly key: string
+    readonly value: string
+  }
+  | { readonly op: "unset"; readonly edge: Hedge; readonly key: string }
+
+export const applyEntry = (
+  hg: HG.Hypergraph,
+  entry: JournalEntry
+): HG.Hypergraph => {
+  switch (entry.op) {
+    case "insert":
+      return HG.insert(hg, entry.edge, { recursive: entry.recursive === true })
+    case "remove":
+      return HG.remove(hg, entry.edge, {
+        recursive: entry.recursive === true,
+        attributes: entry.retainAttributes === true ? "retain" : "delete"
+      })
+    case "set":
+      return HG.setAttribute(hg, entry.edge, entry.key, entry.value)
+    case "unset":
+      return HG.deleteAttribute(hg, entry.edge, entry.key)
+  }
+}
+
+// Left instead of throwing when the hypergraph rejects the entry
+export const tryApplyEntry = (
+  hg: HG.Hypergraph,
+  entry: JournalEntry
+): Either.Either<HG.Hypergraph, EntryError> =>
+  Either.try({
+    try: () => applyEntry(hg, entry),
+    catch: (e) => new EntryError({ message: e instanceof Error ? e.message : String(e), entry })
+  })
+
+// ===== Journal lines =====
+
+const textEncoder = new TextEncoder()
+
+export const encodeEntry = (entry: JournalEntry): string => {
+  const json = JSON.stringify({ ...entry, edge: toStr(entry.edge) })
+  const crc = Snapshot.crc32(textEncoder.encode(json))
+  return `${crc.toString(16).padStart(8, "0")}\t${json}\n`
+}
+
+// Left with a reason when the line is torn, corrupt or not an entry
+export const decodeEntry = (
+  line: string
+): Either.Either<JournalEntry, string> => {
+  const tab = line.indexOf("\t")
+  if (tab !== 8) return Either.left("missing checksum")
+  const json = line.slice(tab + 1)
+  const crc = Snapshot.crc32(textEncoder.encode(json))
+  if (crc !== parseInt(line.slice(0, tab), 16)) {
+    return Either.left("checksum mismatch")
+  }
+  const parsed = Either.try({
+    try: () => JSON.parse(json) as Record<string, unknown>,
+    catch: () => "invalid JSON"
+  })
+  if (Either.isLeft(parsed)) return Either.left(parsed.left)
+  const raw = parsed.right
+  if (typeof raw.edge !== "string") return Either.left("missing edge")
+  return Either.flatMap(
+    Either.mapLeft(hedgeFromStringStrict(raw.edge), (e) => e.message),
+    (edge): Either.Either<JournalEntry, string> => {
+      if (raw.op === "insert") {
+        return Either.right(
+          raw.recursive === true
+            ? { op: "insert", edge, recursive: true }
+            : { op: "insert", edge }
+        )
+      }
+      if (raw.op === "remove") {
+        return Either.right({
+          op: "remove",
+          edge,
+          ...(raw.recursive === true ? { recursive: true as const } : {}),
+          ...(raw.retainAttributes === true
+            ? { retainAttributes: true as const }
+            : {})
+        })
+      }
+      if (raw.op === "unset" && typeof raw.key === "string") {
+        return Either.right({ op: "unset", edge, key: raw.key })
+      }
+      if (
+        raw.op === "set" &&
+        typeof raw.key === "string" &&
+        typeof raw.value === "string"
+      ) {
+        return Either.right({
+          op: "set",
+          edge,
+          key: raw.key,
+          value: raw.value
+        })
+      }
+      return Either.left(`unknown operation ${String(raw.op)}`)
+    }
+  )
+}
+
+interface Replayed {
+  readonly hypergraph: HG.Hypergraph
+  readonly entries: number
+  readonly validBytes: number // length of the intact journal prefix
+}
+
+// Replays complete, intact lines; only the last line may be damaged
+export const replayJournal = (
+  hg: HG.Hypergraph,
+  bytes: Uint8Array
+): Either.Either<Replayed, JournalError> => {
+  const text = new TextDecoder().decode(bytes)
+  let current = hg
+  let entries = 0
+  let offset = 0
+  let line = 0
+  while (offset < text.length) {
+    const end = text.indexOf("\n", offset)
+    line++
+    const decoded = end < 0
+      ? Either.left("incomplete line")
+      : decodeEntry(text.slice(offset, end))
+    if (Either.isLeft(decoded)) {
+      if (end < 0 || end === text.length - 1) break
+      return Either.left(new JournalError({ message: decoded.left, line }))
+    }
+    const applied = tryApplyEntry(current, decoded.right)
+    if (Either.isLeft(applied)) {
+      return Either.left(new JournalError({ message: applied.left.message, line }))
+    }
+    current = applied.right
+    entries++
+    offset = end + 1
+  }
+  return Either.right({
+    hypergraph: current,
+    entries,
+    validBytes: textEncoder.encode(text.slice(0, offset)).length
+  })
+}
+
+// ===== Handle =====
+
+export interface DurableOptions {
+  // fsync the journal after every operation (default: true)
+  readonly sync?: boolean
+  // compact automatically once the journal holds this many entries
+  readonly compactEvery?: number
+}
+
+export interface DurableHypergraph {
+  readonly directory: string
+  readonly state: Ref.Ref<HG.Hypergraph>
+  readonly journalEntries: Ref.Ref<number>
+  // applies and journals the entry computed from the current state, unless
+  // computing it fails; one operation runs at a time
+  readonly apply: <E = never>(
+    entryOf: (hg: HG.Hypergraph) => Either.Either<JournalEntry, E>
+  ) => Effect.Effect<void, PlatformError | EntryError | E>
+  readonly compact: Effect.Effect<void, PlatformError>
+}
+
+// Opens (creating when missing) a durable hypergraph in `directory`; the
+// journal stays open until the scope closes
+export const open = (
+  directory: string,
+  options: DurableOptions = {}
+): Effect.Effect<
+  DurableHypergraph,
+  PlatformError | Snapshot.SnapshotError | JournalError,
+  FileSystem.FileSystem | Scope.Scope
+> =>
+  Effect.gen(function*() {
+    const fs = yield* FileSystem.FileSystem
+    const snapshotPath = `${directory}/${SNAPSHOT_FILE}`
+    const journalPath = `${directory}/${JOURNAL_FILE}`
+    yield* fs.makeDirectory(directory, { recursive: true })
+
+    const base = (yield* fs.exists(snapshotPath))
+      ? yield* Snapshot.readSnapshot(snapshotPath)
+      : HG.make()
+    const journal = (yield* fs.exists(journalPath))
+      ? yield* fs.readFile(journalPath)
+      : new Uint8Array()
+    const replayed = yield* replayJournal(base, journal)
+    if (replayed.validBytes < journal.length) {
+      yield* fs.truncate(journalPath, replayed.validBytes)
+    }
+
+    const state = yield* Ref.make(replayed.hypergraph)
+    const journalEntries = yield* Ref.make(replayed.entries)
+    const journalBytes = yield* Ref.make(replayed.validBytes)
+    const file = yield* fs.open(journalPath, { flag: "a" })
+    const lock = yield* Effect.makeSemaphore(1)
+
+    // new snapshot via write-then-rename, then an empty journal
+    const compactUnlocked = Effect.gen(function*() {
+      const hg = yield* Ref.get(state)
+      const tmp = `${snapshotPath}.tmp`
+      yield* Effect.scoped(
+        Effect.gen(function*() {
+          const out = yield* fs.open(tmp, { flag: "w" })
+          yield* out.writeAll(Snapshot.encode(hg))
+          yield* out.sync
+        })
+      )
+      yield* fs.rename(tmp, snapshotPath)
+      yield* fs.truncate(journalPath, 0)
+      yield* Ref.set(journalEntries, 0)
+      yield* Ref.set(journalBytes, 0)
+    })
+
+    const apply = <E>(entryOf: (hg: HG.Hypergraph) => Either.Either<JournalEntry, E>) =>
+      Effect.gen(function*() {
+        const hg = yield* Ref.get(state)
+        const entry = yield* entryOf(hg)
+        const next = yield* tryApplyEntry(hg, entry)
+        const line = textEncoder.encode(encodeEntry(entry))
+        const before = yield* Ref.get(journalBytes)
+        // a partial line would make the next append corrupt the journal
+        yield* file.writeAll(line).pipe(
+          Effect.zipRight(options.sync !== false ? file.sync : Effect.void),
+          Effect.onError(() => Effect.ignore(fs.truncate(journalPath, before)))
+        )
+        yield* Ref.set(journalBytes, before + line.length)
+        // indexes and views may have been declared meanwhile (outside the lock)
+        yield* Ref.update(state, (current) => current === hg ? next : applyEntry(current, entry))
+        const entries = yield* Ref.updateAndGet(journalEntries, (n) => n + 1)
+        if (
+          options.compactEvery !== undefined &&
+          entries >= options.compactEvery
+        ) {
+          yield* compactUnlocked
+        }
+      }).pipe(lock.withPermits(1))
+
+    return {
+      directory,
+      state,
+      journalEntries,
+      apply,
+      compact: lock.withPermits(1)(compactUnlocked)
+    }
+  })
+
+// ===== Operations (mirroring Hypergraph.ts) =====
+
+const keyEdge = (edge: Hedge, options?: HG.EdgeKeyOptions): Hedge =>
+  options?.normalize === true ? (normalized(edge) as Hedge) : edge
+
+// Applies and journals an entry that does not depend on the current state
+const applyEntryOf = (
+  d: DurableHypergraph,
+  entry: JournalEntry
+): Effect.Effect<void, PlatformError | EntryError> => d.apply(() => Either.right(entry))
+
+export const hypergraph = (
+  d: DurableHypergraph
+): Effect.Effect<HG.Hypergraph> => Ref.get(d.state)
+
+export const insert = (
+  d: DurableHypergraph,
+  edge: Hedge,
+  options?: HG.InsertOptions
+): Effect.Effect<void, PlatformError | EntryError> =>
+  applyEntryOf(d, {
+    op: "insert",
+    edge: keyEdge(edge, options),
+    ...(options?.recursive === true ? { recursive: true as const } : {})
+  })
+
+export const remove = (
+  d: DurableHypergraph,
+  edge: Hedge,
+  options?: HG.RemoveOptions
+): Effect.Effect<void, PlatformError | EntryError> =>
+  applyEntryOf(d, {
+    op: "remove",
+    edge: keyEdge(edge, options),
+    ...(options?.recursive === true ? { recursive: true as const } : {}),
+    ...(options?.attributes === "retain"
+      ? { retainAttributes: true as const }
+      : {})
+  })
+
+export const setAttribute = (
+  d: DurableHypergraph,
+  edge: Hedge,
+  attribute: string,
+  value: string
+): Effect.Effect<void, PlatformError | EntryError> => applyEntryOf(d, { op: "set", edge, key: attribute, value })
+
+export const deleteAttribute = (
+  d: DurableHypergraph,
+  edge: Hedge,
+  attribute: string
+): Effect.Effect<void, PlatformError | EntryError> => applyEntryOf(d, { op: "unset", edge, key: attribute })
+
+// Journaled as the resulting value, so replay stays idempotent; nothing is
+// written when `f` fails (see HG.updateAttribute)
+export const updateAttribute = <E>(
+  d: DurableHypergraph,
+  edge: Hedge,
+  attribute: string,
+  f: (current: Option.Option<string>) => Either.Either<string, E>
+): Effect.Effect<void, PlatformError | EntryError | E> =>
+  d.apply((hg) =>
+    Either.map(
+      f(HashMap.get(HG.getAttributes(hg, edge), attribute)),
+      (value): JournalEntry => ({ op: "set", edge, key: attribute, value })
+    )
+  )
+
+export const incAttribute = (
+  d: DurableHypergraph,
+  edge: Hedge,
+  attribute: string,
+  by = 1
+): Effect.Effect<void, PlatformError | EntryError | ParseResult.ParseError> =>
+  updateAttribute(d, edge, attribute, HG.incrementBy(by))
+
+export const decAttribute = (
+  d: DurableHypergraph,
+  edge: Hedge,
+  attribute: string,
+  by = 1
+): Effect.Effect<void, PlatformError | EntryError | ParseResult.ParseError> => incAttribute(d, edge, attribute, -by)
+
+// Not journaled: indexes are derived from the data and live in memory only
+export const declareAttributeIndex = (
+  d: DurableHypergraph,
+  attribute: string,
+  kind: HG.AttributeIndexKind
+): Effect.Effect<void> => Ref.update(d.state, (hg) => HG.declareAttributeIndex(hg, attribute, kind))
+
+// Not journaled either: views are derived like indexes
+export const declareView = (
+  d: DurableHypergraph,
+  name: string,
+  pattern: Hedge
+): Effect.Effect<void> => Ref.update(d.state, (hg) => HG.declareView(hg, name, pattern))
+
+export const compact = (
+  d: DurableHypergraph
+): Effect.Effect<void, PlatformError> => d.compact
@@ -1,615 +1,1471 @@
-import { HashMap, HashSet, Chunk, Option, pipe, Effect } from "effect";
-import * as Stream from "effect/Stream";
-import { Atom, Hedge, isAtom } from "../hg/model.js";
-import { toStr } from "../hg/print.js";
-import { connector, typeOf, argrolesOf, atoms } from "../hg/ops.js";
-import { match as edgeMatches } from "../patterns/matcher.js";
-import * as KV from "./KeyValue.js";
-import {
-  matchWithBindings,
-  emptyBindings,
-  Bindings,
-} from "../patterns/variables.js";
+import { Chunk, Effect, Either, HashMap, HashSet, Option, Order, RedBlackTree, Schema as S } from "effect"
+import type { ParseResult } from "effect"
+import * as Stream from "effect/Stream"
+import { partsOf } from "../hg/atom.js"
+import type { SimplifyOptions } from "../hg/atom.js"
+import type { Atom, Hedge } from "../hg/model.js"
+import { hedge, isAtom } from "../hg/model.js"
+import { argrolesOf, atoms, connector, normalized, typeOf } from "../hg/ops.js"
+import type { Path } from "../hg/path.js"
+import { toStr } from "../hg/print.js"
+import { match as edgeMatches, normalizeUnorderedBracesText } from "../patterns/matcher.js"
+import { isUnorderedPattern } from "../patterns/properties.js"
+import type { Bindings } from "../patterns/variables.js"
+import { emptyBindings, matchWithBindings } from "../patterns/variables.js"
+
+// Edges and atoms are interned: each distinct term (by toStr) gets an integer
+// id once, indexes hold sets of edge ids, and stored edges share one instance
+// per distinct atom (so parsed atom parts are computed once). String keys are
+// only computed for lookups and output. A term is released (see release) once
+// no stored edge contains it and it has no attributes. Ids are never reused; a
+// snapshot round trip (see Snapshot.ts) renumbers them densely.
+export type IdSet = HashSet.HashSet<number>
+export type Index = HashMap.HashMap<string, IdSet>
 
 export interface Hypergraph {
-  readonly kv: KV.KeyValueStore;
-  readonly byConnector: HashMap.HashMap<string, HashSet.HashSet<string>>;
-  readonly byType: HashMap.HashMap<string, HashSet.HashSet<string>>;
-  readonly byRoot: HashMap.HashMap<string, HashSet.HashSet<string>>;
-  readonly byArgrole: HashMap.HashMap<string, HashSet.HashSet<string>>;
-  readonly byHeadAtom: HashMap.HashMap<string, HashSet.HashSet<string>>;
-  readonly attrs: HashMap.HashMap<string, HashMap.HashMap<string, string>>;
-  readonly byArity: HashMap.HashMap<string, HashSet.HashSet<string>>;
-  readonly byArgroleSet: HashMap.HashMap<string, HashSet.HashSet<string>>;
-  readonly byArgRootN: HashMap.HashMap<
-    number,
-    HashMap.HashMap<string, HashSet.HashSet<string>>
-  >;
-  readonly byArgsMultiset: HashMap.HashMap<string, HashSet.HashSet<string>>;
+  // every term seen (stored edges, their items at any depth and edges that
+  // only carry attributes) by toStr -> id
+  readonly ids: HashMap.HashMap<string, number>
+  readonly nextId: number
+  // shared atom instances by id
+  readonly atoms: HashMap.HashMap<number, Atom>
+  // stored edges by id
+  readonly edges: HashMap.HashMap<number, Hedge>
+  // sequence number of each stored edge, given when it is first stored, and
+  // stored edge ids by sequence number and by key (see Ordering and pages)
+  readonly seqs: HashMap.HashMap<number, number>
+  readonly nextSeq: number
+  readonly bySeq: RedBlackTree.RedBlackTree<number, number>
+  readonly byKey: RedBlackTree.RedBlackTree<string, number>
+  readonly byConnector: Index
+  readonly byType: Index
+  readonly byRoot: Index
+  readonly byArgrole: Index
+  readonly byHeadAtom: Index
+  // attributes by edge id (kept for removed edges with retained attributes)
+  readonly attrs: HashMap.HashMap<number, HashMap.HashMap<string, string>>
+  // edges with attributes that are not stored (never inserted, or removed
+  // with retained attributes) by id
+  readonly attrEdges: HashMap.HashMap<number, Hedge>
+  readonly byArity: Index
+  readonly byArgroleSet: Index
+  readonly byArgRootN: HashMap.HashMap<number, Index>
+  readonly byArgsMultiset: Index
+  // nested structure by item path (see hg/path.ts, joined with "."): atomic
+  // connectors of the subedges at a path, and roots of the atoms below the
+  // top-level arguments (top-level positions are byConnector and byArgRootN)
+  readonly byConnectorAt: HashMap.HashMap<string, Index>
+  readonly byRootAt: HashMap.HashMap<string, Index>
+  // direct items (atoms and subedges, by id) -> edges containing them
+  readonly bySubedge: HashMap.HashMap<number, IdSet>
+  // items at any depth -> edges containing them
+  readonly byDeepSubedge: HashMap.HashMap<number, IdSet>
+  // stored edges that were only added as subedges of a recursive insert
+  readonly secondary: IdSet
+  // declared attribute indexes by attribute name (see declareAttributeIndex)
+  readonly attrIndexes: HashMap.HashMap<string, AttributeIndex>
+  // registered pattern views by name (see declareView)
+  readonly views: HashMap.HashMap<string, PatternView>
 }
 
+export type AttributeIndexKind = "equality" | "range"
+
+// Ids of the stored edges by attribute value: exact strings for "equality",
+// numbers in order for "range" (values that are not numbers are left out)
+export type AttributeIndex =
+  | {
+    readonly kind: "equality"
+    readonly values: Index
+  }
+  | {
+    readonly kind: "range"
+    readonly values: RedBlackTree.RedBlackTree<number, IdSet>
+  }
+
 export const make = (): Hypergraph => ({
-  kv: KV.make(),
+  ids: HashMap.empty(),
+  nextId: 0,
+  atoms: HashMap.empty(),
+  edges: HashMap.empty(),
+  seqs: HashMap.empty(),
+  nextSeq: 0,
+  bySeq: RedBlackTree.empty(Order.number),
+  byKey: RedBlackTree.empty(Order.string),
   byConnector: HashMap.empty(),
   byType: HashMap.empty(),
   byRoot: HashMap.empty(),
   byArgrole: HashMap.empty(),
   byHeadAtom: HashMap.empty(),
   attrs: HashMap.empty(),
+  attrEdges: HashMap.empty(),
   byArity: HashMap.empty(),
   byArgroleSet: HashMap.empty(),
   byArgRootN: HashMap.empty(),
   byArgsMultiset: HashMap.empty(),
-});
+  byConnectorAt: HashMap.empty(),
+  byRootAt: HashMap.empty(),
+  bySubedge: HashMap.empty(),
+  byDeepSubedge: HashMap.empty(),
+  secondary: HashSet.empty(),
+  attrIndexes: HashMap.empty(),
+  views: HashMap.empty()
+})
 
-const addToIndex = (
-  index: HashMap.HashMap<string, HashSet.HashSet<string>>,
-  key: string,
-  edgeKey: string
-): HashMap.HashMap<string, HashSet.HashSet<string>> =>
+const addToIndex = <K>(
+  index: HashMap.HashMap<K, IdSet>,
+  key: K,
+  id: number
+): HashMap.HashMap<K, IdSet> =>
   HashMap.get(index, key)
-    .pipe(Option.getOrElse(() => HashSet.empty<string>()))
-    .pipe((set) => HashSet.add(set, edgeKey))
-    .pipe((set) => HashMap.set(index, key, set));
+    .pipe(Option.getOrElse(() => HashSet.empty<number>()))
+    .pipe((set) => HashSet.add(set, id))
+    .pipe((set) => HashMap.set(index, key, set))
 
-const removeFromIndex = (
-  index: HashMap.HashMap<string, HashSet.HashSet<string>>,
-  key: string,
-  edgeKey: string
-): HashMap.HashMap<string, HashSet.HashSet<string>> =>
+const removeFromIndex = <K>(
+  index: HashMap.HashMap<K, IdSet>,
+  key: K,
+  id: number
+): HashMap.HashMap<K, IdSet> =>
   HashMap.get(index, key).pipe(
     Option.match({
       onNone: () => index,
       onSome: (set) => {
-        const nextSet = HashSet.remove(set, edgeKey);
+        const nextSet = HashSet.remove(set, id)
         return HashSet.size(nextSet) === 0
           ? HashMap.remove(index, key)
-          : HashMap.set(index, key, nextSet);
-      },
+          : HashMap.set(index, key, nextSet)
+      }
     })
-  );
-
-const addToNestedIndex = (
-  nested: HashMap.HashMap<
-    number,
-    HashMap.HashMap<string, HashSet.HashSet<string>>
-  >,
-  position: number,
+  )
+
+const addToNestedIndex = <K>(
+  nested: HashMap.HashMap<K, Index>,
+  position: K,
   key: string,
-  edgeKey: string
-): HashMap.HashMap<
-  number,
-  HashMap.HashMap<string, HashSet.HashSet<string>>
-> => {
-  const innerOpt = HashMap.get(nested, position);
-  const inner =
-    innerOpt._tag === "Some"
-      ? innerOpt.value
-      : HashMap.empty<string, HashSet.HashSet<string>>();
-  const updatedInner = addToIndex(inner, key, edgeKey);
-  return HashMap.set(nested, position, updatedInner);
-};
-
-const removeFromNestedIndex = (
-  nested: HashMap.HashMap<
-    number,
-    HashMap.HashMap<string, HashSet.HashSet<string>>
-  >,
-  position: number,
+  id: number
+): HashMap.HashMap<K, Index> => {
+  const innerOpt = HashMap.get(nested, position)
+  const inner = innerOpt._tag === "Some" ? innerOpt.value : HashMap.empty<string, IdSet>()
+  const updatedInner = addToIndex(inner, key, id)
+  return HashMap.set(nested, position, updatedInner)
+}
+
+const removeFromNestedIndex = <K>(
+  nested: HashMap.HashMap<K, Index>,
+  position: K,
   key: string,
-  edgeKey: string
-): HashMap.HashMap<
-  number,
-  HashMap.HashMap<string, HashSet.HashSet<string>>
-> => {
-  const innerOpt = HashMap.get(nested, position);
-  if (innerOpt._tag === "None") return nested;
-  const updatedInner = removeFromIndex(innerOpt.value, key, edgeKey);
-  return HashMap.set(nested, position, updatedInner);
-};
-
-export const insert = (hg: Hypergraph, edge: Hedge): Hypergraph => {
-  const key = toStr(edge);
-  const conn = connector(edge);
-  const typ = typeOf(edge);
-  const kv = KV.insert(hg.kv, edge);
-  const byConnector = addToIndex(hg.byConnector, toStr(conn), key);
-  const byType = addToIndex(hg.byType, typ, key);
+  id: number
+): HashMap.HashMap<K, Index> => {
+  const innerOpt = HashMap.get(nested, position)
+  if (innerOpt._tag === "None") return nested
+  const updatedInner = removeFromIndex(innerOpt.value, key, id)
+  return HashMap.size(updatedInner) === 0
+    ? HashMap.remove(nested, position)
+    : HashMap.set(nested, position, updatedInner)
+}
+
+// [path, key] entries of byConnectorAt and byRootAt for an edge; for a
+// pattern, only its concrete atoms at fixed positions (the arguments of
+// unordered patterns match in any order, see patterns/matcher.ts)
+const nestedKeys = (
+  e: Hedge,
+  pattern = false
+): {
+  readonly connectors: ReadonlyArray<readonly [string, string]>
+  readonly roots: ReadonlyArray<readonly [string, string]>
+} => {
+  const connectors: Array<[string, string]> = []
+  const roots: Array<[string, string]> = []
+  const concrete = (a: Atom) => !pattern || isConcreteAtomText(a.text)
+  const items = (t: Hedge, path: Path) => {
+    const fixed = !pattern || !isUnorderedPattern(t)
+    t.items.forEach((it, i) => {
+      if (i === 0 ? !isAtom(it) : fixed) go(it, [...path, i])
+    })
+  }
+  const go = (t: Atom | Hedge, path: Path) => {
+    if (isAtom(t)) {
+      if (path.length < 2 || !concrete(t)) return
+      const root = partsOf(t).root
+      if (root) roots.push([path.join("."), root])
+      return
+    }
+    const conn = t.items[0]
+    if (conn !== undefined && isAtom(conn) && concrete(conn)) {
+      connectors.push([
+        path.join("."),
+        normalizeUnorderedBracesText(conn.text)
+      ])
+    }
+    items(t, path)
+  }
+  items(e, [])
+  return { connectors, roots }
+}
+
+// ===== Interning =====
+
+interface Terms {
+  ids: HashMap.HashMap<string, number>
+  atoms: HashMap.HashMap<number, Atom>
+  nextId: number
+}
+
+// A term with the ids of its items, in the shape of the edge
+interface TermNode {
+  readonly term: Atom | Hedge
+  readonly id: number
+  readonly key: string
+  readonly items: ReadonlyArray<TermNode>
+}
+
+const termsOf = (hg: Hypergraph): Terms => ({
+  ids: hg.ids,
+  atoms: hg.atoms,
+  nextId: hg.nextId
+})
+
+const idFor = (terms: Terms, key: string): number => {
+  const known = HashMap.get(terms.ids, key)
+  if (known._tag === "Some") return known.value
+  const id = terms.nextId++
+  terms.ids = HashMap.set(terms.ids, key, id)
+  return id
+}
+
+// Assigns ids to the term and everything in it, replacing atoms (and stored
+// subedges) by their shared instances; keys are built bottom-up, so each
+// subterm is printed once
+const intern = (
+  terms: Terms,
+  edges: HashMap.HashMap<number, Hedge>,
+  e: Atom | Hedge
+): TermNode => {
+  if (isAtom(e)) {
+    const key = e.parens ? `(${e.text})` : e.text
+    const id = idFor(terms, key)
+    const shared = HashMap.get(terms.atoms, id)
+    if (shared._tag === "Some") {
+      return { term: shared.value, id, items: [], key }
+    }
+    terms.atoms = HashMap.set(terms.atoms, id, e)
+    return { term: e, id, items: [], key }
+  }
+  const items = e.items.map((it) => intern(terms, edges, it))
+  const key = `(${items.map((n) => n.key).join(" ")})`
+  const id = idFor(terms, key)
+  const stored = HashMap.get(edges, id)
+  const term = stored._tag === "Some"
+    ? stored.value
+    : items.every((n, i) => n.term === e.items[i])
+    ? e
+    : hedge(items.map((n) => n.term))
+  return { term, id, items, key }
+}
+
+const idOf = (hg: Hypergraph, e: Atom | Hedge): Option.Option<number> => HashMap.get(hg.ids, toStr(e))
+
+// Ids of the proper subedges and atoms of an edge, at any depth
+const deepItemIds = (node: TermNode): ReadonlySet<number> => {
+  const out = new Set<number>()
+  const go = (n: TermNode) => {
+    for (const it of n.items) {
+      out.add(it.id)
+      go(it)
+    }
+  }
+  go(node)
+  return out
+}
+
+// Whether anything still refers to the term: it is stored, has attributes or
+// is an item of a stored edge
+const isLive = (hg: Hypergraph, id: number): boolean =>
+  HashMap.has(hg.edges, id) || HashMap.has(hg.attrs, id) || HashMap.has(hg.byDeepSubedge, id)
+
+// Forgets the ids and shared atoms of the terms in `node` that are not live
+// anymore; the items of a stored term are live along with it
+const release = (hg: Hypergraph, node: TermNode): Hypergraph => {
+  let ids = hg.ids
+  let atoms = hg.atoms
+  const go = (n: TermNode) => {
+    if (HashMap.has(hg.edges, n.id)) return
+    if (!isLive(hg, n.id)) {
+      ids = HashMap.remove(ids, n.key)
+      atoms = HashMap.remove(atoms, n.id)
+    }
+    n.items.forEach(go)
+  }
+  go(node)
+  return { ...hg, ids, atoms }
+}
+
+// A term that is not stored, without its items
+const leaf = (id: number, e: Atom | Hedge): TermNode => ({ term: e, id, key: toStr(e), items: [] })
+
+export interface EdgeKeyOptions {
+  // key the edge by its normalized form (see ops.normalized), so that
+  // equivalent edges with reordered arguments are stored once
+  readonly normalize?: boolean
+}
+
+export interface InsertOptions extends EdgeKeyOptions {
+  // also store every nested subedge (Graphbrain-style); subedges that were
+  // not inserted on their own are non-primary
+  readonly recursive?: boolean
+}
+
+export interface RemoveOptions extends EdgeKeyOptions {
+  // also remove non-primary subedges no other edge contains anymore
+  readonly recursive?: boolean
+  // what happens to the attributes of removed edges (default: "delete")
+  readonly attributes?: "delete" | "retain"
+}
+
+// Reason an edge cannot be stored, if any; insert throws on such edges before
+// changing anything
+export const invalidEdgeReason = (edge: Hedge): string | undefined => {
+  const go = (e: Atom | Hedge): string | undefined => {
+    if (isAtom(e)) {
+      return e.text.length === 0 || /\s/.test(e.text)
+        ? `invalid atom ${JSON.stringify(e.text)}`
+        : undefined
+    }
+    if (e.items.length === 0) return "empty hyperedge"
+    // the indexes need the type of every stored edge, e.g. `(a/Cp b/C)` has none
+    const typed = Either.try(() => typeOf(e))
+    if (Either.isLeft(typed)) return `malformed edge ${toStr(e)}`
+    for (const it of e.items) {
+      const reason = go(it)
+      if (reason !== undefined) return reason
+    }
+    return undefined
+  }
+  return go(edge)
+}
+
+const insertOne = (
+  hg: Hypergraph,
+  edge: Hedge,
+  primary: boolean
+): Hypergraph => {
+  const terms = termsOf(hg)
+  const node = intern(terms, hg.edges, edge)
+  const id = node.id
+  const e = node.term as Hedge
+  const stored = HashMap.has(hg.edges, id)
+  const secondary = primary
+    ? HashSet.remove(hg.secondary, id)
+    : stored
+    ? hg.secondary
+    : HashSet.add(hg.secondary, id)
+  if (stored) {
+    return {
+      ...hg,
+      ids: terms.ids,
+      atoms: terms.atoms,
+      nextId: terms.nextId,
+      secondary
+    }
+  }
+  const conn = connector(e)
+  const typ = typeOf(e)
+  const edges = HashMap.set(hg.edges, id, e)
+  const byConnector = addToIndex(hg.byConnector, toStr(conn), id)
+  const byType = addToIndex(hg.byType, typ, id)
   // roots index
-  let byRoot = hg.byRoot;
-  for (const a of atoms(edge)) {
-    byRoot = addToIndex(byRoot, (a as Atom).text.split("/")[0] ?? "", key);
+  let byRoot = hg.byRoot
+  for (const a of atoms(e)) {
+    byRoot = addToIndex(byRoot, partsOf(a).root, id)
   }
   // argroles index (each role letter)
-  let byArgrole = hg.byArgrole;
-  const rolesRaw = argrolesOf(edge);
+  let byArgrole = hg.byArgrole
+  const rolesRaw = argrolesOf(e)
   if (rolesRaw && rolesRaw.length > 0) {
-    const roles = rolesRaw[0] === "{" ? rolesRaw.slice(1, -1) : rolesRaw;
+    const roles = rolesRaw[0] === "{" ? rolesRaw.slice(1, -1) : rolesRaw
     for (const r of roles.replace(/[,\s]/g, "")) {
-      byArgrole = addToIndex(byArgrole, r, key);
+      byArgrole = addToIndex(byArgrole, r, id)
     }
   }
   // head atom (first argument) when concrete atom (full text)
-  let byHeadAtom = hg.byHeadAtom;
-  if ((edge.items?.length ?? 0) > 1 && isAtom(edge.items[1] as any)) {
-    const head = edge.items[1] as Atom;
-    byHeadAtom = addToIndex(byHeadAtom, head.text, key);
+  let byHeadAtom = hg.byHeadAtom
+  if ((e.items?.length ?? 0) > 1 && isAtom(e.items[1] as any)) {
+    const head = e.items[1] as Atom
+    byHeadAtom = addToIndex(byHeadAtom, head.text, id)
   }
   // byArity
-  const arity = Math.max(0, (edge.items?.length ?? 1) - 1);
-  const byArity = addToIndex(hg.byArity, String(arity), key);
+  const arity = Math.max(0, (e.items?.length ?? 1) - 1)
+  const byArity = addToIndex(hg.byArity, String(arity), id)
   // byArgroleSet (normalized, sorted letters)
-  let byArgroleSet = hg.byArgroleSet;
-  const rolesForSet = argrolesOf(edge);
+  let byArgroleSet = hg.byArgroleSet
+  const rolesForSet = argrolesOf(e)
   if (rolesForSet && rolesForSet.length > 0) {
-    const letters =
-      rolesForSet[0] === "{" ? rolesForSet.slice(1, -1) : rolesForSet;
-    const norm = letters.replace(/[\s,]/g, "").split("").sort().join("");
-    if (norm.length > 0) byArgroleSet = addToIndex(byArgroleSet, norm, key);
+    const letters = rolesForSet[0] === "{" ? rolesForSet.slice(1, -1) : rolesForSet
+    const norm = letters.replace(/[\s,]/g, "").split("").sort().join("")
+    if (norm.length > 0) byArgroleSet = addToIndex(byArgroleSet, norm, id)
   }
   // byArgRootN (positional roots for atom arguments)
-  let byArgRootN = hg.byArgRootN;
-  const argCount = Math.max(0, (edge.items?.length ?? 1) - 1);
+  let byArgRootN = hg.byArgRootN
+  const argCount = Math.max(0, (e.items?.length ?? 1) - 1)
   for (let i = 1; i <= argCount; i++) {
-    const arg = edge.items[i] as any;
+    const arg = e.items[i] as any
     if (isAtom(arg)) {
-      const root = (arg as Atom).text.split("/")[0] ?? "";
-      if (root) byArgRootN = addToNestedIndex(byArgRootN, i, root, key);
+      const root = partsOf(arg as Atom).root
+      if (root) byArgRootN = addToNestedIndex(byArgRootN, i, root, id)
     }
   }
   // byArgsMultiset (sorted multiset of atom argument roots)
-  let byArgsMultiset = hg.byArgsMultiset;
-  const rootsForMultiset: string[] = [];
+  let byArgsMultiset = hg.byArgsMultiset
+  const rootsForMultiset: Array<string> = []
   for (let i = 1; i <= argCount; i++) {
-    const arg = edge.items[i] as any;
+    const arg = e.items[i] as any
     if (isAtom(arg)) {
-      const root = (arg as Atom).text.split("/")[0] ?? "";
-      if (root) rootsForMultiset.push(root);
+      const root = partsOf(arg as Atom).root
+      if (root) rootsForMultiset.push(root)
     }
   }
   if (rootsForMultiset.length > 0) {
-    const keyMs = rootsForMultiset.sort().join("|");
-    byArgsMultiset = addToIndex(byArgsMultiset, keyMs, key);
+    const keyMs = rootsForMultiset.sort().join("|")
+    byArgsMultiset = addToIndex(byArgsMultiset, keyMs, id)
+  }
+  // nested connectors and roots by path
+  const nested = nestedKeys(e)
+  let byConnectorAt = hg.byConnectorAt
+  for (const [path, text] of nested.connectors) {
+    byConnectorAt = addToNestedIndex(byConnectorAt, path, text, id)
+  }
+  let byRootAt = hg.byRootAt
+  for (const [path, root] of nested.roots) {
+    byRootAt = addToNestedIndex(byRootAt, path, root, id)
+  }
+  // subedges (direct and at any depth)
+  let bySubedge = hg.bySubedge
+  for (const it of node.items) bySubedge = addToIndex(bySubedge, it.id, id)
+  let byDeepSubedge = hg.byDeepSubedge
+  for (const k of deepItemIds(node)) {
+    byDeepSubedge = addToIndex(byDeepSubedge, k, id)
   }
   return {
-    kv,
+    ids: terms.ids,
+    nextId: terms.nextId,
+    atoms: terms.atoms,
+    edges,
+    seqs: HashMap.set(hg.seqs, id, hg.nextSeq),
+    nextSeq: hg.nextSeq + 1,
+    bySeq: RedBlackTree.insert(hg.bySeq, hg.nextSeq, id),
+    byKey: RedBlackTree.insert(hg.byKey, node.key, id),
     byConnector,
     byType,
     byRoot,
     byArgrole,
     byHeadAtom,
     attrs: hg.attrs,
+    attrEdges: HashMap.remove(hg.attrEdges, id),
     byArity,
     byArgroleSet,
     byArgRootN,
     byArgsMultiset,
-  };
-};
-
-export const remove = (hg: Hypergraph, edge: Hedge): Hypergraph => {
-  const key = toStr(edge);
-  const conn = connector(edge);
-  const typ = typeOf(edge);
-  const kv = KV.remove(hg.kv, edge);
-  const byConnector = removeFromIndex(hg.byConnector, toStr(conn), key);
-  const byType = removeFromIndex(hg.byType, typ, key);
-  let byRoot = hg.byRoot;
-  for (const a of atoms(edge)) {
-    byRoot = removeFromIndex(byRoot, (a as Atom).text.split("/")[0] ?? "", key);
+    byConnectorAt,
+    byRootAt,
+    bySubedge,
+    byDeepSubedge,
+    secondary,
+    // attributes retained from an earlier removal become visible again
+    attrIndexes: indexAttributes(hg, id, true),
+    views: updateViews(hg, id, e, true)
+  }
+}
+
+const insertRecursive = (
+  hg: Hypergraph,
+  edge: Hedge,
+  primary: boolean
+): Hypergraph => {
+  let next = hg
+  for (const it of edge.items) {
+    if (!isAtom(it)) next = insertRecursive(next, it, false)
   }
-  let byArgrole = hg.byArgrole;
-  const rolesRaw = argrolesOf(edge);
+  return insertOne(next, edge, primary)
+}
+
+export const insert = (
+  hg: Hypergraph,
+  edge: Hedge,
+  options?: InsertOptions
+): Hypergraph => {
+  const reason = invalidEdgeReason(edge)
+  if (reason !== undefined) throw new Error(reason)
+  const e = options?.normalize === true ? (normalized(edge) as Hedge) : edge
+  return options?.recursive === true
+    ? insertRecursive(hg, e, true)
+    : insertOne(hg, e, true)
+}
+
+const removeOne = (
+  hg: Hypergraph,
+  edge: Hedge,
+  retainAttributes: boolean
+): Hypergraph => {
+  const known = idOf(hg, edge)
+  if (known._tag === "None") return hg
+  const id = known.value
+  const attrs = retainAttributes ? hg.attrs : HashMap.remove(hg.attrs, id)
+  const storedOpt = HashMap.get(hg.edges, id)
+  if (storedOpt._tag === "None") {
+    return release({
+      ...hg,
+      attrs,
+      attrEdges: retainAttributes ? hg.attrEdges : HashMap.remove(hg.attrEdges, id)
+    }, leaf(id, edge))
+  }
+  const e = storedOpt.value
+  // every term of a stored edge is interned, so nothing is allocated here
+  const node = intern(termsOf(hg), hg.edges, e)
+  const conn = connector(e)
+  const typ = typeOf(e)
+  const edges = HashMap.remove(hg.edges, id)
+  const byConnector = removeFromIndex(hg.byConnector, toStr(conn), id)
+  const byType = removeFromIndex(hg.byType, typ, id)
+  let byRoot = hg.byRoot
+  for (const a of atoms(e)) {
+    byRoot = removeFromIndex(byRoot, partsOf(a).root, id)
+  }
+  let byArgrole = hg.byArgrole
+  const rolesRaw = argrolesOf(e)
   if (rolesRaw && rolesRaw.length > 0) {
-    const roles = rolesRaw[0] === "{" ? rolesRaw.slice(1, -1) : rolesRaw;
+    const roles = rolesRaw[0] === "{" ? rolesRaw.slice(1, -1) : rolesRaw
     for (const r of roles.replace(/[,\s]/g, "")) {
-      byArgrole = removeFromIndex(byArgrole, r, key);
+      byArgrole = removeFromIndex(byArgrole, r, id)
     }
   }
-  let byHeadAtom = hg.byHeadAtom;
-  if ((edge.items?.length ?? 0) > 1 && isAtom(edge.items[1] as any)) {
-    const head = edge.items[1] as Atom;
-    byHeadAtom = removeFromIndex(byHeadAtom, head.text, key);
+  let byHeadAtom = hg.byHeadAtom
+  if ((e.items?.length ?? 0) > 1 && isAtom(e.items[1] as any)) {
+    const head = e.items[1] as Atom
+    byHeadAtom = removeFromIndex(byHeadAtom, head.text, id)
   }
   // byArity
-  const arity = Math.max(0, (edge.items?.length ?? 1) - 1);
-  const byArity = removeFromIndex(hg.byArity, String(arity), key);
+  const arity = Math.max(0, (e.items?.length ?? 1) - 1)
+  const byArity = removeFromIndex(hg.byArity, String(arity), id)
   // byArgroleSet
-  let byArgroleSet = hg.byArgroleSet;
-  const rolesForSet = argrolesOf(edge);
+  let byArgroleSet = hg.byArgroleSet
+  const rolesForSet = argrolesOf(e)
   if (rolesForSet && rolesForSet.length > 0) {
-    const letters =
-      rolesForSet[0] === "{" ? rolesForSet.slice(1, -1) : rolesForSet;
-    const norm = letters.replace(/[\s,]/g, "").split("").sort().join("");
-    if (norm.length > 0)
-      byArgroleSet = removeFromIndex(byArgroleSet, norm, key);
+    const letters = rolesForSet[0] === "{" ? rolesForSet.slice(1, -1) : rolesForSet
+    const norm = letters.replace(/[\s,]/g, "").split("").sort().join("")
+    if (norm.length > 0) byArgroleSet = removeFromIndex(byArgroleSet, norm, id)
   }
   // byArgRootN
-  let byArgRootN = hg.byArgRootN;
-  const argCount = Math.max(0, (edge.items?.length ?? 1) - 1);
+  let byArgRootN = hg.byArgRootN
+  const argCount = Math.max(0, (e.items?.length ?? 1) - 1)
   for (let i = 1; i <= argCount; i++) {
-    const arg = edge.items[i] as any;
+    const arg = e.items[i] as any
     if (isAtom(arg)) {
-      const root = (arg as Atom).text.split("/")[0] ?? "";
-      if (root) byArgRootN = removeFromNestedIndex(byArgRootN, i, root, key);
+      const root = partsOf(arg as Atom).root
+      if (root) byArgRootN = removeFromNestedIndex(byArgRootN, i, root, id)
     }
   }
   // byArgsMultiset
-  let byArgsMultiset = hg.byArgsMultiset;
-  const rootsForMultiset: string[] = [];
+  let byArgsMultiset = hg.byArgsMultiset
+  const rootsForMultiset: Array<string> = []
   for (let i = 1; i <= argCount; i++) {
-    const arg = edge.items[i] as any;
+    const arg = e.items[i] as any
     if (isAtom(arg)) {
-      const root = (arg as Atom).text.split("/")[0] ?? "";
-      if (root) rootsForMultiset.push(root);
+      const root = partsOf(arg as Atom).root
+      if (root) rootsForMultiset.push(root)
     }
   }
   if (rootsForMultiset.length > 0) {
-    const keyMs = rootsForMultiset.sort().join("|");
-    byArgsMultiset = removeFromIndex(byArgsMultiset, keyMs, key);
+    const keyMs = rootsForMultiset.sort().join("|")
+    byArgsMultiset = removeFromIndex(byArgsMultiset, keyMs, id)
   }
-  return {
-    kv,
+  const nested = nestedKeys(e)
+  let byConnectorAt = hg.byConnectorAt
+  for (const [path, text] of nested.connectors) {
+    byConnectorAt = removeFromNestedIndex(byConnectorAt, path, text, id)
+  }
+  let byRootAt = hg.byRootAt
+  for (const [path, root] of nested.roots) {
+    byRootAt = removeFromNestedIndex(byRootAt, path, root, id)
+  }
+  let bySubedge = hg.bySubedge
+  for (const it of node.items) {
+    bySubedge = removeFromIndex(bySubedge, it.id, id)
+  }
+  let byDeepSubedge = hg.byDeepSubedge
+  for (const k of deepItemIds(node)) {
+    byDeepSubedge = removeFromIndex(byDeepSubedge, k, id)
+  }
+  const seq = HashMap.unsafeGet(hg.seqs, id)
+  return release({
+    ids: hg.ids,
+    nextId: hg.nextId,
+    atoms: hg.atoms,
+    edges,
+    seqs: HashMap.remove(hg.seqs, id),
+    nextSeq: hg.nextSeq,
+    bySeq: RedBlackTree.removeFirst(hg.bySeq, seq),
+    byKey: RedBlackTree.removeFirst(hg.byKey, node.key),
     byConnector,
     byType,
     byRoot,
     byArgrole,
     byHeadAtom,
-    attrs: hg.attrs,
+    attrs,
+    attrEdges: HashMap.has(attrs, id) ? HashMap.set(hg.attrEdges, id, e) : hg.attrEdges,
     byArity,
     byArgroleSet,
     byArgRootN,
     byArgsMultiset,
-  };
-};
+    byConnectorAt,
+    byRootAt,
+    bySubedge,
+    byDeepSubedge,
+    secondary: HashSet.remove(hg.secondary, id),
+    attrIndexes: indexAttributes(hg, id, false),
+    views: updateViews(hg, id, e, false)
+  }, node)
+}
+
+const removeRecursive = (
+  hg: Hypergraph,
+  edge: Hedge,
+  retainAttributes: boolean
+): Hypergraph => {
+  let next = removeOne(hg, edge, retainAttributes)
+  for (const it of edge.items) {
+    if (isAtom(it) || !has(next, it) || isPrimary(next, it)) continue
+    if (degree(next, it) === 0) {
+      next = removeRecursive(next, it, retainAttributes)
+    }
+  }
+  return next
+}
 
-export const size = (hg: Hypergraph): number => KV.size(hg.kv);
+export const remove = (
+  hg: Hypergraph,
+  edge: Hedge,
+  options?: RemoveOptions
+): Hypergraph => {
+  const e = options?.normalize === true ? (normalized(edge) as Hedge) : edge
+  const retain = options?.attributes === "retain"
+  return options?.recursive === true
+    ? removeRecursive(hg, e, retain)
+    : removeOne(hg, e, retain)
+}
 
-export const values = (hg: Hypergraph): ReadonlyArray<Hedge> =>
-  KV.values(hg.kv);
+// Applies `f` to every top-level map and `g` to every top-level set (the
+// ordered trees have no mutable mode and are kept as they are)
+const mapMaps = (
+  hg: Hypergraph,
+  f: <K, V>(m: HashMap.HashMap<K, V>) => HashMap.HashMap<K, V>,
+  g: <A>(s: HashSet.HashSet<A>) => HashSet.HashSet<A>
+): Hypergraph => ({
+  ids: f(hg.ids),
+  nextId: hg.nextId,
+  atoms: f(hg.atoms),
+  edges: f(hg.edges),
+  seqs: f(hg.seqs),
+  nextSeq: hg.nextSeq,
+  bySeq: hg.bySeq,
+  byKey: hg.byKey,
+  byConnector: f(hg.byConnector),
+  byType: f(hg.byType),
+  byRoot: f(hg.byRoot),
+  byArgrole: f(hg.byArgrole),
+  byHeadAtom: f(hg.byHeadAtom),
+  attrs: f(hg.attrs),
+  attrEdges: f(hg.attrEdges),
+  byArity: f(hg.byArity),
+  byArgroleSet: f(hg.byArgroleSet),
+  byArgRootN: f(hg.byArgRootN),
+  byArgsMultiset: f(hg.byArgsMultiset),
+  byConnectorAt: f(hg.byConnectorAt),
+  byRootAt: f(hg.byRootAt),
+  bySubedge: f(hg.bySubedge),
+  byDeepSubedge: f(hg.byDeepSubedge),
+  secondary: g(hg.secondary),
+  attrIndexes: f(hg.attrIndexes),
+  views: f(hg.views)
+})
 
-export const get = (hg: Hypergraph, edge: Hedge) => KV.get(hg.kv, edge);
+// Switches every map into in-place mutation (see HashMap.beginMutation); the
+// input hypergraph is left untouched. Pair with endMutation before sharing.
+export const beginMutation = (hg: Hypergraph): Hypergraph => mapMaps(hg, HashMap.beginMutation, HashSet.beginMutation)
 
-export const getByKey = (hg: Hypergraph, key: string) =>
-  KV.getByKey(hg.kv, key);
+export const endMutation = (hg: Hypergraph): Hypergraph => mapMaps(hg, HashMap.endMutation, HashSet.endMutation)
 
-export const findByConnector = (
+// Bulk insert without copying the maps on every insert
+export const insertMany = (
   hg: Hypergraph,
-  connKey: string
-): Chunk.Chunk<Hedge> =>
-  HashMap.get(hg.byConnector, connKey).pipe(
-    Option.match({
-      onNone: () => Chunk.empty<Hedge>(),
-      onSome: (set) =>
-        Chunk.fromIterable(HashSet.values(set)).pipe(
-          Chunk.flatMap((k) =>
-            HashMap.get(hg.kv.map, k).pipe(
-              Option.match({
-                onNone: () => Chunk.empty<Hedge>(),
-                onSome: (edge) => Chunk.of(edge),
-              })
-            )
-          )
-        ),
-    })
-  );
+  edges: Iterable<Hedge>,
+  options?: InsertOptions
+): Hypergraph => {
+  let next = beginMutation(hg)
+  for (const e of edges) next = insert(next, e, options)
+  return endMutation(next)
+}
 
-export const findByType = (
+export const size = (hg: Hypergraph): number => HashMap.size(hg.edges)
+
+export const values = (hg: Hypergraph): ReadonlyArray<Hedge> => Array.from(HashMap.values(hg.edges))
+
+export const has = (hg: Hypergraph, edge: Hedge): boolean => Option.isSome(storedId(hg, edge))
+
+// Id of the edge when it is stored
+const storedId = (hg: Hypergraph, edge: Hedge): Option.Option<number> =>
+  Option.filter(idOf(hg, edge), (id) => HashMap.has(hg.edges, id))
+
+export interface LookupOptions extends EdgeKeyOptions {
+  // compare edges by their simplified form (see ops.simplify)
+  readonly simplify?: SimplifyOptions
+}
+
+export const get = (
   hg: Hypergraph,
-  typeKey: string
-): Chunk.Chunk<Hedge> =>
-  HashMap.get(hg.byType, typeKey).pipe(
-    Option.match({
-      onNone: () => Chunk.empty<Hedge>(),
-      onSome: (set) =>
-        Chunk.fromIterable(HashSet.values(set)).pipe(
-          Chunk.flatMap((k) =>
-            HashMap.get(hg.kv.map, k).pipe(
-              Option.match({
-                onNone: () => Chunk.empty<Hedge>(),
-                onSome: (edge) => Chunk.of(edge),
-              })
-            )
-          )
-        ),
-    })
-  );
+  edge: Hedge,
+  options?: LookupOptions
+): Option.Option<Hedge> => {
+  const query = options?.normalize === true ? (normalized(edge) as Hedge) : edge
+  return options?.simplify === undefined
+    ? getByKey(hg, toStr(query))
+    : Chunk.head(findSimplified(hg, query, options.simplify))
+}
 
-export const findByPattern = (
+// Edges whose simplified form equals the simplified form of `edge`.
+// Simplification keeps roots and arity, so those indexes select candidates.
+export const findSimplified = (
   hg: Hypergraph,
-  pattern: Hedge
-): Chunk.Chunk<Hedge> =>
-  pipe(
-    candidateKeysForPattern(hg, pattern),
-    (keys) => Chunk.fromIterable(HashSet.values(keys)),
-    Chunk.flatMap((k) =>
-      HashMap.get(hg.kv.map, k).pipe(
+  edge: Hedge,
+  options: SimplifyOptions = {}
+): Chunk.Chunk<Hedge> => {
+  const target = toStr(edge, { simplify: options })
+  const arity = Math.max(0, edge.items.length - 1)
+  let ids = idsFromIndex(hg.byArity, String(arity))
+  for (const a of atoms(edge)) {
+    ids = intersect(ids, idsFromIndex(hg.byRoot, partsOf(a).root))
+  }
+  let out = Chunk.empty<Hedge>()
+  for (const id of HashSet.values(ids)) {
+    const opt = HashMap.get(hg.edges, id)
+    if (opt._tag === "None") continue
+    if (toStr(opt.value, { simplify: options }) === target) {
+      out = Chunk.append(out, opt.value)
+    }
+  }
+  return out
+}
+
+export const getByKey = (hg: Hypergraph, key: string): Option.Option<Hedge> =>
+  Option.flatMap(HashMap.get(hg.ids, key), (id) => HashMap.get(hg.edges, id))
+
+const edgesOf = (hg: Hypergraph, ids: ReadonlyArray<number>) =>
+  Chunk.fromIterable(ids).pipe(
+    Chunk.flatMap((id) =>
+      HashMap.get(hg.edges, id).pipe(
         Option.match({
           onNone: () => Chunk.empty<Hedge>(),
-          onSome: (e) => Chunk.of(e),
+          onSome: (edge) => Chunk.of(edge)
         })
       )
-    ),
-    Chunk.filter((e) => KV.findByPattern(hg.kv, pattern).includes(e))
-  );
+    )
+  )
+
+export const findByConnector = (
+  hg: Hypergraph,
+  connKey: string,
+  options?: PageOptions
+): Chunk.Chunk<Hedge> => edgesOf(hg, pageIds(hg, idsFromIndex(hg.byConnector, connKey), options))
+
+export const findByType = (
+  hg: Hypergraph,
+  typeKey: string,
+  options?: PageOptions
+): Chunk.Chunk<Hedge> => edgesOf(hg, pageIds(hg, idsFromIndex(hg.byType, typeKey), options))
+
+export interface PatternQueryOptions extends PageOptions {
+  // attribute conditions every result must also satisfy; declared attribute
+  // indexes narrow the candidates
+  readonly where?: ReadonlyArray<AttributePredicate>
+  // receives the plan of the query once its results are known (see explain)
+  readonly onPlan?: (plan: QueryPlan) => void
+}
+
+const matchesQuery = (
+  hg: Hypergraph,
+  e: Hedge,
+  pattern: Hedge,
+  options?: PatternQueryOptions
+): boolean => edgeMatches(e, pattern) && satisfiesAll(hg, e, options?.where)
+
+export const findByPattern = (
+  hg: Hypergraph,
+  pattern: Hedge,
+  options?: PatternQueryOptions
+): Chunk.Chunk<Hedge> => {
+  const planned = planCandidates(hg, pattern, options?.where)
+  const found = Array.from(HashSet.values(planned.ids)).filter((id) => {
+    const e = HashMap.get(hg.edges, id)
+    return e._tag === "Some" && matchesQuery(hg, e.value, pattern, options)
+  })
+  options?.onPlan?.(toPlan(hg, pattern, planned, found.length))
+  return edgesOf(hg, pageIds(hg, found, options))
+}
 
 // Iterate all edges as a Chunk (python hg.all equivalent)
-export const all = (hg: Hypergraph): Chunk.Chunk<Hedge> =>
-  Chunk.fromIterable(HashMap.values(hg.kv.map));
+export const all = (hg: Hypergraph): Chunk.Chunk<Hedge> => Chunk.fromIterable(HashMap.values(hg.edges))
 
 // ===== Stream APIs for large datasets =====
 
-const keysToEdgeStream = (
-  hg: Hypergraph,
-  keys: HashSet.HashSet<string>
-): Stream.Stream<Hedge> =>
-  Stream.fromIterable(HashSet.values(keys)).pipe(
-    Stream.map((k) => HashMap.get(hg.kv.map, k)),
+const idsToEdgeStream = (hg: Hypergraph, ids: IdSet): Stream.Stream<Hedge> =>
+  Stream.fromIterable(HashSet.values(ids)).pipe(
+    Stream.map((id) => HashMap.get(hg.edges, id)),
     Stream.filter(Option.isSome),
     Stream.map((o) => (o as Option.Some<Hedge>).value)
-  );
+  )
+
+// ordered pages are sorted when the stream starts
+const idsToPagedStream = (
+  hg: Hypergraph,
+  ids: IdSet,
+  options?: PageOptions
+): Stream.Stream<Hedge> =>
+  isPaged(options)
+    ? Stream.suspend(() => Stream.fromChunk(edgesOf(hg, pageIds(hg, ids, options))))
+    : idsToEdgeStream(hg, ids)
 
-export const streamAll = (hg: Hypergraph): Stream.Stream<Hedge> =>
-  Stream.fromIterable(HashMap.values(hg.kv.map));
+export const streamAll = (hg: Hypergraph): Stream.Stream<Hedge> => Stream.fromIterable(HashMap.values(hg.edges))
 
 export const streamByConnector = (
   hg: Hypergraph,
-  connectorKey: string
-): Stream.Stream<Hedge> =>
-  keysToEdgeStream(hg, keysFromIndex(hg.byConnector, connectorKey));
+  connectorKey: string,
+  options?: PageOptions
+): Stream.Stream<Hedge> => idsToPagedStream(hg, idsFromIndex(hg.byConnector, connectorKey), options)
 
 export const streamByType = (
   hg: Hypergraph,
-  typeKey: string
-): Stream.Stream<Hedge> =>
-  keysToEdgeStream(hg, keysFromIndex(hg.byType, typeKey));
+  typeKey: string,
+  options?: PageOptions
+): Stream.Stream<Hedge> => idsToPagedStream(hg, idsFromIndex(hg.byType, typeKey), options)
 
 export const streamByRoot = (
   hg: Hypergraph,
   root: string
-): Stream.Stream<Hedge> => keysToEdgeStream(hg, keysFromIndex(hg.byRoot, root));
+): Stream.Stream<Hedge> => idsToEdgeStream(hg, idsFromIndex(hg.byRoot, root))
 
 export const streamByHeadAtom = (
   hg: Hypergraph,
   headAtomText: string
-): Stream.Stream<Hedge> =>
-  keysToEdgeStream(hg, keysFromIndex(hg.byHeadAtom, headAtomText));
+): Stream.Stream<Hedge> => idsToEdgeStream(hg, idsFromIndex(hg.byHeadAtom, headAtomText))
 
 export const streamByPattern = (
   hg: Hypergraph,
-  pattern: Hedge
+  pattern: Hedge,
+  options?: PatternQueryOptions
 ): Stream.Stream<Hedge> =>
-  keysToEdgeStream(hg, candidateKeysForPattern(hg, pattern)).pipe(
-    Stream.filter((e) => edgeMatches(e, pattern))
-  );
+  Stream.suspend(() => {
+    if (isPaged(options)) {
+      return Stream.fromChunk(findByPattern(hg, pattern, options))
+    }
+    const planned = planCandidates(hg, pattern, options?.where)
+    const matches = idsToEdgeStream(hg, planned.ids).pipe(
+      Stream.filter((e) => matchesQuery(hg, e, pattern, options))
+    )
+    const onPlan = options?.onPlan
+    if (onPlan === undefined) return matches
+    // the plan is reported when the stream is fully consumed
+    let count = 0
+    return matches.pipe(
+      Stream.tap(() => Effect.sync(() => count++)),
+      Stream.onEnd(
+        Effect.sync(() => onPlan(toPlan(hg, pattern, planned, count)))
+      )
+    )
+  })
 
 export const streamByPatternWithBindings = (
   hg: Hypergraph,
   pattern: Hedge
 ): Stream.Stream<EdgeWithBindings> =>
-  keysToEdgeStream(hg, candidateKeysForPattern(hg, pattern)).pipe(
+  idsToEdgeStream(hg, candidateIdsForPattern(hg, pattern)).pipe(
     Stream.map((e) => ({
       edge: e,
-      res: matchWithBindings(e, pattern, emptyBindings),
+      res: matchWithBindings(e, pattern, emptyBindings)
     })),
     Stream.filter(({ res }) => res._tag === "Some"),
     Stream.map(({ edge, res }) => ({
       edge,
-      bindings: (res as Option.Some<Bindings>).value,
+      bindings: (res as Option.Some<Bindings>).value
     }))
-  );
+  )
 
 export interface EdgeWithBindings {
-  readonly edge: Hedge;
-  readonly bindings: Bindings;
+  readonly edge: Hedge
+  readonly bindings: Bindings
 }
 
 export const findByPatternWithBindings = (
   hg: Hypergraph,
   pattern: Hedge
 ): Chunk.Chunk<EdgeWithBindings> => {
-  const keys = candidateKeysForPattern(hg, pattern);
-  let out = Chunk.empty<EdgeWithBindings>();
-  for (const k of HashSet.values(keys)) {
-    const opt = HashMap.get(hg.kv.map, k);
-    if (opt._tag === "None") continue;
-    const e = opt.value;
-    const res = matchWithBindings(e, pattern, emptyBindings);
+  const ids = candidateIdsForPattern(hg, pattern)
+  let out = Chunk.empty<EdgeWithBindings>()
+  for (const id of HashSet.values(ids)) {
+    const opt = HashMap.get(hg.edges, id)
+    if (opt._tag === "None") continue
+    const e = opt.value
+    const res = matchWithBindings(e, pattern, emptyBindings)
     if (res._tag === "Some") {
-      out = Chunk.append(out, { edge: e, bindings: res.value });
+      out = Chunk.append(out, { edge: e, bindings: res.value })
     }
   }
-  return out;
-};
+  return out
+}
 
 // ---------- Internal: candidate selection ----------
 
-const isConcreteAtomText = (t: string): boolean =>
-  t !== "*" && !t.startsWith("?") && t !== "(*)";
+const isConcreteAtomText = (t: string): boolean => t !== "*" && !t.startsWith("?") && t !== "(*)"
 
-const intersect = (
-  a: HashSet.HashSet<string>,
-  b: HashSet.HashSet<string>
-): HashSet.HashSet<string> => {
+const intersect = (a: IdSet, b: IdSet): IdSet => {
   // iterate smaller
-  const [small, large] = HashSet.size(a) <= HashSet.size(b) ? [a, b] : [b, a];
-  let out = HashSet.empty<string>();
-  for (const k of HashSet.values(small))
-    if (HashSet.has(large, k)) out = HashSet.add(out, k);
-  return out;
-};
-
-const keysFromIndex = (
-  index: HashMap.HashMap<string, HashSet.HashSet<string>>,
-  key: string
-): HashSet.HashSet<string> =>
+  const [small, large] = HashSet.size(a) <= HashSet.size(b) ? [a, b] : [b, a]
+  let out = HashSet.empty<number>()
+  for (const k of HashSet.values(small)) {
+    if (HashSet.has(large, k)) out = HashSet.add(out, k)
+  }
+  return out
+}
+
+const idsFromIndex = <K>(index: HashMap.HashMap<K, IdSet>, key: K): IdSet =>
   HashMap.get(index, key).pipe(
-    Option.match({ onNone: () => HashSet.empty<string>(), onSome: (s) => s })
-  );
-
-const keysFromNestedIndex = (
-  nested: HashMap.HashMap<
-    number,
-    HashMap.HashMap<string, HashSet.HashSet<string>>
-  >,
-  position: number,
+    Option.match({ onNone: () => HashSet.empty<number>(), onSome: (s) => s })
+  )
+
+const idsFromNestedIndex = <K>(
+  nested: HashMap.HashMap<K, Index>,
+  position: K,
   key: string
-): HashSet.HashSet<string> => {
-  const inner = HashMap.get(nested, position);
+): IdSet => {
+  const inner = HashMap.get(nested, position)
   return inner._tag === "Some"
-    ? keysFromIndex(inner.value, key)
-    : HashSet.empty<string>();
-};
+    ? idsFromIndex(inner.value, key)
+    : HashSet.empty<number>()
+}
+
+// One index set consulted for a pattern; empty sets of pattern indexes are
+// skipped (index keys are exact while atom patterns may match more loosely),
+// attribute index sets are exact
+interface Lookup {
+  readonly index: string
+  readonly key: string
+  readonly ids: IdSet
+  readonly exact: boolean
+}
 
-const candidateKeysForPattern = (
+interface Candidates {
+  readonly ids: IdSet
+  readonly lookups: ReadonlyArray<Lookup>
+  readonly scan: boolean
+  // attribute predicates without an index of their kind
+  readonly unindexed: ReadonlyArray<AttributePredicate>
+}
+
+// argrole letters (each) and their normalized set (unordered)
+const pushArgroleCandidates = (
   hg: Hypergraph,
-  pattern: Hedge
-): HashSet.HashSet<string> => {
-  const candidateSets: Array<HashSet.HashSet<string>> = [];
+  argroles: string,
+  look: (index: string, key: string, ids: IdSet) => void
+): void => {
+  const letters = argroles.replace(/[\s,]/g, "")
+  for (const r of letters) {
+    look("byArgrole", r, idsFromIndex(hg.byArgrole, r))
+  }
+  const norm = letters.split("").sort().join("")
+  if (norm.length > 0) {
+    look("byArgroleSet", norm, idsFromIndex(hg.byArgroleSet, norm))
+  }
+}
+
+const planCandidates = (
+  hg: Hypergraph,
+  pattern: Hedge,
+  where: ReadonlyArray<AttributePredicate> = []
+): Candidates => {
+  const lookups: Array<Lookup> = []
+  const look = (index: string, key: string, ids: IdSet, exact = false) => {
+    if (!lookups.some((l) => l.index === index && l.key === key)) {
+      lookups.push({ index, key, ids, exact })
+    }
+  }
+  // indexed attribute predicates are exact: an empty set means no result
+  const unindexed: Array<AttributePredicate> = []
+  for (const p of where) {
+    const ids = idsForPredicate(hg, p)
+    if (Option.isNone(ids)) {
+      unindexed.push(p)
+      continue
+    }
+    look(`attr:${p.attribute}`, predicateKey(p), ids.value, true)
+    if (HashSet.size(ids.value) === 0) {
+      return { ids: ids.value, lookups, scan: false, unindexed }
+    }
+  }
   // connector
-  const conn = pattern.items?.[0];
-  let hasUnorderedRoles = false;
+  const conn = pattern.items?.[0]
+  // unordered roles anywhere (e.g., Pd.{os}) make the matcher try every
+  // permutation of the arguments
+  const hasUnorderedRoles = isUnorderedPattern(pattern)
   if (conn && isAtom(conn as any)) {
-    const text = (conn as Atom).text;
+    const text = (conn as Atom).text
     if (isConcreteAtomText(text)) {
-      candidateSets.push(keysFromIndex(hg.byConnector, text));
-    }
-    // detect unordered roles on connector (e.g., Pd.{os})
-    const parts = text.split("/");
-    if (parts.length > 1) {
-      const typeParts = parts[1].split(".");
-      if (typeParts.length > 1) {
-        const roles = typeParts[1];
-        hasUnorderedRoles = roles.length > 0 && roles[0] === "{";
-      }
+      look("byConnector", text, idsFromIndex(hg.byConnector, text))
     }
   }
   // first arg (head)
-  const arg1 = pattern.items?.[1];
+  const arg1 = pattern.items?.[1]
   if (
     !hasUnorderedRoles &&
     arg1 &&
     isAtom(arg1 as any) &&
     isConcreteAtomText((arg1 as Atom).text)
   ) {
-    const text = (arg1 as Atom).text;
-    const root = text.split("/")[0] ?? "";
-    const useRoot = text.includes("{") || text.includes(".");
-    candidateSets.push(
-      useRoot
-        ? keysFromIndex(hg.byRoot, root)
-        : keysFromIndex(hg.byHeadAtom, text)
-    );
-  }
-  // detect unordered roles and add argrole indexes from head predicate (arg1)
+    const text = (arg1 as Atom).text
+    const root = partsOf(arg1 as Atom).root
+    const useRoot = text.includes("{") || text.includes(".")
+    if (useRoot) look("byRoot", root, idsFromIndex(hg.byRoot, root))
+    else look("byHeadAtom", text, idsFromIndex(hg.byHeadAtom, text))
+  }
+  // argrole indexes from head predicate (arg1)
   if (arg1 && isAtom(arg1 as any)) {
-    const text = (arg1 as Atom).text;
-    const parts = text.split("/");
-    if (parts.length > 1) {
-      const typeParts = parts[1].split(".");
-      if (typeParts.length > 1) {
-        const roles = typeParts[1];
-        hasUnorderedRoles =
-          hasUnorderedRoles || (roles.length > 0 && roles[0] === "{");
-        const letters = roles[0] === "{" ? roles.slice(1, -1) : roles;
-        for (const r of letters.replace(/[\,\s]/g, "")) {
-          candidateSets.push(keysFromIndex(hg.byArgrole, r));
-        }
-        const norm = letters.replace(/[\s,]/g, "").split("").sort().join("");
-        if (norm.length > 0)
-          candidateSets.push(keysFromIndex(hg.byArgroleSet, norm));
-      }
-    }
+    pushArgroleCandidates(hg, partsOf(arg1 as Atom).argroles, look)
   }
   // arity (number of args)
-  const arity = Math.max(0, (pattern.items?.length ?? 1) - 1);
-  candidateSets.push(keysFromIndex(hg.byArity, String(arity)));
+  const arity = Math.max(0, (pattern.items?.length ?? 1) - 1)
+  look("byArity", String(arity), idsFromIndex(hg.byArity, String(arity)))
   // any concrete atoms by root anywhere in pattern
-  const collectAtoms = (e: Atom | Hedge, acc: string[]) => {
+  const collectAtoms = (e: Atom | Hedge, acc: Array<string>) => {
     if (isAtom(e)) {
-      const t = e.text;
-      if (isConcreteAtomText(t)) acc.push(t.split("/")[0] ?? "");
-      return;
-    }
-    for (const it of e.items as any) collectAtoms(it as any, acc);
-  };
-  const roots: string[] = [];
-  collectAtoms(pattern as any, roots);
+      if (isConcreteAtomText(e.text)) acc.push(partsOf(e).root)
+      return
+    }
+    for (const it of e.items as any) collectAtoms(it as any, acc)
+  }
+  const roots: Array<string> = []
+  collectAtoms(pattern as any, roots)
   for (const r of roots) {
-    if (!r) continue;
-    candidateSets.push(keysFromIndex(hg.byRoot, r));
+    if (!r) continue
+    look("byRoot", r, idsFromIndex(hg.byRoot, r))
   }
   // argroles on connector (letters)
   if (conn && isAtom(conn as any)) {
-    const parts = (conn as Atom).text.split("/");
-    if (parts.length > 1) {
-      const typeParts = parts[1].split(".");
-      if (typeParts.length > 1) {
-        const roles = typeParts[1];
-        const letters = roles[0] === "{" ? roles.slice(1, -1) : roles;
-        for (const r of letters.replace(/[\,\s]/g, "")) {
-          candidateSets.push(keysFromIndex(hg.byArgrole, r));
-        }
-        // normalized argrole set (unordered)
-        const norm = letters.replace(/[\s,]/g, "").split("").sort().join("");
-        if (norm.length > 0)
-          candidateSets.push(keysFromIndex(hg.byArgroleSet, norm));
-      }
-    }
+    pushArgroleCandidates(hg, partsOf(conn as Atom).argroles, look)
   }
   // positional argument roots (if concrete) only when ordered roles
   if (!hasUnorderedRoles) {
     for (let i = 1; i <= arity; i++) {
-      const arg = pattern.items?.[i] as any;
+      const arg = pattern.items?.[i] as any
       if (arg && isAtom(arg) && isConcreteAtomText((arg as Atom).text)) {
-        const root = (arg as Atom).text.split("/")[0] ?? "";
-        if (root)
-          candidateSets.push(keysFromNestedIndex(hg.byArgRootN, i, root));
+        const root = partsOf(arg as Atom).root
+        if (root) {
+          look(
+            `byArgRootN[${i}]`,
+            root,
+            idsFromNestedIndex(hg.byArgRootN, i, root)
+          )
+        }
       }
     }
   }
-  // multiset of argument roots (unordered)
-  if (arity > 0) {
-    const msRoots: string[] = [];
+  // connectors and roots of nested subedges at fixed paths
+  const nested = nestedKeys(pattern, true)
+  for (const [path, text] of nested.connectors) {
+    look(
+      `byConnectorAt[${path}]`,
+      text,
+      idsFromNestedIndex(hg.byConnectorAt, path, text)
+    )
+  }
+  for (const [path, root] of nested.roots) {
+    look(
+      `byRootAt[${path}]`,
+      root,
+      idsFromNestedIndex(hg.byRootAt, path, root)
+    )
+  }
+  // multiset of argument roots (unordered); wildcard arguments may stand for
+  // atoms missing from the key
+  const argItems = (pattern.items ?? []).slice(1)
+  if (
+    arity > 0 &&
+    argItems.every(
+      (a) => !isAtom(a as any) || isConcreteAtomText((a as Atom).text)
+    )
+  ) {
+    const msRoots: Array<string> = []
     for (let i = 1; i <= arity; i++) {
-      const arg = pattern.items?.[i] as any;
+      const arg = pattern.items?.[i] as any
       if (arg && isAtom(arg) && isConcreteAtomText((arg as Atom).text)) {
-        msRoots.push((arg as Atom).text.split("/")[0] ?? "");
+        msRoots.push(partsOf(arg as Atom).root)
       }
     }
     if (msRoots.length > 0) {
-      const keyMs = msRoots.sort().join("|");
-      candidateSets.push(keysFromIndex(hg.byArgsMultiset, keyMs));
+      const keyMs = msRoots.sort().join("|")
+      look("byArgsMultiset", keyMs, idsFromIndex(hg.byArgsMultiset, keyMs))
     }
   }
   // Selectivity: intersect non-empty sets starting from smallest
-  const nonEmpty = candidateSets.filter((s) => HashSet.size(s) > 0);
+  const nonEmpty = lookups
+    .filter((l) => HashSet.size(l.ids) > 0)
+    .map((l) => l.ids)
   if (nonEmpty.length === 0) {
-    // fallback: no selective hint → search all keys
-    return HashSet.fromIterable(HashMap.keys(hg.kv.map));
+    // fallback: no selective hint → search all edges
+    return {
+      ids: HashSet.fromIterable(HashMap.keys(hg.edges)),
+      lookups,
+      scan: true,
+      unindexed
+    }
   }
-  nonEmpty.sort((a, b) => HashSet.size(a) - HashSet.size(b));
-  let acc = nonEmpty[0]!;
-  for (let i = 1; i < nonEmpty.length; i++) acc = intersect(acc, nonEmpty[i]!);
-  return acc;
-};
+  nonEmpty.sort((a, b) => HashSet.size(a) - HashSet.size(b))
+  let acc = nonEmpty[0]!
+  for (let i = 1; i < nonEmpty.length; i++) acc = intersect(acc, nonEmpty[i]!)
+  return { ids: acc, lookups, scan: false, unindexed }
+}
+
+const candidateIdsForPattern = (
+  hg: Hypergraph,
+  pattern: Hedge,
+  where?: ReadonlyArray<AttributePredicate>
+): IdSet => planCandidates(hg, pattern, where).ids
+
+// ---------- Query plans ----------
+
+export interface PlanLookup {
+  readonly index: string // index name, or "attr:<name>" for attributes
+  readonly key: string
+  readonly size: number
+  // false for empty pattern index sets, which are skipped
+  readonly used: boolean
+}
+
+export interface QueryPlan {
+  readonly pattern: string
+  // used lookups in intersection order (smallest first), then skipped ones
+  readonly lookups: ReadonlyArray<PlanLookup>
+  // upper bound before intersecting: the smallest used set, or every edge
+  readonly estimated: number
+  readonly candidates: number // edges left to match after intersecting
+  readonly matches: number
+  readonly scan: boolean // no index narrowed the query
+  readonly warnings: ReadonlyArray<string>
+}
+
+const predicateKey = (p: AttributePredicate): string => {
+  if (p._tag === "AttrEquals") return `= ${p.value}`
+  const bounds: Array<string> = []
+  if (p.gt !== undefined) bounds.push(`> ${p.gt}`)
+  if (p.gte !== undefined) bounds.push(`>= ${p.gte}`)
+  if (p.lt !== undefined) bounds.push(`< ${p.lt}`)
+  if (p.lte !== undefined) bounds.push(`<= ${p.lte}`)
+  return bounds.join(", ")
+}
+
+const toPlan = (
+  hg: Hypergraph,
+  pattern: Hedge,
+  c: Candidates,
+  matches: number
+): QueryPlan => {
+  const lookups = c.lookups
+    .map(
+      (l): PlanLookup => ({
+        index: l.index,
+        key: l.key,
+        size: HashSet.size(l.ids),
+        used: l.exact || HashSet.size(l.ids) > 0
+      })
+    )
+    .sort((a, b) => a.used === b.used ? (a.used ? a.size - b.size : 0) : a.used ? -1 : 1)
+  const used = lookups.filter((l) => l.used)
+  const warnings: Array<string> = []
+  if (c.scan) {
+    warnings.push(
+      `no index narrows the pattern: scanning all ${size(hg)} edges`
+    )
+  }
+  for (const l of lookups) {
+    if (!l.used) warnings.push(`${l.index}[${l.key}] is empty and was skipped`)
+  }
+  for (const p of c.unindexed) {
+    warnings.push(
+      `no ${p._tag === "AttrEquals" ? "equality" : "range"} index on ` +
+        `attribute "${p.attribute}": candidates are filtered one by one`
+    )
+  }
+  return {
+    pattern: toStr(pattern),
+    lookups,
+    estimated: c.scan
+      ? size(hg)
+      : used.reduce((min, l) => Math.min(min, l.size), Infinity),
+    candidates: HashSet.size(c.ids),
+    matches,
+    scan: c.scan,
+    warnings
+  }
+}
+
+// Candidate selection of findByPattern / streamByPattern for the pattern; the
+// query is run to report the actual number of matches
+export const explain = (
+  hg: Hypergraph,
+  pattern: Hedge,
+  options?: PatternQueryOptions
+): QueryPlan => {
+  const c = planCandidates(hg, pattern, options?.where)
+  let matches = 0
+  for (const id of HashSet.values(c.ids)) {
+    const e = HashMap.get(hg.edges, id)
+    if (e._tag === "Some" && matchesQuery(hg, e.value, pattern, options)) {
+      matches++
+    }
+  }
+  return toPlan(hg, pattern, c, matches)
+}
+
+// Multi-line description of a plan, for logs
+export const formatPlan = (plan: QueryPlan): string =>
+  [
+    `plan for ${plan.pattern}${plan.scan ? " (full scan)" : ""}`,
+    ...plan.lookups.map(
+      (l) => `  ${l.used ? "" : "skipped "}${l.index}[${l.key}]: ${l.size}`
+    ),
+    `  estimated ${plan.estimated}, candidates ${plan.candidates}, ` +
+    `matches ${plan.matches}`,
+    ...plan.warnings.map((w) => `  warning: ${w}`)
+  ].join("\n")
+
+// ---------- Ordering and pages ----------
+
+// "insertion" follows the order edges were stored (their sequence numbers,
+// which snapshots keep); attributes compare as strings, or as numbers when
+// `numeric`, and edges without a usable value come last
+const QueryOrderSchema = S.Union(
+  S.Literal("key", "insertion"),
+  S.Struct({ attribute: S.String, numeric: S.optional(S.Boolean) })
+)
+export type QueryOrder = S.Schema.Type<typeof QueryOrderSchema>
+
+// [rank, value, tie]: rank 1 for a missing attribute, tie is the edge key
+const SortKeySchema = S.Tuple(S.Number, S.Union(S.Number, S.String), S.String)
+type SortKey = S.Schema.Type<typeof SortKeySchema>
+
+// Position in an ordered listing; listings continue after it, even when the
+// edge it was taken from has since been removed
+const CursorSchema = S.Struct({
+  orderBy: QueryOrderSchema,
+  descending: S.Boolean,
+  position: SortKeySchema
+})
+export type Cursor = S.Schema.Type<typeof CursorSchema>
+
+const CursorFromString = S.compose(
+  S.StringFromBase64Url,
+  S.parseJson(CursorSchema)
+)
+
+export const encodeCursor = (cursor: Cursor): string => S.encodeSync(CursorFromString)(cursor)
+
+export const decodeCursor = (
+  text: string
+): Either.Either<Cursor, ParseResult.ParseError> => S.decodeEither(CursorFromString)(text)
+
+export interface PageOptions {
+  readonly orderBy?: QueryOrder // default "insertion"
+  readonly descending?: boolean
+  // continue a listing; the order of the cursor replaces orderBy/descending
+  readonly after?: Cursor
+  readonly offset?: number
+  readonly limit?: number
+}
+
+// Without any page option results keep the order of the index sets
+const isPaged = (options?: PageOptions): boolean =>
+  options !== undefined &&
+  (options.orderBy !== undefined ||
+    options.descending !== undefined ||
+    options.after !== undefined ||
+    options.offset !== undefined ||
+    options.limit !== undefined)
+
+const orderOf = (options: PageOptions) =>
+  options.after ?? {
+    orderBy: options.orderBy ?? "insertion",
+    descending: options.descending ?? false
+  }
+
+const sortKey = (hg: Hypergraph, id: number, orderBy: QueryOrder): SortKey => {
+  if (orderBy === "insertion") return [0, HashMap.unsafeGet(hg.seqs, id), ""]
+  const key = toStr(HashMap.unsafeGet(hg.edges, id))
+  if (orderBy === "key") return [0, key, ""]
+  const raw = HashMap.get(hg.attrs, id).pipe(
+    Option.flatMap((m) => HashMap.get(m, orderBy.attribute)),
+    Option.getOrUndefined
+  )
+  const value = raw !== undefined && orderBy.numeric === true ? numericValue(raw) : raw
+  return value === undefined ? [1, "", key] : [0, value, key]
+}
+
+const compareSortKeys = (a: SortKey, b: SortKey, descending: boolean) => {
+  if (a[0] !== b[0]) return a[0] - b[0]
+  const dir = descending ? -1 : 1
+  for (const i of [1, 2] as const) {
+    if (a[i] !== b[i]) return a[i] < b[i] ? -dir : dir
+  }
+  return 0
+}
+
+// The `n` least items in order, without sorting all of them
+const least = <A>(
+  items: ReadonlyArray<A>,
+  n: number,
+  compare: (a: A, b: A) => number
+): Array<A> => {
+  if (n >= items.length) return [...items].sort(compare)
+  const out: Array<A> = []
+  for (const item of items) {
+    if (out.length === n && compare(item, out[n - 1]!) >= 0) continue
+    let lo = 0
+    let hi = out.length
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1
+      if (compare(out[mid]!, item) <= 0) lo = mid + 1
+      else hi = mid
+    }
+    out.splice(lo, 0, item)
+    if (out.length > n) out.pop()
+  }
+  return out
+}
+
+// Entries of an ordered index after `from`, in the direction of the listing
+const seek = <K>(
+  tree: RedBlackTree.RedBlackTree<K, number>,
+  from: K | undefined,
+  descending: boolean
+): Iterable<readonly [K, number]> =>
+  from === undefined
+    ? descending ? RedBlackTree.reversed(tree) : tree
+    : descending
+    ? RedBlackTree.lessThanReversed(tree, from)
+    : RedBlackTree.greaterThan(tree, from)
+
+// Ids in the order of the options, after the cursor, offset and limited.
+// Insertion and key orders walk their index from the cursor until the page is
+// full when that visits fewer entries than there are ids (about
+// wanted * size / ids for ids spread over the index); otherwise only the ids
+// up to the end of the page are kept in order.
+const pageIds = (
+  hg: Hypergraph,
+  ids: Iterable<number>,
+  options?: PageOptions
+): ReadonlyArray<number> => {
+  if (options === undefined || !isPaged(options)) return Array.from(ids)
+  const { descending, orderBy } = orderOf(options)
+  const offset = Math.max(0, options.offset ?? 0)
+  const wanted = options.limit === undefined ? Infinity : offset + Math.max(0, options.limit)
+  if (wanted <= offset) return []
+  const after = options.after?.position
+  const members = HashSet.isHashSet(ids) ? ids : HashSet.fromIterable(ids)
+  const count = HashSet.size(members)
+  const walk = (entries: Iterable<readonly [unknown, number]>) => {
+    const out: Array<number> = []
+    for (const [, id] of entries) {
+      if (!HashSet.has(members, id)) continue
+      out.push(id)
+      if (out.length === wanted) break
+    }
+    return out.slice(offset)
+  }
+  if (wanted * size(hg) <= count * count) {
+    const from = after?.[1]
+    if (orderBy === "insertion" && typeof from !== "string") {
+      return walk(seek(hg.bySeq, from, descending))
+    }
+    if (orderBy === "key" && typeof from !== "number") {
+      return walk(seek(hg.byKey, from, descending))
+    }
+  }
+  const keyed: Array<{ readonly id: number; readonly key: SortKey }> = []
+  for (const id of members) {
+    const key = sortKey(hg, id, orderBy)
+    if (after === undefined || compareSortKeys(key, after, descending) > 0) {
+      keyed.push({ id, key })
+    }
+  }
+  return least(keyed, wanted, (a, b) => compareSortKeys(a.key, b.key, descending))
+    .slice(offset)
+    .map(({ id }) => id)
+}
+
+// Cursor continuing after `edge` in the listing of `options`; None when the
+// edge is not stored
+export const cursorAfter = (
+  hg: Hypergraph,
+  edge: Hedge,
+  options: PageOptions = {}
+): Option.Option<Cursor> =>
+  Option.map(storedId(hg, edge), (id) => {
+    const { descending, orderBy } = orderOf(options)
+    return { orderBy, descending, position: sortKey(hg, id, orderBy) }
+  })
 
 // ---------- Attributes API ----------
 
+// Edges that are not stored get an id on their first attribute
+const withId = (
+  hg: Hypergraph,
+  edge: Hedge
+): { readonly hg: Hypergraph; readonly id: number } => {
+  const key = toStr(edge)
+  const known = HashMap.get(hg.ids, key)
+  if (known._tag === "Some") return { hg, id: known.value }
+  const id = hg.nextId
+  return {
+    hg: { ...hg, ids: HashMap.set(hg.ids, key, id), nextId: id + 1 },
+    id
+  }
+}
+
+const attrsOf = (hg: Hypergraph, edge: Hedge) => Option.flatMap(idOf(hg, edge), (id) => HashMap.get(hg.attrs, id))
+
 export const setAttribute = (
   hg: Hypergraph,
   edge: Hedge,
   attribute: string,
   value: string
 ): Hypergraph => {
-  const key = toStr(edge);
-  const current = HashMap.get(hg.attrs, key);
+  const { hg: next, id } = withId(hg, edge)
+  const current = HashMap.get(next.attrs, id)
   const updated = HashMap.set(
     current._tag === "Some" ? current.value : HashMap.empty<string, string>(),
     attribute,
     value
-  );
-  return { ...hg, attrs: HashMap.set(hg.attrs, key, updated) };
-};
+  )
+  return {
+    ...next,
+    attrs: HashMap.set(next.attrs, id, updated),
+    attrEdges: HashMap.has(next.edges, id) || current._tag === "Some"
+      ? next.attrEdges
+      : HashMap.set(next.attrEdges, id, edge),
+    attrIndexes: reindexAttribute(
+      next,
+      id,
+      attribute,
+      Option.flatMap(current, (m) => HashMap.get(m, attribute)),
+      Option.some(value)
+    )
+  }
+}
 
 export const getStrAttribute = (
   hg: Hypergraph,
@@ -617,41 +1473,513 @@ export const getStrAttribute = (
   attribute: string,
   orElse: string | null = null
 ): string | null => {
-  const key = toStr(edge);
-  const mp = HashMap.get(hg.attrs, key);
-  if (mp._tag === "None") return orElse;
-  const v = HashMap.get(mp.value, attribute);
-  return v._tag === "Some" ? v.value : orElse;
-};
+  const mp = attrsOf(hg, edge)
+  if (mp._tag === "None") return orElse
+  const v = HashMap.get(mp.value, attribute)
+  return v._tag === "Some" ? v.value : orElse
+}
 
-export const incAttribute = (
+export const getAttributes = (
+  hg: Hypergraph,
+  edge: Hedge
+): HashMap.HashMap<string, string> =>
+  attrsOf(hg, edge).pipe(
+    Option.getOrElse(() => HashMap.empty<string, string>())
+  )
+
+export const deleteAttribute = (
   hg: Hypergraph,
   edge: Hedge,
   attribute: string
 ): Hypergraph => {
-  const cur = Number(getStrAttribute(hg, edge, attribute, "0") ?? 0);
-  return setAttribute(hg, edge, attribute, String(cur + 1));
-};
+  const known = idOf(hg, edge)
+  if (known._tag === "None") return hg
+  const id = known.value
+  const current = HashMap.get(hg.attrs, id)
+  if (current._tag === "None" || !HashMap.has(current.value, attribute)) {
+    return hg
+  }
+  const updated = HashMap.remove(current.value, attribute)
+  const next: Hypergraph = {
+    ...hg,
+    attrs: HashMap.size(updated) === 0
+      ? HashMap.remove(hg.attrs, id)
+      : HashMap.set(hg.attrs, id, updated),
+    attrEdges: HashMap.size(updated) === 0
+      ? HashMap.remove(hg.attrEdges, id)
+      : hg.attrEdges,
+    attrIndexes: reindexAttribute(
+      hg,
+      id,
+      attribute,
+      HashMap.get(current.value, attribute),
+      Option.none()
+    )
+  }
+  return HashMap.size(updated) === 0 ? release(next, leaf(id, edge)) : next
+}
+
+// Reads and writes one attribute in a single step: `f` gets the current value
+// (None when unset) and gives the new one, or fails and nothing is written
+export const updateAttribute = <E>(
+  hg: Hypergraph,
+  edge: Hedge,
+  attribute: string,
+  f: (current: Option.Option<string>) => Either.Either<string, E>
+): Either.Either<Hypergraph, E> =>
+  Either.map(
+    f(HashMap.get(getAttributes(hg, edge), attribute)),
+    (value) => setAttribute(hg, edge, attribute, value)
+  )
+
+const Counter = S.NumberFromString.pipe(S.finite())
+
+// The update of incAttribute: counters start at 0, and a stored value or a
+// sum that is not a finite number fails instead of being written
+export const incrementBy =
+  (by: number) => (current: Option.Option<string>): Either.Either<string, ParseResult.ParseError> =>
+    Option.match(current, {
+      onNone: () => Either.right(0),
+      onSome: (raw) => S.decodeEither(Counter)(raw)
+    }).pipe(Either.flatMap((n) => S.encodeEither(Counter)(n + by)))
+
+export const incAttribute = (
+  hg: Hypergraph,
+  edge: Hedge,
+  attribute: string,
+  by = 1
+): Either.Either<Hypergraph, ParseResult.ParseError> => updateAttribute(hg, edge, attribute, incrementBy(by))
 
 export const decAttribute = (
   hg: Hypergraph,
   edge: Hedge,
+  attribute: string,
+  by = 1
+): Either.Either<Hypergraph, ParseResult.ParseError> => incAttribute(hg, edge, attribute, -by)
+
+// ---------- Attribute indexes ----------
+
+// Attribute values read as numbers by range indexes and predicates
+const numericValue = (raw: string): number | undefined => {
+  const n = raw.trim() === "" ? NaN : Number(raw)
+  return Number.isFinite(n) ? n : undefined
+}
+
+const updateAttributeIndex = (
+  index: AttributeIndex,
+  value: string,
+  id: number,
+  add: boolean
+): AttributeIndex => {
+  if (index.kind === "equality") {
+    return {
+      kind: "equality",
+      values: add
+        ? addToIndex(index.values, value, id)
+        : removeFromIndex(index.values, value, id)
+    }
+  }
+  const n = numericValue(value)
+  if (n === undefined) return index
+  const current = RedBlackTree.findFirst(index.values, n).pipe(
+    Option.getOrElse(() => HashSet.empty<number>())
+  )
+  const next = add ? HashSet.add(current, id) : HashSet.remove(current, id)
+  const rest = RedBlackTree.removeFirst(index.values, n)
+  return {
+    kind: "range",
+    values: HashSet.size(next) === 0 ? rest : RedBlackTree.insert(rest, n, next)
+  }
+}
+
+// Adds (or drops) the indexed attributes of the edge `id`
+const indexAttributes = (
+  hg: Hypergraph,
+  id: number,
+  add: boolean
+): HashMap.HashMap<string, AttributeIndex> => {
+  const attrs = HashMap.get(hg.attrs, id)
+  if (attrs._tag === "None" || HashMap.size(hg.attrIndexes) === 0) {
+    return hg.attrIndexes
+  }
+  let out = hg.attrIndexes
+  for (const [name, value] of HashMap.entries(attrs.value)) {
+    const index = HashMap.get(out, name)
+    if (index._tag === "Some") {
+      out = HashMap.set(
+        out,
+        name,
+        updateAttributeIndex(index.value, value, id, add)
+      )
+    }
+  }
+  return out
+}
+
+// Moves a stored edge from its old value of `attribute` to the new one;
+// attributes of edges that are not stored stay out of the indexes
+const reindexAttribute = (
+  hg: Hypergraph,
+  id: number,
+  attribute: string,
+  from: Option.Option<string>,
+  to: Option.Option<string>
+): HashMap.HashMap<string, AttributeIndex> => {
+  const index = HashMap.get(hg.attrIndexes, attribute)
+  if (index._tag === "None" || !HashMap.has(hg.edges, id)) {
+    return hg.attrIndexes
+  }
+  let next = index.value
+  if (from._tag === "Some") {
+    next = updateAttributeIndex(next, from.value, id, false)
+  }
+  if (to._tag === "Some") next = updateAttributeIndex(next, to.value, id, true)
+  return HashMap.set(hg.attrIndexes, attribute, next)
+}
+
+// Indexes `attribute` over the stored edges, replacing an index of another
+// kind. Indexes are not persisted: declare them again after loading.
+export const declareAttributeIndex = (
+  hg: Hypergraph,
+  attribute: string,
+  kind: AttributeIndexKind
+): Hypergraph => {
+  let index: AttributeIndex = kind === "equality"
+    ? { kind, values: HashMap.empty() }
+    : { kind, values: RedBlackTree.empty(Order.number) }
+  for (const [id, attrs] of HashMap.entries(hg.attrs)) {
+    const value = HashMap.get(attrs, attribute)
+    if (value._tag === "Some" && HashMap.has(hg.edges, id)) {
+      index = updateAttributeIndex(index, value.value, id, true)
+    }
+  }
+  return { ...hg, attrIndexes: HashMap.set(hg.attrIndexes, attribute, index) }
+}
+
+export const dropAttributeIndex = (
+  hg: Hypergraph,
   attribute: string
+): Hypergraph => ({
+  ...hg,
+  attrIndexes: HashMap.remove(hg.attrIndexes, attribute)
+})
+
+// ---------- Pattern views ----------
+
+// A named pattern query kept up to date by insert and remove: the bindings of
+// every stored edge matching the pattern (see findByPatternWithBindings) and,
+// per variable, the number of results binding each value (by toStr)
+export interface PatternView {
+  readonly pattern: Hedge
+  readonly results: HashMap.HashMap<number, Bindings>
+  readonly groups: HashMap.HashMap<string, HashMap.HashMap<string, number>>
+}
+
+const groupBindings = (
+  groups: PatternView["groups"],
+  bindings: Bindings,
+  delta: number
+): PatternView["groups"] => {
+  let out = groups
+  for (const [variable, value] of HashMap.entries(bindings)) {
+    const counts = HashMap.get(out, variable).pipe(
+      Option.getOrElse(() => HashMap.empty<string, number>())
+    )
+    const key = toStr(value)
+    const n = HashMap.get(counts, key).pipe(Option.getOrElse(() => 0)) + delta
+    const next = n === 0 ? HashMap.remove(counts, key) : HashMap.set(counts, key, n)
+    out = HashMap.size(next) === 0
+      ? HashMap.remove(out, variable)
+      : HashMap.set(out, variable, next)
+  }
+  return out
+}
+
+const addToView = (view: PatternView, id: number, e: Hedge): PatternView => {
+  const res = matchWithBindings(e, view.pattern, emptyBindings)
+  if (res._tag === "None") return view
+  return {
+    pattern: view.pattern,
+    results: HashMap.set(view.results, id, res.value),
+    groups: groupBindings(view.groups, res.value, 1)
+  }
+}
+
+const removeFromView = (view: PatternView, id: number): PatternView => {
+  const bindings = HashMap.get(view.results, id)
+  if (bindings._tag === "None") return view
+  return {
+    pattern: view.pattern,
+    results: HashMap.remove(view.results, id),
+    groups: groupBindings(view.groups, bindings.value, -1)
+  }
+}
+
+// Views after storing (or removing) the edge with this id
+const updateViews = (
+  hg: Hypergraph,
+  id: number,
+  e: Hedge,
+  add: boolean
+): HashMap.HashMap<string, PatternView> => {
+  let out = hg.views
+  for (const [name, view] of HashMap.entries(hg.views)) {
+    const next = add ? addToView(view, id, e) : removeFromView(view, id)
+    if (next !== view) out = HashMap.set(out, name, next)
+  }
+  return out
+}
+
+// Registers (or replaces) a view, computed once from the stored edges
+export const declareView = (
+  hg: Hypergraph,
+  name: string,
+  pattern: Hedge
 ): Hypergraph => {
-  const cur = Number(getStrAttribute(hg, edge, attribute, "0") ?? 0);
-  return setAttribute(hg, edge, attribute, String(cur - 1));
-};
+  let view: PatternView = {
+    pattern,
+    results: HashMap.empty(),
+    groups: HashMap.empty()
+  }
+  for (const id of HashSet.values(candidateIdsForPattern(hg, pattern))) {
+    const e = HashMap.get(hg.edges, id)
+    if (e._tag === "Some") view = addToView(view, id, e.value)
+  }
+  return { ...hg, views: HashMap.set(hg.views, name, view) }
+}
+
+export const dropView = (hg: Hypergraph, name: string): Hypergraph => ({
+  ...hg,
+  views: HashMap.remove(hg.views, name)
+})
+
+export const getView = (
+  hg: Hypergraph,
+  name: string
+): Option.Option<PatternView> => HashMap.get(hg.views, name)
+
+export const viewResults = (
+  hg: Hypergraph,
+  name: string
+): Chunk.Chunk<EdgeWithBindings> =>
+  Option.match(getView(hg, name), {
+    onNone: () => Chunk.empty(),
+    onSome: (view) =>
+      Chunk.fromIterable(HashMap.entries(view.results)).pipe(
+        Chunk.map(([id, bindings]) => ({
+          edge: HashMap.unsafeGet(hg.edges, id),
+          bindings
+        }))
+      )
+  })
+
+// 0 for unknown views
+export const viewCount = (hg: Hypergraph, name: string): number =>
+  Option.match(getView(hg, name), {
+    onNone: () => 0,
+    onSome: (view) => HashMap.size(view.results)
+  })
+
+// Results per value (by toStr) bound to `variable` (e.g. "?x")
+export const viewGroups = (
+  hg: Hypergraph,
+  name: string,
+  variable: string
+): HashMap.HashMap<string, number> =>
+  getView(hg, name).pipe(
+    Option.flatMap((view) => HashMap.get(view.groups, variable)),
+    Option.getOrElse(() => HashMap.empty<string, number>())
+  )
+
+export const viewGroupCount = (
+  hg: Hypergraph,
+  name: string,
+  variable: string,
+  value: Atom | Hedge
+): number =>
+  HashMap.get(viewGroups(hg, name, variable), toStr(value)).pipe(
+    Option.getOrElse(() => 0)
+  )
+
+export interface RangeBounds {
+  readonly gt?: number
+  readonly gte?: number
+  readonly lt?: number
+  readonly lte?: number
+}
+
+// Conditions on attribute values: equality compares the stored strings,
+// ranges compare numerically and never match values that are not numbers
+export type AttributePredicate =
+  | {
+    readonly _tag: "AttrEquals"
+    readonly attribute: string
+    readonly value: string
+  }
+  | ({ readonly _tag: "AttrRange"; readonly attribute: string } & RangeBounds)
+
+export const attrEquals = (
+  attribute: string,
+  value: string
+): AttributePredicate => ({ _tag: "AttrEquals", attribute, value })
+
+export const attrRange = (
+  attribute: string,
+  bounds: RangeBounds
+): AttributePredicate => ({ _tag: "AttrRange", attribute, ...bounds })
+
+const inRange = (n: number, b: RangeBounds): boolean =>
+  (b.gt === undefined || n > b.gt) &&
+  (b.gte === undefined || n >= b.gte) &&
+  (b.lt === undefined || n < b.lt) &&
+  (b.lte === undefined || n <= b.lte)
+
+const satisfies = (
+  attrs: HashMap.HashMap<string, string>,
+  p: AttributePredicate
+): boolean => {
+  const value = HashMap.get(attrs, p.attribute)
+  if (value._tag === "None") return false
+  if (p._tag === "AttrEquals") return value.value === p.value
+  const n = numericValue(value.value)
+  return n !== undefined && inRange(n, p)
+}
+
+const satisfiesAll = (
+  hg: Hypergraph,
+  edge: Hedge,
+  where: ReadonlyArray<AttributePredicate> = []
+): boolean => {
+  if (where.length === 0) return true
+  const attrs = getAttributes(hg, edge)
+  return where.every((p) => satisfies(attrs, p))
+}
+
+const rangeIds = (
+  tree: RedBlackTree.RedBlackTree<number, IdSet>,
+  b: RangeBounds
+): IdSet => {
+  const from = Math.max(b.gt ?? -Infinity, b.gte ?? -Infinity)
+  let out = HashSet.beginMutation(HashSet.empty<number>())
+  for (const [n, ids] of RedBlackTree.greaterThanEqual(tree, from)) {
+    if ((b.lt !== undefined && n >= b.lt) || (b.lte !== undefined && n > b.lte)) {
+      break
+    }
+    if (!inRange(n, b)) continue
+    for (const id of ids) out = HashSet.add(out, id)
+  }
+  return HashSet.endMutation(out)
+}
+
+// Exact ids of the predicate when an index of the matching kind is declared
+const idsForPredicate = (
+  hg: Hypergraph,
+  p: AttributePredicate
+): Option.Option<IdSet> => {
+  const index = HashMap.get(hg.attrIndexes, p.attribute)
+  if (index._tag === "None") return Option.none()
+  const idx = index.value
+  if (p._tag === "AttrEquals") {
+    return idx.kind === "equality"
+      ? Option.some(idsFromIndex(idx.values, p.value))
+      : Option.none()
+  }
+  return idx.kind === "range"
+    ? Option.some(rangeIds(idx.values, p))
+    : Option.none()
+}
+
+// Edges satisfying every predicate, selected through the declared indexes
+// when possible and by scanning the attributes otherwise
+export const findByAttributes = (
+  hg: Hypergraph,
+  where: ReadonlyArray<AttributePredicate>
+): Chunk.Chunk<Hedge> => {
+  const indexed = where.flatMap((p) =>
+    Option.match(idsForPredicate(hg, p), {
+      onNone: () => [],
+      onSome: (ids) => [ids]
+    })
+  )
+  const ids = indexed.length > 0
+    ? indexed.reduce(intersect)
+    : HashSet.fromIterable(HashMap.keys(hg.attrs))
+  let out = Chunk.empty<Hedge>()
+  for (const id of HashSet.values(ids)) {
+    const edge = HashMap.get(hg.edges, id)
+    if (edge._tag === "Some" && satisfiesAll(hg, edge.value, where)) {
+      out = Chunk.append(out, edge.value)
+    }
+  }
+  return out
+}
 
 // ---------- Degree / Star ----------
 
+// Stored and not only present as a subedge of a recursive insert
+export const isPrimary = (hg: Hypergraph, edge: Hedge): boolean =>
+  Option.match(storedId(hg, edge), {
+    onNone: () => false,
+    onSome: (id) => !HashSet.has(hg.secondary, id)
+  })
+
+// Marks a stored edge as primary (or not); absent edges are left alone
+export const setPrimary = (
+  hg: Hypergraph,
+  edge: Hedge,
+  primary: boolean
+): Hypergraph => {
+  const stored = storedId(hg, edge)
+  if (stored._tag === "None") return hg
+  return {
+    ...hg,
+    secondary: primary
+      ? HashSet.remove(hg.secondary, stored.value)
+      : HashSet.add(hg.secondary, stored.value)
+  }
+}
+
+const itemIndexIds = (
+  hg: Hypergraph,
+  index: HashMap.HashMap<number, IdSet>,
+  item: Atom | Hedge
+): IdSet =>
+  Option.match(idOf(hg, item), {
+    onNone: () => HashSet.empty<number>(),
+    onSome: (id) => idsFromIndex(index, id)
+  })
+
+// A string argument is an atom root matched anywhere in the edges (byRoot);
+// an atom or edge argument is matched as a direct item of the edges
 export const star = (
   hg: Hypergraph,
-  atomRootOrText: string
+  center: string | Atom | Hedge
+): Chunk.Chunk<Hedge> =>
+  idsToEdgeStream(
+    hg,
+    typeof center === "string"
+      ? idsFromIndex(hg.byRoot, center)
+      : itemIndexIds(hg, hg.bySubedge, center)
+  ).pipe(Stream.runCollect, Effect.runSync)
+
+// Edges containing the atom or edge at any depth
+export const deepStar = (
+  hg: Hypergraph,
+  center: Atom | Hedge
 ): Chunk.Chunk<Hedge> =>
-  keysToEdgeStream(hg, keysFromIndex(hg.byRoot, atomRootOrText)).pipe(
+  idsToEdgeStream(hg, itemIndexIds(hg, hg.byDeepSubedge, center)).pipe(
     Stream.runCollect,
     Effect.runSync
-  );
+  )
+
+// Number of edges in `star` (Graphbrain degree for atoms and edges)
+export const degree = (hg: Hypergraph, center: string | Atom | Hedge): number =>
+  HashSet.size(
+    typeof center === "string"
+      ? idsFromIndex(hg.byRoot, center)
+      : itemIndexIds(hg, hg.bySubedge, center)
+  )
 
-export const degree = (hg: Hypergraph, atomRootOrText: string): number =>
-  HashSet.size(keysFromIndex(hg.byRoot, atomRootOrText));
+// Number of edges containing the atom or edge at any depth
+export const deepDegree = (hg: Hypergraph, center: Atom | Hedge): number =>
+  HashSet.size(itemIndexIds(hg, hg.byDeepSubedge, center))
@@ -0,0 +1,280 @@
+import { FileSystem } from "@effect/platform"
+import type { PlatformError } from "@effect/platform/Error"
+import { Chunk, Data, Effect, Either, HashMap, HashSet, Option } from "effect"
+import * as Stream from "effect/Stream"
+import type { Hedge } from "../hg/model.js"
+import { hedgeFromStringStrict } from "../hg/parse.js"
+import { toStr } from "../hg/print.js"
+import * as HG from "./Hypergraph.js"
+
+// One edge per line, in either format:
+//   hg:    (plays/Pd.so mary/C chess/C)<TAB>{"count":"2"}
+//          (attributes are optional; blank lines and # comments are skipped)
+//   jsonl: {"edge":"(plays/Pd.so mary/C chess/C)","attrs":{"count":"2"}}
+//          ("primary":false marks subedges stored by recursive inserts, and
+//          "stored":false edges that only carry attributes; the hg format has
+//          no such flags and reads every edge as a stored primary edge)
+// Edges that cannot be stored (see HG.invalidEdgeReason) are malformed lines.
+export type HgFileFormat = "hg" | "jsonl"
+
+export const formatOfPath = (path: string): HgFileFormat =>
+  path.endsWith(".jsonl") || path.endsWith(".ndjson") ? "jsonl" : "hg"
+
+export interface EdgeRecord {
+  readonly edge: Hedge
+  readonly attrs: Readonly<Record<string, string>>
+  readonly primary?: boolean // default: true
+  readonly stored?: boolean // default: true
+}
+
+// Malformed line; `line` is 1-based
+export class LineError extends Data.TaggedError("LineError")<{
+  message: string
+  line: number
+  text: string
+}> {}
+
+// ===== Encoding =====
+
+const attrsOf = (hg: HG.Hypergraph, id: number): Record<string, string> =>
+  HashMap.get(hg.attrs, id).pipe(
+    Option.match({
+      onNone: () => ({}),
+      onSome: (m) => Object.fromEntries(HashMap.entries(m))
+    })
+  )
+
+export const encodeRecord = (
+  record: EdgeRecord,
+  format: HgFileFormat
+): string => {
+  const edge = toStr(record.edge)
+  if (format === "jsonl") {
+    return JSON.stringify({
+      edge,
+      attrs: record.attrs,
+      ...(record.primary === false ? { primary: false } : {}),
+      ...(record.stored === false ? { stored: false } : {})
+    })
+  }
+  return Object.keys(record.attrs).length === 0
+    ? edge
+    : `${edge}\t${JSON.stringify(record.attrs)}`
+}
+
+// Stored edges, then edges that only carry attributes
+export const records = (hg: HG.Hypergraph): Stream.Stream<EdgeRecord> =>
+  Stream.concat(
+    Stream.fromIterable(HashMap.entries(hg.edges)).pipe(
+      Stream.map(([id, edge]): EdgeRecord => ({
+        edge,
+        attrs: attrsOf(hg, id),
+        primary: !HashSet.has(hg.secondary, id)
+      }))
+    ),
+    Stream.fromIterable(HashMap.entries(hg.attrEdges)).pipe(
+      Stream.map(([id, edge]): EdgeRecord => ({
+        edge,
+        attrs: attrsOf(hg, id),
+        stored: false
+      }))
+    )
+  )
+
+export const encodeLines = (
+  hg: HG.Hypergraph,
+  format: HgFileFormat
+): Stream.Stream<string> => records(hg).pipe(Stream.map((r) => encodeRecord(r, format)))
+
+// ===== Decoding =====
+
+const isStringRecord = (u: unknown): u is Record<string, string> =>
+  typeof u === "object" &&
+  u !== null &&
+  !Array.isArray(u) &&
+  Object.values(u).every((v) => typeof v === "string")
+
+const parseJson = (text: string): Either.Either<unknown, string> =>
+  Either.try({
+    try: () => JSON.parse(text) as unknown,
+    catch: (e) => `invalid JSON: ${(e as Error).message}`
+  })
+
+const parseEdge = (text: string): Either.Either<Hedge, string> =>
+  Either.mapLeft(hedgeFromStringStrict(text), (e) => e.message)
+
+const decodeHgLine = (text: string): Either.Either<EdgeRecord, string> => {
+  const tab = text.indexOf("\t")
+  const edgeText = tab < 0 ? text : text.slice(0, tab)
+  return Either.flatMap(parseEdge(edgeText), (edge) => {
+    if (tab < 0) return Either.right({ edge, attrs: {} })
+    return Either.flatMap(parseJson(text.slice(tab + 1)), (attrs) =>
+      isStringRecord(attrs)
+        ? Either.right({ edge, attrs })
+        : Either.left("attributes must be an object of strings"))
+  })
+}
+
+const decodeJsonLine = (text: string): Either.Either<EdgeRecord, string> =>
+  Either.flatMap(parseJson(text), (obj) => {
+    if (typeof obj !== "object" || obj === null || Array.isArray(obj)) {
+      return Either.left("expected an object with an edge field")
+    }
+    const {
+      attrs = {},
+      edge,
+      primary = true,
+      stored = true
+    } = obj as { edge?: unknown; attrs?: unknown; primary?: unknown; stored?: unknown }
+    if (typeof edge !== "string") {
+      return Either.left("edge field must be a string")
+    }
+    if (!isStringRecord(attrs)) {
+      return Either.left("attributes must be an object of strings")
+    }
+    if (typeof primary !== "boolean") {
+      return Either.left("primary field must be a boolean")
+    }
+    if (typeof stored !== "boolean") {
+      return Either.left("stored field must be a boolean")
+    }
+    return Either.map(parseEdge(edge), (e) => ({ edge: e, attrs, primary, stored }))
+  })
+
+// None for lines that carry no edge (blank, or # comments in hg format)
+export const decodeLine = (
+  text: string,
+  line: number,
+  format: HgFileFormat
+): Either.Either<Option.Option<EdgeRecord>, LineError> => {
+  const trimmed = text.trim()
+  if (trimmed.length === 0 || (format === "hg" && trimmed.startsWith("#"))) {
+    return Either.right(Option.none())
+  }
+  const decoded = Either.flatMap(
+    format === "jsonl" ? decodeJsonLine(trimmed) : decodeHgLine(trimmed),
+    (record) => {
+      const reason = record.stored === false ? undefined : HG.invalidEdgeReason(record.edge)
+      return reason === undefined ? Either.right(record) : Either.left(reason)
+    }
+  )
+  return Either.match(decoded, {
+    onLeft: (message) => Either.left(new LineError({ message, line, text })),
+    onRight: (record) => Either.right(Option.some(record))
+  })
+}
+
+// Decodes a stream of lines; malformed lines are emitted as Left values so
+// callers decide whether to skip, collect or fail
+export const decodeLines = <E, R>(
+  lines: Stream.Stream<string, E, R>,
+  format: HgFileFormat
+): Stream.Stream<Either.Either<EdgeRecord, LineError>, E, R> =>
+  lines.pipe(
+    Stream.zipWithIndex,
+    Stream.map(([text, i]) => decodeLine(text, i + 1, format)),
+    Stream.filterMap(
+      (res): Option.Option<Either.Either<EdgeRecord, LineError>> =>
+        Either.isLeft(res)
+          ? Option.some(Either.left(res.left))
+          : Option.map(res.right, Either.right)
+    )
+  )
+
+export const insertRecord = (
+  hg: HG.Hypergraph,
+  record: EdgeRecord
+): HG.Hypergraph => {
+  let next = hg
+  if (record.stored !== false) next = HG.insert(next, record.edge)
+  if (record.primary === false) next = HG.setPrimary(next, record.edge, false)
+  for (const [k, v] of Object.entries(record.attrs)) {
+    next = HG.setAttribute(next, record.edge, k, v)
+  }
+  return next
+}
+
+// ===== Files =====
+
+export interface WriteOptions {
+  readonly format?: HgFileFormat // default: from the file extension
+}
+
+export const writeFile = (
+  hg: HG.Hypergraph,
+  path: string,
+  options: WriteOptions = {}
+): Effect.Effect<void, PlatformError, FileSystem.FileSystem> =>
+  Effect.gen(function*() {
+    const fs = yield* FileSystem.FileSystem
+    const format = options.format ?? formatOfPath(path)
+    yield* encodeLines(hg, format).pipe(
+      Stream.map((line) => line + "\n"),
+      Stream.encodeText,
+      Stream.run(fs.sink(path))
+    )
+  })
+
+export const readRecords = (
+  path: string,
+  format: HgFileFormat = formatOfPath(path)
+): Stream.Stream<
+  Either.Either<EdgeRecord, LineError>,
+  PlatformError,
+  FileSystem.FileSystem
+> =>
+  Stream.unwrap(
+    Effect.map(FileSystem.FileSystem, (fs) =>
+      decodeLines(
+        fs.stream(path).pipe(Stream.decodeText(), Stream.splitLines),
+        format
+      ))
+  )
+
+export interface ReadOptions {
+  readonly format?: HgFileFormat // default: from the file extension
+  // "fail" stops at the first malformed line; "skip" collects errors
+  readonly onError?: "fail" | "skip"
+  readonly initial?: HG.Hypergraph
+}
+
+export interface ReadResult {
+  readonly hypergraph: HG.Hypergraph
+  readonly inserted: number
+  readonly errors: Chunk.Chunk<LineError>
+}
+
+// Loads the file line by line into a hypergraph (never holding the whole file)
+export const readFile = (
+  path: string,
+  options: ReadOptions = {}
+): Effect.Effect<
+  ReadResult,
+  PlatformError | LineError,
+  FileSystem.FileSystem
+> =>
+  readRecords(path, options.format ?? formatOfPath(path)).pipe(
+    Stream.runFoldEffect(
+      {
+        hypergraph: options.initial ?? HG.make(),
+        inserted: 0,
+        errors: Chunk.empty<LineError>()
+      } as ReadResult,
+      (acc, res): Effect.Effect<ReadResult, LineError> =>
+        Either.match(res, {
+          onLeft: (err) =>
+            options.onError === "skip"
+              ? Effect.succeed({
+                ...acc,
+                errors: Chunk.append(acc.errors, err)
+              })
+              : Effect.fail(err),
+          onRight: (record) =>
+            Effect.succeed({
+              ...acc,
+              hypergraph: insertRecord(acc.hypergraph, record),
+              inserted: record.stored === false ? acc.inserted : acc.inserted + 1
+            })
+        })
+    )
+  )
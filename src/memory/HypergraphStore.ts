@@ -0,0 +1,317 @@
+import type { FileSystem } from "@effect/platform"
+import { isPlatformError } from "@effect/platform/Error"
+import type { PlatformError } from "@effect/platform/Error"
+import { Context, Data, Effect, Either, Layer, Option, PubSub, Ref } from "effect"
+import type { Chunk, ParseResult, Scope } from "effect"
+import * as Stream from "effect/Stream"
+import type { Hedge } from "../hg/model.js"
+import * as Changes from "./Changes.js"
+import * as Durable from "./DurableHypergraph.js"
+import * as HG from "./Hypergraph.js"
+import type { SnapshotError } from "./Snapshot.js"
+
+// Failure of the underlying storage (never raised by the in-memory backends),
+// or an edge no backend can store (see HG.invalidEdgeReason)
+export class StoreError extends Data.TaggedError("StoreError")<{
+  message: string
+  cause: unknown
+}> {}
+
+// Storage-independent hypergraph operations; reads go through `snapshot`, an
+// immutable view usable with every query in Hypergraph.ts
+export interface HypergraphStoreService {
+  readonly insert: (
+    edge: Hedge,
+    options?: HG.InsertOptions
+  ) => Effect.Effect<void, StoreError>
+  readonly remove: (
+    edge: Hedge,
+    options?: HG.RemoveOptions
+  ) => Effect.Effect<void, StoreError>
+  readonly setAttribute: (
+    edge: Hedge,
+    attribute: string,
+    value: string
+  ) => Effect.Effect<void, StoreError>
+  readonly deleteAttribute: (
+    edge: Hedge,
+    attribute: string
+  ) => Effect.Effect<void, StoreError>
+  // atomic like updateAttribute; fails on a stored value that is not a number
+  readonly incAttribute: (
+    edge: Hedge,
+    attribute: string,
+    by?: number
+  ) => Effect.Effect<void, StoreError | ParseResult.ParseError>
+  // atomic read-modify-write of one attribute (see HG.updateAttribute), so
+  // concurrent updates are never lost
+  readonly updateAttribute: <E>(
+    edge: Hedge,
+    attribute: string,
+    f: (current: Option.Option<string>) => Either.Either<string, E>
+  ) => Effect.Effect<void, StoreError | E>
+  // indexes are kept in memory only (see HG.declareAttributeIndex)
+  readonly declareAttributeIndex: (
+    attribute: string,
+    kind: HG.AttributeIndexKind
+  ) => Effect.Effect<void, StoreError>
+  // kept in memory only, like indexes (see HG.declareView)
+  readonly declareView: (
+    name: string,
+    pattern: Hedge
+  ) => Effect.Effect<void, StoreError>
+  readonly snapshot: Effect.Effect<HG.Hypergraph, StoreError>
+  readonly get: (
+    edge: Hedge,
+    options?: HG.LookupOptions
+  ) => Effect.Effect<Option.Option<Hedge>, StoreError>
+  readonly getStrAttribute: (
+    edge: Hedge,
+    attribute: string
+  ) => Effect.Effect<Option.Option<string>, StoreError>
+  readonly size: Effect.Effect<number, StoreError>
+  readonly findByPattern: (
+    pattern: Hedge,
+    options?: HG.PatternQueryOptions
+  ) => Effect.Effect<Chunk.Chunk<Hedge>, StoreError>
+  readonly streamAll: Stream.Stream<Hedge, StoreError>
+  readonly streamByPattern: (
+    pattern: Hedge,
+    options?: HG.PatternQueryOptions
+  ) => Stream.Stream<Hedge, StoreError>
+  // Change events of the writes made through the store, only those of edges
+  // matching `pattern` when given. The subscription starts when the effect
+  // runs and lasts for its scope, so no write after it is missed.
+  readonly subscribe: (
+    pattern?: Hedge
+  ) => Effect.Effect<Stream.Stream<Changes.ChangeEvent>, never, Scope.Scope>
+  // the same events, subscribed when the stream starts
+  readonly changes: (pattern?: Hedge) => Stream.Stream<Changes.ChangeEvent>
+}
+
+export class HypergraphStore extends Context.Tag("wink_hg/HypergraphStore")<
+  HypergraphStore,
+  HypergraphStoreService
+>() {}
+
+// Builds the service from the writes of a backend and its snapshot
+const makeService = (backend: {
+  readonly insert: HypergraphStoreService["insert"]
+  readonly remove: HypergraphStoreService["remove"]
+  readonly setAttribute: HypergraphStoreService["setAttribute"]
+  readonly deleteAttribute: HypergraphStoreService["deleteAttribute"]
+  readonly updateAttribute: HypergraphStoreService["updateAttribute"]
+  readonly declareAttributeIndex: HypergraphStoreService["declareAttributeIndex"]
+  readonly declareView: HypergraphStoreService["declareView"]
+  readonly snapshot: HypergraphStoreService["snapshot"]
+}): Effect.Effect<HypergraphStoreService> =>
+  Effect.gen(function*() {
+    const read = <A>(f: (hg: HG.Hypergraph) => A) => Effect.map(backend.snapshot, f)
+    const stream = (f: (hg: HG.Hypergraph) => Stream.Stream<Hedge>) => Stream.unwrap(read(f))
+
+    const pubsub = yield* PubSub.unbounded<Changes.ChangeEvent>()
+    const subscribers = yield* Ref.make(0)
+    const lock = yield* Effect.makeSemaphore(1)
+    // Writes run one at a time; while anyone listens, the snapshots around a
+    // write are compared (snapshots stay valid after later writes)
+    const publishing = <E>(
+      write: Effect.Effect<void, E>,
+      changes: (
+        before: HG.Hypergraph,
+        after: HG.Hypergraph
+      ) => ReadonlyArray<Changes.ChangeEvent>
+    ) =>
+      lock.withPermits(1)(
+        Effect.gen(function*() {
+          if ((yield* Ref.get(subscribers)) === 0) return yield* write
+          const before = yield* backend.snapshot
+          yield* write
+          const after = yield* backend.snapshot
+          yield* PubSub.publishAll(pubsub, changes(before, after))
+        })
+      )
+    const attributeWrite = <E>(
+      write: Effect.Effect<void, E>,
+      edge: Hedge,
+      attribute: string
+    ) => publishing(write, (before, after) => Changes.attributeChanged(before, after, edge, attribute))
+
+    const subscribe = (pattern?: Hedge) =>
+      Effect.gen(function*() {
+        yield* Effect.acquireRelease(
+          Ref.update(subscribers, (n) => n + 1),
+          () => Ref.update(subscribers, (n) => n - 1)
+        )
+        const events = Stream.fromQueue(yield* PubSub.subscribe(pubsub))
+        return pattern === undefined
+          ? events
+          : Stream.filter(events, (e) => Changes.matches(e, pattern))
+      })
+
+    return {
+      insert: (edge, options) => {
+        // checked before any backend runs, so nothing is written
+        const reason = HG.invalidEdgeReason(edge)
+        return reason === undefined
+          ? publishing(backend.insert(edge, options), (before, after) => Changes.inserted(before, after, edge, options))
+          : Effect.fail(new StoreError({ message: reason, cause: edge }))
+      },
+      remove: (edge, options) =>
+        publishing(backend.remove(edge, options), (before, after) => Changes.removed(before, after, edge, options)),
+      setAttribute: (edge, attribute, value) =>
+        attributeWrite(
+          backend.setAttribute(edge, attribute, value),
+          edge,
+          attribute
+        ),
+      deleteAttribute: (edge, attribute) =>
+        attributeWrite(
+          backend.deleteAttribute(edge, attribute),
+          edge,
+          attribute
+        ),
+      incAttribute: (edge, attribute, by) =>
+        attributeWrite(
+          backend.updateAttribute(edge, attribute, HG.incrementBy(by ?? 1)),
+          edge,
+          attribute
+        ),
+      updateAttribute: (edge, attribute, f) =>
+        attributeWrite(
+          backend.updateAttribute(edge, attribute, f),
+          edge,
+          attribute
+        ),
+      declareAttributeIndex: backend.declareAttributeIndex,
+      declareView: backend.declareView,
+      snapshot: backend.snapshot,
+      get: (edge, options) => read((hg) => HG.get(hg, edge, options)),
+      getStrAttribute: (edge, attribute) => read((hg) => Option.fromNullable(HG.getStrAttribute(hg, edge, attribute))),
+      size: read(HG.size),
+      findByPattern: (pattern, options) => read((hg) => HG.findByPattern(hg, pattern, options)),
+      streamAll: stream(HG.streamAll),
+      streamByPattern: (pattern, options) => stream((hg) => HG.streamByPattern(hg, pattern, options)),
+      subscribe,
+      changes: (pattern) => Stream.unwrapScoped(subscribe(pattern))
+    }
+  })
+
+// ===== Immutable =====
+
+// Persistent maps in a Ref; every write produces a new hypergraph value
+export const makeImmutable = (
+  initial: HG.Hypergraph = HG.make()
+): Effect.Effect<HypergraphStoreService> =>
+  Effect.flatMap(Ref.make(initial), (ref) =>
+    makeService({
+      insert: (edge, options) => Ref.update(ref, (hg) => HG.insert(hg, edge, options)),
+      remove: (edge, options) => Ref.update(ref, (hg) => HG.remove(hg, edge, options)),
+      setAttribute: (edge, attribute, value) => Ref.update(ref, (hg) => HG.setAttribute(hg, edge, attribute, value)),
+      deleteAttribute: (edge, attribute) => Ref.update(ref, (hg) => HG.deleteAttribute(hg, edge, attribute)),
+      updateAttribute: (edge, attribute, f) =>
+        Ref.modify(ref, (hg) => {
+          const next = HG.updateAttribute(hg, edge, attribute, f)
+          return [next, Either.getOrElse(next, () => hg)] as const
+        }).pipe(Effect.flatMap(Effect.asVoid)),
+      declareAttributeIndex: (attribute, kind) =>
+        Ref.update(ref, (hg) => HG.declareAttributeIndex(hg, attribute, kind)),
+      declareView: (name, pattern) => Ref.update(ref, (hg) => HG.declareView(hg, name, pattern)),
+      snapshot: Ref.get(ref)
+    }))
+
+export const layer = (initial?: HG.Hypergraph): Layer.Layer<HypergraphStore> =>
+  Layer.effect(HypergraphStore, makeImmutable(initial))
+
+// ===== Mutable =====
+
+// Maps are updated in place between reads; taking a snapshot freezes them and
+// the next write starts a new mutation (copying only the touched nodes)
+export const makeMutable = (
+  initial: HG.Hypergraph = HG.make()
+): Effect.Effect<HypergraphStoreService> =>
+  Effect.suspend(() => {
+    let hg = initial
+    let mutating = false
+    const current = () => {
+      if (!mutating) {
+        hg = HG.beginMutation(hg)
+        mutating = true
+      }
+      return hg
+    }
+    const write = (f: (hg: HG.Hypergraph) => HG.Hypergraph) =>
+      Effect.sync(() => {
+        hg = f(current())
+      })
+    return makeService({
+      insert: (edge, options) => write((g) => HG.insert(g, edge, options)),
+      remove: (edge, options) => write((g) => HG.remove(g, edge, options)),
+      setAttribute: (edge, attribute, value) => write((g) => HG.setAttribute(g, edge, attribute, value)),
+      deleteAttribute: (edge, attribute) => write((g) => HG.deleteAttribute(g, edge, attribute)),
+      updateAttribute: (edge, attribute, f) =>
+        Effect.flatten(
+          Effect.sync(() =>
+            Either.map(HG.updateAttribute(current(), edge, attribute, f), (next) => {
+              hg = next
+            })
+          )
+        ),
+      declareAttributeIndex: (attribute, kind) => write((g) => HG.declareAttributeIndex(g, attribute, kind)),
+      declareView: (name, pattern) => write((g) => HG.declareView(g, name, pattern)),
+      snapshot: Effect.sync(() => {
+        if (mutating) {
+          hg = HG.endMutation(hg)
+          mutating = false
+        }
+        return hg
+      })
+    })
+  })
+
+export const layerMutable = (
+  initial?: HG.Hypergraph
+): Layer.Layer<HypergraphStore> => Layer.effect(HypergraphStore, makeMutable(initial))
+
+// ===== File-backed =====
+
+const isDurableError = (e: unknown): e is PlatformError | Durable.EntryError =>
+  isPlatformError(e) || e instanceof Durable.EntryError
+
+const storeError = (cause: PlatformError | Durable.EntryError) => new StoreError({ message: cause.message, cause })
+
+// Journaled hypergraph in `directory` (see DurableHypergraph.ts); the journal
+// is closed when the layer is released
+export const makeFile = (directory: string, options?: Durable.DurableOptions) =>
+  Effect.flatMap(Durable.open(directory, options), (d) =>
+    makeService({
+      insert: (edge, opts) => Effect.mapError(Durable.insert(d, edge, opts), storeError),
+      remove: (edge, opts) => Effect.mapError(Durable.remove(d, edge, opts), storeError),
+      setAttribute: (edge, attribute, value) =>
+        Effect.mapError(
+          Durable.setAttribute(d, edge, attribute, value),
+          storeError
+        ),
+      deleteAttribute: (edge, attribute) =>
+        Effect.mapError(
+          Durable.deleteAttribute(d, edge, attribute),
+          storeError
+        ),
+      updateAttribute: (edge, attribute, f) =>
+        Effect.catchIf(
+          Durable.updateAttribute(d, edge, attribute, f),
+          isDurableError,
+          (e) => Effect.fail(storeError(e))
+        ),
+      declareAttributeIndex: (attribute, kind) => Durable.declareAttributeIndex(d, attribute, kind),
+      declareView: (name, pattern) => Durable.declareView(d, name, pattern),
+      snapshot: Durable.hypergraph(d)
+    }))
+
+export const layerFile = (
+  directory: string,
+  options?: Durable.DurableOptions
+): Layer.Layer<
+  HypergraphStore,
+  PlatformError | SnapshotError | Durable.JournalError,
+  FileSystem.FileSystem
+> => Layer.scoped(HypergraphStore, makeFile(directory, options))
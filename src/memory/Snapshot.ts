@@ -0,0 +1,321 @@
+import { FileSystem } from "@effect/platform"
+import type { PlatformError } from "@effect/platform/Error"
+import { Data, Effect, Either, HashMap, HashSet, Option, Order, RedBlackTree } from "effect"
+import { atom, hedge, isAtom } from "../hg/model.js"
+import type { Atom, Hedge } from "../hg/model.js"
+import { toStr } from "../hg/print.js"
+import * as HG from "./Hypergraph.js"
+
+// Binary snapshot layout (little endian):
+//   header   magic "WHGS" | version u16 | reserved u16 | payload length u32 |
+//            CRC-32 of payload u32
+//   payload  atom dictionary: count, then (flags byte, utf-8 text) per atom
+//            edges: count, then one tree per edge, where each node is a
+//            varint v: atom id v >> 1 when v is even, else a hyperedge of
+//            v >> 1 items followed by the items
+//            attributes: count, then (edge index, pair count, key, value...)
+//            non-primary edges: count, then edge indexes
+//            attribute edges, edges with attributes that are not stored:
+//            count, then (tree, pair count, key, value...)
+//            sequence numbers: next sequence number, then the sequence number
+//            of each edge (see HG.Hypergraph.seqs)
+// Counts, ids and lengths are unsigned LEB128 varints; strings are
+// length-prefixed utf-8.
+
+export const SNAPSHOT_MAGIC = "WHGS"
+export const SNAPSHOT_VERSION = 1
+const HEADER_SIZE = 16
+const ATOM_PARENS = 1
+
+export class SnapshotError extends Data.TaggedError("SnapshotError")<{
+  message: string
+}> {}
+
+// ===== CRC-32 (IEEE) =====
+
+const crcTable = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+export const crc32 = (bytes: Uint8Array): number => {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// ===== Encoding =====
+
+const makeWriter = () => {
+  let buf = new Uint8Array(1 << 16)
+  let len = 0
+  const textEncoder = new TextEncoder()
+  const ensure = (n: number) => {
+    if (len + n <= buf.length) return
+    let size = buf.length * 2
+    while (size < len + n) size *= 2
+    const next = new Uint8Array(size)
+    next.set(buf.subarray(0, len))
+    buf = next
+  }
+  const byte = (b: number) => {
+    ensure(1)
+    buf[len++] = b
+  }
+  const varint = (n: number) => {
+    while (n >= 0x80) {
+      byte((n & 0x7f) | 0x80)
+      n = Math.floor(n / 128)
+    }
+    byte(n)
+  }
+  const string = (s: string) => {
+    const bytes = textEncoder.encode(s)
+    varint(bytes.length)
+    ensure(bytes.length)
+    buf.set(bytes, len)
+    len += bytes.length
+  }
+  return { byte, varint, string, bytes: () => buf.subarray(0, len) }
+}
+
+export const encode = (hg: HG.Hypergraph): Uint8Array => {
+  const w = makeWriter()
+  const atomIds = new Map<string, number>()
+  const atomList: Array<Atom> = []
+  const atomKey = (a: Atom) => (a.parens ? `(${a.text})` : a.text)
+  const collect = (e: Atom | Hedge) => {
+    if (!isAtom(e)) return e.items.forEach(collect)
+    const key = atomKey(e)
+    if (atomIds.has(key)) return
+    atomIds.set(key, atomList.length)
+    atomList.push(e)
+  }
+  // in insertion order
+  const seqOf = (id: number) => HashMap.unsafeGet(hg.seqs, id)
+  const entries = Array.from(HashMap.entries(hg.edges)).sort(
+    ([a], [b]) => seqOf(a) - seqOf(b)
+  )
+  const attrEdges = Array.from(HashMap.entries(hg.attrEdges)).sort(
+    ([a], [b]) => a - b
+  )
+  for (const [, e] of entries) collect(e)
+  for (const [, e] of attrEdges) collect(e)
+
+  w.varint(atomList.length)
+  for (const a of atomList) {
+    w.byte(a.parens ? ATOM_PARENS : 0)
+    w.string(a.text)
+  }
+  const writeTree = (e: Atom | Hedge) => {
+    if (isAtom(e)) return w.varint(atomIds.get(atomKey(e))! * 2)
+    w.varint(e.items.length * 2 + 1)
+    e.items.forEach(writeTree)
+  }
+  w.varint(entries.length)
+  for (const [, e] of entries) writeTree(e)
+
+  const attrsOf = (id: number) =>
+    HashMap.get(hg.attrs, id).pipe(Option.getOrElse(() => HashMap.empty<string, string>()))
+  const writeAttrs = (attrs: HashMap.HashMap<string, string>) => {
+    w.varint(HashMap.size(attrs))
+    for (const [k, v] of HashMap.entries(attrs)) {
+      w.string(k)
+      w.string(v)
+    }
+  }
+  const withAttrs = entries.flatMap(([id], i) => HashMap.size(attrsOf(id)) > 0 ? [i] : [])
+  w.varint(withAttrs.length)
+  for (const i of withAttrs) {
+    w.varint(i)
+    writeAttrs(attrsOf(entries[i][0]))
+  }
+
+  const secondary = entries.flatMap(([id], i) => HashSet.has(hg.secondary, id) ? [i] : [])
+  w.varint(secondary.length)
+  for (const i of secondary) w.varint(i)
+
+  w.varint(attrEdges.length)
+  for (const [id, e] of attrEdges) {
+    writeTree(e)
+    writeAttrs(attrsOf(id))
+  }
+
+  w.varint(hg.nextSeq)
+  for (const [id] of entries) w.varint(seqOf(id))
+
+  const payload = w.bytes()
+  const out = new Uint8Array(HEADER_SIZE + payload.length)
+  const view = new DataView(out.buffer)
+  for (let i = 0; i < 4; i++) out[i] = SNAPSHOT_MAGIC.charCodeAt(i)
+  view.setUint16(4, SNAPSHOT_VERSION, true)
+  view.setUint16(6, 0, true)
+  view.setUint32(8, payload.length, true)
+  view.setUint32(12, crc32(payload), true)
+  out.set(payload, HEADER_SIZE)
+  return out
+}
+
+// ===== Decoding =====
+
+const makeReader = (bytes: Uint8Array) => {
+  let pos = 0
+  const textDecoder = new TextDecoder("utf-8", { fatal: true })
+  const fail = (message: string): never => {
+    throw new SnapshotError({ message: `${message} at byte ${pos}` })
+  }
+  const byte = () => (pos < bytes.length ? bytes[pos++] : fail("truncated"))
+  const varint = () => {
+    let n = 0
+    let scale = 1
+    for (;;) {
+      const b = byte()
+      n += (b & 0x7f) * scale
+      if ((b & 0x80) === 0) return n
+      scale *= 128
+      if (scale > 2 ** 49) fail("varint too long")
+    }
+  }
+  const string = () => {
+    const n = varint()
+    if (pos + n > bytes.length) fail("truncated string")
+    const s = textDecoder.decode(bytes.subarray(pos, pos + n))
+    pos += n
+    return s
+  }
+  return { byte, varint, string, fail, done: () => pos === bytes.length }
+}
+
+const decodePayload = (payload: Uint8Array): HG.Hypergraph => {
+  const r = makeReader(payload)
+  const atomCount = r.varint()
+  const atoms: Array<Atom> = []
+  for (let i = 0; i < atomCount; i++) {
+    const flags = r.byte()
+    atoms.push(atom(r.string(), (flags & ATOM_PARENS) !== 0))
+  }
+  const readPairs = () => {
+    const n = r.varint()
+    const pairs: Array<[string, string]> = []
+    for (let j = 0; j < n; j++) pairs.push([r.string(), r.string()])
+    return pairs
+  }
+  const readTree = (): Atom | Hedge => {
+    const v = r.varint()
+    if (v % 2 === 0) {
+      const a = atoms[v / 2]
+      return a ?? r.fail(`unknown atom id ${v / 2}`)
+    }
+    const items: Array<Atom | Hedge> = []
+    for (let i = 0; i < (v - 1) / 2; i++) items.push(readTree())
+    return hedge(items)
+  }
+  const edgeCount = r.varint()
+  const edges: Array<Hedge> = []
+  for (let i = 0; i < edgeCount; i++) {
+    const e = readTree()
+    edges.push(isAtom(e) ? r.fail("top-level atom") : e)
+  }
+  // decoded edges share their atoms, so one bulk insert parses each atom once
+  // (see the snapshot benchmark in scripts/performance.ts)
+  const hg = HG.insertMany(HG.make(), edges)
+  const idOf = (edge: Hedge) => HashMap.unsafeGet(hg.ids, toStr(edge))
+
+  const attrCount = r.varint()
+  let attrs = HashMap.beginMutation(hg.attrs)
+  for (let i = 0; i < attrCount; i++) {
+    const edge = edges[r.varint()] ?? r.fail("attribute edge out of range")
+    attrs = HashMap.set(attrs, idOf(edge), HashMap.fromIterable(readPairs()))
+  }
+  let secondary = HashSet.beginMutation(hg.secondary)
+  const secondaryCount = r.varint()
+  for (let i = 0; i < secondaryCount; i++) {
+    const edge = edges[r.varint()] ?? r.fail("secondary edge out of range")
+    secondary = HashSet.add(secondary, idOf(edge))
+  }
+  let out: HG.Hypergraph = {
+    ...hg,
+    attrs: HashMap.endMutation(attrs),
+    secondary: HashSet.endMutation(secondary)
+  }
+  const attrEdgeCount = r.varint()
+  for (let i = 0; i < attrEdgeCount; i++) {
+    const e = readTree()
+    const edge = isAtom(e) ? r.fail("top-level atom") : e
+    for (const [k, v] of readPairs()) out = HG.setAttribute(out, edge, k, v)
+  }
+  const nextSeq = r.varint()
+  let seqs = HashMap.beginMutation(HashMap.empty<number, number>())
+  const bySeq: Array<[number, number]> = []
+  for (const edge of edges) {
+    const seq = r.varint()
+    if (seq >= nextSeq) r.fail("sequence number out of range")
+    seqs = HashMap.set(seqs, idOf(edge), seq)
+    bySeq.push([seq, idOf(edge)])
+  }
+  out = {
+    ...out,
+    seqs: HashMap.endMutation(seqs),
+    nextSeq,
+    bySeq: RedBlackTree.fromIterable(bySeq, Order.number)
+  }
+  if (!r.done()) r.fail("trailing bytes")
+  return out
+}
+
+export const decode = (
+  bytes: Uint8Array
+): Either.Either<HG.Hypergraph, SnapshotError> => {
+  const err = (message: string) => Either.left(new SnapshotError({ message }))
+  if (bytes.length < HEADER_SIZE) return err("truncated header")
+  const magic = String.fromCharCode(...bytes.subarray(0, 4))
+  if (magic !== SNAPSHOT_MAGIC) return err("not a hypergraph snapshot")
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const version = view.getUint16(4, true)
+  if (version !== SNAPSHOT_VERSION) {
+    return err(`unsupported snapshot version ${version}`)
+  }
+  const length = view.getUint32(8, true)
+  if (bytes.length !== HEADER_SIZE + length) {
+    return err(
+      `payload length mismatch: expected ${length}, found ${bytes.length - HEADER_SIZE}`
+    )
+  }
+  const payload = bytes.subarray(HEADER_SIZE)
+  if (crc32(payload) !== view.getUint32(12, true)) {
+    return err("checksum mismatch")
+  }
+  return Either.try({
+    try: () => decodePayload(payload),
+    catch: (e) =>
+      e instanceof SnapshotError
+        ? e
+        : new SnapshotError({ message: String(e) })
+  })
+}
+
+// ===== Files =====
+
+export const writeSnapshot = (
+  hg: HG.Hypergraph,
+  path: string
+): Effect.Effect<void, PlatformError, FileSystem.FileSystem> =>
+  Effect.flatMap(FileSystem.FileSystem, (fs) => fs.writeFile(path, encode(hg)))
+
+export const readSnapshot = (
+  path: string
+): Effect.Effect<
+  HG.Hypergraph,
+  PlatformError | SnapshotError,
+  FileSystem.FileSystem
+> =>
+  Effect.flatMap(FileSystem.FileSystem, (fs) => fs.readFile(path)).pipe(
+    Effect.flatMap(decode)
+  )
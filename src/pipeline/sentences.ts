@@ -1,10 +1,11 @@
-import { Chunk, Effect } from "effect";
-import { Hedge } from "../hg/model.js";
-import { hedgeFromHypergraphString } from "../parser/adapter.js";
-import * as HG from "../memory/Hypergraph.js";
+import { Chunk, Effect } from "effect"
+import type { Hedge } from "../hg/model.js"
+import * as Batch from "../memory/Batch.js"
+import * as HG from "../memory/Hypergraph.js"
+import { hedgeFromHypergraphString } from "../parser/adapter.js"
 
 export interface ProductionLike {
-  parse: (text: string) => Promise<{ hypergraphString: string }>;
+  parse: (text: string) => Promise<{ hypergraphString: string }>
 }
 
 // Data-first: given a sentence list and a production-like parser, parse each independently
@@ -13,26 +14,25 @@ export const parseSentences = (
   parser: ProductionLike
 ): Effect.Effect<Chunk.Chunk<Hedge>> =>
   Effect.forEach(sentences, (s) => Effect.promise(() => parser.parse(s)), {
-    concurrency: "unbounded",
+    concurrency: "unbounded"
   }).pipe(
     Effect.map((results) =>
       results.reduce((acc, r) => {
-        const h = hedgeFromHypergraphString(r.hypergraphString);
-        return h ? Chunk.append(acc, h) : acc;
+        const h = hedgeFromHypergraphString(r.hypergraphString)
+        return h ? Chunk.append(acc, h) : acc
       }, Chunk.empty<Hedge>())
     )
-  );
+  )
 
-// Build a Hypergraph from sentences via the production parser
+// Build a Hypergraph from sentences via the production parser; fails, leaving
+// nothing inserted, when a parsed edge cannot be stored (the error's index
+// counts parsed edges, not sentences)
 export const hypergraphFromSentences = (
   sentences: ReadonlyArray<string>,
   parser: ProductionLike,
   initial?: HG.Hypergraph
-): Effect.Effect<HG.Hypergraph> =>
+): Effect.Effect<HG.Hypergraph, Batch.BatchError> =>
   parseSentences(sentences, parser).pipe(
-    Effect.map((edges) => {
-      let hg = initial ?? HG.make();
-      for (const e of edges) hg = HG.insert(hg, e);
-      return hg;
-    })
-  );
+    Effect.flatMap((edges) => Batch.apply(initial ?? HG.make(), edges, { onError: "fail" })),
+    Effect.map((result) => result.hypergraph)
+  )
@@ -0,0 +1,85 @@
+import { Schema as S } from "effect"
+import { describe, expect, it } from "vitest"
+import {
+  atomFromParts,
+  atomPartsText,
+  AtomTextSchema,
+  buildAtom,
+  equivalentParts,
+  makeAtomParts,
+  parseAtomText,
+  partsOf,
+  partsType
+} from "../src/hg/atom.js"
+import { atom } from "../src/hg/model.js"
+import { atomArgroles, atomRoot, atomType } from "../src/hg/ops.js"
+
+describe("hg structured atoms", () => {
+  it("parses root, types, argroles, namespace and extra parts", () => {
+    const p = parseAtomText("says/Pd.{so}/en/x")
+    expect(p.root).toBe("says")
+    expect(p.mainType).toBe("P")
+    expect(p.subtype).toBe("d")
+    expect(p.argroles).toBe("so")
+    expect(p.unordered).toBe(true)
+    expect(p.namespace).toBe("en")
+    expect(p.extra).toEqual(["x"])
+
+    const ordered = parseAtomText("of/Br.ma")
+    expect(ordered.argroles).toBe("ma")
+    expect(ordered.unordered).toBe(false)
+    expect(ordered.namespace).toBe("")
+  })
+
+  it("treats root-only atoms as conjunctions", () => {
+    const p = parseAtomText("and")
+    expect(p.mainType).toBe("")
+    expect(partsType(p)).toBe("J")
+    expect(atomType(atom("and"))).toBe("J")
+  })
+
+  it("round-trips through AtomTextSchema", () => {
+    const decode = S.decodeSync(AtomTextSchema)
+    const encode = S.encodeSync(AtomTextSchema)
+    for (
+      const t of [
+        "says/Pd.{so}/en/x",
+        "+/B/.",
+        "graphbrain/Cp.s/1",
+        "is",
+        "mary/C",
+        "a//ns"
+      ]
+    ) {
+      expect(encode(decode(t))).toBe(t)
+    }
+  })
+
+  it("builds atoms from parts and text", () => {
+    const p = makeAtomParts({ root: "berlin", mainType: "C", subtype: "p" })
+    expect(atomPartsText(p)).toBe("berlin/Cp")
+    const a = atomFromParts(p)
+    expect(a.text).toBe("berlin/Cp")
+    expect(partsOf(a)).toBe(p)
+
+    expect(buildAtom("graph brain/(1).", "Cp.s", "", "1").text).toBe(
+      "graph%20brain%2f%281%29%2e/Cp.s/1"
+    )
+    expect(buildAtom("mary").text).toBe("mary")
+  })
+
+  it("compares parts up to the order of unordered argroles", () => {
+    const same = (a: string, b: string) => equivalentParts(parseAtomText(a), parseAtomText(b))
+    expect(same("plays/Pd.{so}/en", "plays/Pd.{os}/en")).toBe(true)
+    expect(same("plays/Pd.so", "plays/Pd.os")).toBe(false)
+    expect(same("plays/Pd.{so}", "plays/Pd.so")).toBe(false)
+    expect(same("a/C/ns/x", "a/C/ns/y")).toBe(false)
+  })
+
+  it("ops helpers read the parsed view", () => {
+    const a = atom("plays/Pd.{so}/en")
+    expect(atomRoot(a)).toBe("plays")
+    expect(atomType(a)).toBe("Pd")
+    expect(atomArgroles(a)).toBe("{so}")
+  })
+})
@@ -0,0 +1,162 @@
+import { Chunk, Effect, Either, HashMap, HashSet, RedBlackTree } from "effect"
+import * as Stream from "effect/Stream"
+import { describe, expect, it } from "vitest"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+import * as HG from "../src/memory/Hypergraph.js"
+import * as Store from "../src/memory/HypergraphStore.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+const strs = (c: Chunk.Chunk<any>) =>
+  Chunk.toArray(c)
+    .map((e) => toStr(e))
+    .sort()
+
+const a = parse("(is/P.so sky/C blue/C)")
+const b = parse("(is/P.so grass/C green/C)")
+const c = parse("(likes/P.so mary/C john/C)")
+const d = parse("(is/P.so sea/C blue/C)")
+
+const sample = () => {
+  let hg = HG.make()
+  for (const e of [a, b, c, d]) hg = HG.insert(hg, e)
+  hg = HG.setAttribute(hg, a, "confidence", "0.9")
+  hg = HG.setAttribute(hg, b, "confidence", "0.5")
+  hg = HG.setAttribute(hg, c, "confidence", "0.85")
+  hg = HG.setAttribute(hg, d, "confidence", "unknown")
+  hg = HG.setAttribute(hg, a, "source", "doc42")
+  hg = HG.setAttribute(hg, c, "source", "doc42")
+  hg = HG.setAttribute(hg, b, "source", "doc7")
+  return hg
+}
+
+const indexed = () =>
+  HG.declareAttributeIndex(
+    HG.declareAttributeIndex(sample(), "confidence", "range"),
+    "source",
+    "equality"
+  )
+
+const rangeSize = (hg: HG.Hypergraph, attribute: string) => {
+  const index = HashMap.unsafeGet(hg.attrIndexes, attribute)
+  return index.kind === "range"
+    ? RedBlackTree.reduce(index.values, 0, (n, keys) => n + HashSet.size(keys))
+    : -1
+}
+
+describe("attribute indexes", () => {
+  it("answers equality and range queries with and without indexes", () => {
+    for (const hg of [sample(), indexed()]) {
+      expect(
+        strs(HG.findByAttributes(hg, [HG.attrEquals("source", "doc42")]))
+      ).toEqual([toStr(c), toStr(a)].sort())
+      expect(
+        strs(HG.findByAttributes(hg, [HG.attrRange("confidence", { gt: 0.8 })]))
+      ).toEqual([toStr(a), toStr(c)].sort())
+      expect(
+        strs(
+          HG.findByAttributes(hg, [
+            HG.attrRange("confidence", { gte: 0.5, lt: 0.9 })
+          ])
+        )
+      ).toEqual([toStr(b), toStr(c)].sort())
+      expect(
+        strs(
+          HG.findByAttributes(hg, [
+            HG.attrEquals("source", "doc42"),
+            HG.attrRange("confidence", { lte: 0.85 })
+          ])
+        )
+      ).toEqual([toStr(c)])
+    }
+  })
+
+  it("leaves non-numeric values out of range indexes", () => {
+    const hg = indexed()
+    expect(rangeSize(hg, "confidence")).toBe(3)
+    expect(
+      strs(HG.findByAttributes(hg, [HG.attrEquals("confidence", "unknown")]))
+    ).toEqual([toStr(d)])
+  })
+
+  it("filters pattern queries by attribute predicates", async () => {
+    const hg = indexed()
+    const pattern = parse("(is/P.so * *)")
+    const where = [HG.attrRange("confidence", { gt: 0.4 })]
+    expect(strs(HG.findByPattern(hg, pattern, { where }))).toEqual(
+      [toStr(a), toStr(b)].sort()
+    )
+    const streamed = await Effect.runPromise(
+      Stream.runCollect(HG.streamByPattern(hg, pattern, { where }))
+    )
+    expect(strs(streamed)).toEqual([toStr(a), toStr(b)].sort())
+    expect(
+      HG.findByPattern(hg, pattern, {
+        where: [HG.attrEquals("source", "nowhere")]
+      }).length
+    ).toBe(0)
+    expect(HG.findByPattern(hg, pattern).length).toBe(3)
+  })
+
+  it("is maintained by setAttribute, deleteAttribute, remove and insert", () => {
+    let hg = indexed()
+    const high = [HG.attrRange("confidence", { gt: 0.8 })]
+
+    hg = HG.setAttribute(hg, a, "confidence", "0.1")
+    expect(strs(HG.findByAttributes(hg, high))).toEqual([toStr(c)])
+    hg = Either.getOrThrow(HG.incAttribute(hg, b, "confidence", 1))
+    expect(strs(HG.findByAttributes(hg, high))).toEqual(
+      [toStr(b), toStr(c)].sort()
+    )
+
+    hg = HG.deleteAttribute(hg, b, "source")
+    expect(
+      strs(HG.findByAttributes(hg, [HG.attrEquals("source", "doc7")]))
+    ).toEqual([])
+
+    hg = HG.remove(hg, c, { attributes: "retain" })
+    expect(strs(HG.findByAttributes(hg, high))).toEqual([toStr(b)])
+    expect(rangeSize(hg, "confidence")).toBe(2)
+    hg = HG.insert(hg, c)
+    expect(strs(HG.findByAttributes(hg, high))).toEqual(
+      [toStr(b), toStr(c)].sort()
+    )
+
+    hg = HG.remove(hg, c)
+    hg = HG.insert(hg, c)
+    expect(strs(HG.findByAttributes(hg, high))).toEqual([toStr(b)])
+  })
+
+  it("does not index attributes of edges that are not stored", () => {
+    let hg = HG.declareAttributeIndex(HG.make(), "source", "equality")
+    hg = HG.setAttribute(hg, a, "source", "doc1")
+    const where = [HG.attrEquals("source", "doc1")]
+    expect(HG.findByAttributes(hg, where).length).toBe(0)
+    hg = HG.insert(hg, a)
+    expect(strs(HG.findByAttributes(hg, where))).toEqual([toStr(a)])
+  })
+
+  it("can be declared on a store", async () => {
+    const program = Effect.gen(function*() {
+      const store = yield* Store.HypergraphStore
+      yield* store.declareAttributeIndex("score", "range")
+      for (
+        const [e, s] of [
+          [a, "1"],
+          [b, "3"],
+          [c, "5"]
+        ] as const
+      ) {
+        yield* store.insert(e)
+        yield* store.setAttribute(e, "score", s)
+      }
+      return yield* store.findByPattern(parse("(* * *)"), {
+        where: [HG.attrRange("score", { gte: 2 })]
+      })
+    })
+    for (const layer of [Store.layer(), Store.layerMutable()]) {
+      const found = await Effect.runPromise(Effect.provide(program, layer))
+      expect(strs(found)).toEqual([toStr(b), toStr(c)].sort())
+    }
+  })
+})
@@ -0,0 +1,151 @@
+import { Chunk, Effect, Either, Equal, HashSet } from "effect"
+import * as Stream from "effect/Stream"
+import { describe, expect, it } from "vitest"
+import { atom, hedge } from "../src/hg/model.js"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+import * as Batch from "../src/memory/Batch.js"
+import * as HG from "../src/memory/Hypergraph.js"
+import { hypergraphFromSentences } from "../src/pipeline/sentences.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+const a = parse("(is/P.so sky/C blue/C)")
+const b = parse("(is/P.so grass/C green/C)")
+const c = parse("(likes/P.so mary/C (of/B.ma friend/C john/C))")
+
+// stored edges are compared by key: parsed hedges hold distinct item arrays
+const keysOf = (hg: HG.Hypergraph) => HashSet.fromIterable(HG.values(hg).map((e) => toStr(e)))
+const sameIndexes = (x: HG.Hypergraph, y: HG.Hypergraph) =>
+  (Object.keys(x) as Array<keyof HG.Hypergraph>).every((k) =>
+    k === "edges"
+      ? Equal.equals(keysOf(x), keysOf(y))
+      : Equal.equals(x[k], y[k])
+  )
+
+describe("batch updates", () => {
+  it("builds the same hypergraph as inserting one edge at a time", () => {
+    let expected = HG.make()
+    for (const e of [a, b, c]) expected = HG.insert(expected, e)
+    const res = Batch.apply(HG.make(), [a, toStr(b), c])
+    expect(Either.isRight(res)).toBe(true)
+    const result = Either.getOrThrow(res)
+    expect(result.inserted).toBe(3)
+    expect(result.duplicates).toBe(0)
+    expect(result.rejected).toBe(0)
+    expect(HG.size(result.hypergraph)).toBe(3)
+    expect(sameIndexes(result.hypergraph, expected)).toBe(true)
+    expect(HG.findByPattern(result.hypergraph, parse("(is/P.so * *)"))).toEqual(
+      HG.findByPattern(expected, parse("(is/P.so * *)"))
+    )
+  })
+
+  it("counts duplicates, removals and attribute updates", () => {
+    const initial = HG.insert(HG.make(), a)
+    const result = Either.getOrThrow(
+      Batch.apply(initial, [
+        a,
+        b,
+        b,
+        { op: "set", edge: b, key: "source", value: "doc42" },
+        { op: "remove", edge: a },
+        { op: "unset", edge: b, key: "missing" }
+      ])
+    )
+    expect(result.inserted).toBe(1)
+    expect(result.duplicates).toBe(2)
+    expect(result.removed).toBe(1)
+    expect(result.updated).toBe(2)
+    expect(HG.values(result.hypergraph).map((e) => toStr(e))).toEqual([
+      toStr(b)
+    ])
+    expect(HG.getStrAttribute(result.hypergraph, b, "source")).toBe("doc42")
+    // the input is left untouched
+    expect(HG.size(initial)).toBe(1)
+    expect(HG.findByConnector(initial, "is/P.so").length).toBe(1)
+  })
+
+  it("applies insert options to plain edges", () => {
+    const result = Either.getOrThrow(
+      Batch.apply(HG.make(), [c], { insert: { recursive: true } })
+    )
+    expect(result.inserted).toBe(1)
+    expect(HG.size(result.hypergraph)).toBe(2)
+    expect(HG.isPrimary(result.hypergraph, c.items[2] as any)).toBe(false)
+  })
+
+  it("aborts the whole batch on a rejected item by default", () => {
+    const initial = HG.insert(HG.make(), a)
+    const res = Batch.apply(initial, [b, "(is/P.so sky/C", c])
+    expect(Either.isLeft(res)).toBe(true)
+    if (Either.isLeft(res)) expect(res.left.index).toBe(1)
+    expect(HG.size(initial)).toBe(1)
+    expect(HG.findByConnector(initial, "is/P.so").length).toBe(1)
+  })
+
+  it("skips and reports rejected items", () => {
+    const result = Either.getOrThrow(
+      Batch.apply(
+        HG.make(),
+        [
+          a,
+          "(is/P.so sky/C",
+          hedge([]),
+          hedge([atom("is/P"), atom("")]),
+          "(a/Cp b/C)",
+          hedge([atom("says/P"), atom("mary/C"), hedge([atom("a/Cp"), atom("b/C")])]),
+          b
+        ],
+        { onError: "skip" }
+      )
+    )
+    expect(result.inserted).toBe(2)
+    expect(result.rejected).toBe(5)
+    expect(Chunk.toArray(result.errors).map((e) => e.index)).toEqual([1, 2, 3, 4, 5])
+    expect(HG.size(result.hypergraph)).toBe(2)
+  })
+
+  it("consumes a stream atomically", async () => {
+    const ok = await Effect.runPromise(
+      Batch.applyStream(HG.make(), Stream.make(a, b, toStr(c)))
+    )
+    expect(ok.inserted).toBe(3)
+
+    const failed = await Effect.runPromise(
+      Batch.applyStream(
+        HG.make(),
+        Stream.concat(Stream.make(a, b), Stream.fail("boom" as const))
+      ).pipe(Effect.flip)
+    )
+    expect(failed).toBe("boom")
+
+    const rejected = await Effect.runPromise(
+      Batch.applyStream(HG.make(), Stream.make(a, "(bad")).pipe(Effect.flip)
+    )
+    expect(rejected).toBeInstanceOf(Batch.BatchError)
+
+    const malformed = await Effect.runPromise(
+      Batch.applyStream(HG.make(), Stream.make(a, "(a/Cp b/C)"), {
+        onError: "skip"
+      })
+    )
+    expect([malformed.inserted, malformed.rejected]).toEqual([1, 1])
+  })
+
+  it("fails sentence builds on parsed edges that cannot be stored", async () => {
+    const parser = {
+      parse: (text: string) => Promise.resolve({ hypergraphString: text })
+    }
+    const built = await Effect.runPromise(hypergraphFromSentences([toStr(a), toStr(b)], parser))
+    expect(HG.size(built)).toBe(2)
+
+    const initial = HG.insert(HG.make(), c)
+    const failed = await Effect.runPromise(
+      hypergraphFromSentences([toStr(a), "(mary/C plays/P)", toStr(b)], parser, initial).pipe(Effect.flip)
+    )
+    expect(failed).toBeInstanceOf(Batch.BatchError)
+    expect(failed.index).toBe(1)
+    expect(failed.message).toMatch(/malformed edge/)
+    expect(HG.size(initial)).toBe(1)
+  })
+})
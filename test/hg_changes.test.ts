@@ -0,0 +1,134 @@
+import { NodeFileSystem } from "@effect/platform-node"
+import { Chunk, Effect, Fiber, Layer, Option } from "effect"
+import * as Stream from "effect/Stream"
+import { mkdtempSync } from "node:fs"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { describe, expect, it } from "vitest"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+import type { ChangeEvent } from "../src/memory/Changes.js"
+import * as Store from "../src/memory/HypergraphStore.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+const e1 = parse("(plays/Pd.so mary/C chess/C)")
+const e2 = parse("(says/Pd.so john/C (plays/Pd.so mary/C go/C))")
+const sub = parse("(plays/Pd.so mary/C go/C)")
+
+// events as readable strings
+const show = (events: Chunk.Chunk<ChangeEvent>) =>
+  Chunk.toArray(events).map((e) => {
+    switch (e._tag) {
+      case "EdgeInserted":
+      case "EdgeRemoved":
+        return `${e._tag} ${toStr(e.edge)}`
+      case "AttributeSet":
+        return `${e._tag} ${toStr(e.edge)} ${e.attribute}=${e.value} (${Option.getOrUndefined(e.previous) ?? "-"})`
+      case "AttributeDeleted":
+        return `${e._tag} ${toStr(e.edge)} ${e.attribute} (${e.previous})`
+    }
+  })
+
+const backends: ReadonlyArray<
+  readonly [string, () => Layer.Layer<Store.HypergraphStore, unknown>]
+> = [
+  ["immutable", () => Store.layer()],
+  ["mutable", () => Store.layerMutable()],
+  [
+    "file",
+    () =>
+      Store.layerFile(mkdtempSync(join(tmpdir(), "hg-changes-"))).pipe(
+        Layer.provide(NodeFileSystem.layer)
+      )
+  ]
+]
+
+const writes = Effect.gen(function*() {
+  const store = yield* Store.HypergraphStore
+  yield* store.insert(e1)
+  yield* store.insert(e1)
+  yield* store.insert(e2, { recursive: true })
+  yield* store.setAttribute(e1, "count", "1")
+  yield* store.incAttribute(e1, "count", 2)
+  yield* store.setAttribute(e1, "count", "3")
+  yield* store.deleteAttribute(e1, "count")
+  yield* store.deleteAttribute(e1, "missing")
+  yield* store.setAttribute(sub, "source", "doc")
+  yield* store.remove(e2, { recursive: true })
+  // retained attributes are not deleted
+  yield* store.setAttribute(e1, "k", "v")
+  yield* store.remove(e1, { attributes: "retain" })
+})
+
+describe("change feed", () => {
+  for (const [name, makeLayer] of backends) {
+    it(`reports the writes of the ${name} backend`, async () => {
+      const program = Effect.scoped(
+        Effect.gen(function*() {
+          const store = yield* Store.HypergraphStore
+          // nobody listens yet
+          yield* store.insert(parse("(is/Pd.sc sky/C blue/C)"))
+          const all = yield* store.subscribe()
+          const scoped = yield* store.subscribe(parse("(plays/Pd.so * *)"))
+          yield* writes
+          return [
+            show(yield* Stream.runCollect(Stream.take(all, 12))),
+            show(yield* Stream.runCollect(Stream.take(scoped, 10)))
+          ]
+        })
+      )
+      const [all, scoped] = await Effect.runPromise(
+        program.pipe(Effect.provide(makeLayer()))
+      )
+      const inserted = [
+        `EdgeInserted ${toStr(e1)}`,
+        `EdgeInserted ${toStr(sub)}`
+      ]
+      const attributes = [
+        `AttributeSet ${toStr(e1)} count=1 (-)`,
+        `AttributeSet ${toStr(e1)} count=3 (1)`,
+        `AttributeDeleted ${toStr(e1)} count (3)`,
+        `AttributeSet ${toStr(sub)} source=doc (-)`
+      ]
+      const retained = [
+        `AttributeSet ${toStr(e1)} k=v (-)`,
+        `EdgeRemoved ${toStr(e1)}`
+      ]
+      expect(all).toEqual([
+        ...inserted,
+        `EdgeInserted ${toStr(e2)}`,
+        ...attributes,
+        `EdgeRemoved ${toStr(e2)}`,
+        `AttributeDeleted ${toStr(sub)} source (doc)`,
+        `EdgeRemoved ${toStr(sub)}`,
+        ...retained
+      ])
+      expect(scoped).toEqual([
+        ...inserted,
+        ...attributes,
+        `AttributeDeleted ${toStr(sub)} source (doc)`,
+        `EdgeRemoved ${toStr(sub)}`,
+        ...retained
+      ])
+    })
+  }
+
+  it("streams the changes written after subscribing to a reader", async () => {
+    const events = await Effect.runPromise(
+      Effect.scoped(
+        Effect.gen(function*() {
+          const store = yield* Store.HypergraphStore
+          yield* store.insert(e2)
+          const changes = yield* store.subscribe()
+          const fiber = yield* Effect.fork(
+            Stream.runCollect(Stream.take(changes, 1))
+          )
+          yield* store.insert(e1)
+          return yield* Fiber.join(fiber)
+        })
+      ).pipe(Effect.provide(Store.layerMutable()))
+    )
+    expect(show(events)).toEqual([`EdgeInserted ${toStr(e1)}`])
+  })
+})
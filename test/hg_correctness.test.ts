@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest"
+import { atom, hedge } from "../src/hg/model.js"
+import { checkCorrectness, correctnessDiagnostics } from "../src/hg/ops.js"
+import { hedgeFromString } from "../src/hg/parse.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+const rules = (s: string) => correctnessDiagnostics(parse(s)).map((d) => [d.rule, d.path.join(".")])
+
+describe("hg correctness diagnostics", () => {
+  it("accepts well-formed edges", () => {
+    for (
+      const s of [
+        "(is/Pd.sc (the/Md sky/Cc) blue/Ca)",
+        "(of/Br.ma mayor/Cc berlin/Cp)",
+        "(says/Pd.sr mary/Cp (is/Pd.sc bob/Cp happy/Ca))",
+        "(and/J alice/Cp bob/Cp)",
+        "(when/Tt (is/Pd.s it/Ci))"
+      ]
+    ) {
+      expect(correctnessDiagnostics(parse(s))).toEqual([])
+    }
+  })
+
+  it("reports arity rules with paths", () => {
+    expect(rules("(is/Pd.sc (the/Md sky/Cc big/Ca) blue/Ca)")).toEqual([
+      ["modifier-arity", "1"]
+    ])
+    expect(rules("(of/Br.ma mayor/Cc)")).toEqual([
+      ["builder-arity", ""],
+      ["argrole-count", ""]
+    ])
+    expect(rules("(and/J alice/Cp)")).toEqual([["conjunction-arity", ""]])
+  })
+
+  it("reports argument types per connector", () => {
+    expect(rules("(of/Br.ma mayor/Cc big/Ma)")).toEqual([
+      ["argument-type", "2"]
+    ])
+    expect(rules("(when/Tt big/Ma)")).toEqual([["argument-type", "1"]])
+    expect(rules("(is/Pd.sc mary/Cp of/Br)")).toEqual([["argument-type", "2"]])
+  })
+
+  it("checks argroles against connector and arguments", () => {
+    expect(rules("(is/Pd.scm mary/Cp happy/Ca)")).toEqual([
+      ["argrole-count", ""],
+      ["argrole-letter", "0"]
+    ])
+    expect(rules("(of/Br.mo mayor/Cc berlin/Cp)")).toEqual([
+      ["argrole-letter", "0"]
+    ])
+    const warn = correctnessDiagnostics(atom("mary/Cp.s"))
+    expect(warn.map((d) => [d.rule, d.severity])).toEqual([
+      ["argrole-type", "warning"]
+    ])
+  })
+
+  it("checks connector and atom syntax without throwing", () => {
+    const bad = parse("(mary/Cp is/Pd)")
+    expect(rules("(mary/Cp is/Pd)")).toEqual([["connector-type", "0"]])
+    expect(checkCorrectness(bad)).toEqual(["connector has incorrect type: C"])
+    const atoms = correctnessDiagnostics(
+      hedge([atom("is/Pd.so"), atom("/Cp"), atom("x/Q")])
+    )
+    expect(atoms.map((d) => [d.rule, d.path.join(".")])).toEqual([
+      ["argument-type", "2"],
+      ["atom-syntax", "1"],
+      ["atom-type", "2"]
+    ])
+  })
+})
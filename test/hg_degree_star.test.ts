@@ -1,46 +1,109 @@
-import { describe, it, expect } from "vitest";
-import * as HG from "../src/memory/Hypergraph.js";
-import { atom, hedge } from "../src/hg/model.js";
-import { Chunk } from "effect";
+import { Chunk } from "effect"
+import { describe, expect, it } from "vitest"
+import { atom, hedge } from "../src/hg/model.js"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+import * as HG from "../src/memory/Hypergraph.js"
 
 describe("hypergraph degree/star", () => {
   it("computes degree and star using root index", () => {
-    let hg = HG.make();
+    let hg = HG.make()
 
     const e1 = hedge([
       atom("+/B/."),
       atom("see/Pd.{so}"),
       atom("alice/C"),
-      atom("bob/C"),
-    ] as any);
+      atom("bob/C")
+    ] as any)
     const e2 = hedge([
       atom("+/B/."),
       atom("meet/Pd.{so}"),
       atom("alice/C"),
-      atom("carol/C"),
-    ] as any);
+      atom("carol/C")
+    ] as any)
     const e3 = hedge([
       atom("+/B/."),
       atom("see/Pd.{so}"),
       atom("dave/C"),
-      atom("bob/C"),
-    ] as any);
+      atom("bob/C")
+    ] as any)
 
-    hg = HG.insert(hg, e1);
-    hg = HG.insert(hg, e2);
-    hg = HG.insert(hg, e3);
+    hg = HG.insert(hg, e1)
+    hg = HG.insert(hg, e2)
+    hg = HG.insert(hg, e3)
 
     // alice appears in two edges
-    expect(HG.degree(hg, "alice")).toBe(2);
-    const starAlice = HG.star(hg, "alice");
-    expect(Chunk.size(starAlice)).toBe(2);
+    expect(HG.degree(hg, "alice")).toBe(2)
+    const starAlice = HG.star(hg, "alice")
+    expect(Chunk.size(starAlice)).toBe(2)
 
     // bob appears in two edges
-    expect(HG.degree(hg, "bob")).toBe(2);
-    const starBob = HG.star(hg, "bob");
-    expect(Chunk.size(starBob)).toBe(2);
+    expect(HG.degree(hg, "bob")).toBe(2)
+    const starBob = HG.star(hg, "bob")
+    expect(Chunk.size(starBob)).toBe(2)
 
     // carol appears in one edge
-    expect(HG.degree(hg, "carol")).toBe(1);
-  });
-});
+    expect(HG.degree(hg, "carol")).toBe(1)
+  })
+})
+
+describe("recursive subedge storage", () => {
+  const parse = (s: string) => hedgeFromString(s)!
+  const e = parse(
+    "(says/Pd.sr (the/Md man/Cc) (is/Pd.sc (the/Md man/Cc) tall/Ca))"
+  )
+  const theMan = parse("(the/Md man/Cc)")
+  const isTall = parse("(is/Pd.sc (the/Md man/Cc) tall/Ca)")
+
+  it("stores subedges as non-primary", () => {
+    const hg = HG.insert(HG.make(), e, { recursive: true })
+    expect(HG.size(hg)).toBe(3)
+    expect(HG.isPrimary(hg, e)).toBe(true)
+    expect(HG.isPrimary(hg, theMan)).toBe(false)
+    expect(HG.get(hg, theMan)._tag).toBe("Some")
+    // non-recursive inserts keep the old behaviour
+    expect(HG.size(HG.insert(HG.make(), e))).toBe(1)
+  })
+
+  it("promotes a subedge inserted on its own", () => {
+    let hg = HG.insert(HG.make(), e, { recursive: true })
+    hg = HG.insert(hg, theMan)
+    expect(HG.isPrimary(hg, theMan)).toBe(true)
+    // a later recursive insert does not demote it
+    hg = HG.insert(hg, parse("(likes/Pd.so (the/Md man/Cc) cats/Cp)"), {
+      recursive: true
+    })
+    expect(HG.isPrimary(hg, theMan)).toBe(true)
+    expect(HG.isPrimary(HG.setPrimary(hg, theMan, false), theMan)).toBe(false)
+  })
+
+  it("distinguishes degree from deep degree", () => {
+    const hg = HG.insert(HG.make(), e, { recursive: true })
+    // direct items: (the man) is in e and in (is ...)
+    expect(HG.degree(hg, theMan)).toBe(2)
+    expect(HG.degree(hg, atom("man/Cc"))).toBe(1)
+    expect(HG.deepDegree(hg, atom("man/Cc"))).toBe(3)
+    expect(HG.degree(hg, isTall)).toBe(1)
+    expect(HG.deepDegree(hg, e)).toBe(0)
+    expect(
+      Chunk.toReadonlyArray(HG.star(hg, theMan))
+        .map((x) => toStr(x))
+        .sort()
+    ).toEqual([toStr(e), toStr(isTall)].sort())
+    expect(Chunk.size(HG.deepStar(hg, atom("tall/Ca")))).toBe(2)
+  })
+
+  it("removes orphaned non-primary subedges recursively", () => {
+    let hg = HG.insert(HG.make(), e, { recursive: true })
+    hg = HG.insert(hg, parse("(likes/Pd.so (the/Md man/Cc) cats/Cp)"), {
+      recursive: true
+    })
+    const removed = HG.remove(hg, e, { recursive: true })
+    // (is ...) is gone, (the man) is still used by (likes ...)
+    expect(HG.get(removed, isTall)._tag).toBe("None")
+    expect(HG.get(removed, theMan)._tag).toBe("Some")
+    expect(HG.size(removed)).toBe(2)
+    expect(HG.deepDegree(removed, atom("man/Cc"))).toBe(2)
+    expect(HG.size(HG.remove(hg, e))).toBe(3)
+  })
+})
@@ -0,0 +1,117 @@
+import { describe, expect, it } from "vitest"
+import { diff, diffDistance, patch, prettyDiff } from "../src/hg/diff.js"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+describe("hg diff", () => {
+  it("is empty for equal edges", () => {
+    const e = parse("(is/Pd.sc sky/C blue/C)")
+    expect(diff(e, e)).toEqual([])
+    expect(diffDistance(e, e)).toBe(0)
+  })
+
+  it("reports atom relabels with paths", () => {
+    const edits = diff(
+      parse("(is/Pd.sc sky/C blue/C)"),
+      parse("(is/Pd.sc sky/C red/C)")
+    )
+    expect(edits.length).toBe(1)
+    const [edit] = edits
+    expect(edit._tag).toBe("Relabel")
+    if (edit._tag !== "Relabel") return
+    expect(edit.oldPath).toEqual([2])
+    expect(edit.newPath).toEqual([2])
+    expect(toStr(edit.from)).toBe("blue/C")
+    expect(toStr(edit.to)).toBe("red/C")
+  })
+
+  it("reports argument insertions and deletions", () => {
+    const a = parse("(plays/Pd.so mary/C chess/C)")
+    const b = parse("(plays/Pd.so mary/C)")
+    const removed = diff(a, b)
+    expect(removed.map((e) => e._tag)).toEqual(["Delete"])
+    expect(removed[0]._tag === "Delete" && removed[0].oldPath).toEqual([2])
+    const added = diff(b, a)
+    expect(added.map((e) => e._tag)).toEqual(["Insert"])
+    expect(added[0]._tag === "Insert" && added[0].newPath).toEqual([2])
+  })
+
+  it("recurses into nested edges", () => {
+    const edits = diff(
+      parse("(is/Pd.sc (the/Md sky/C) blue/C)"),
+      parse("(is/Pd.sc (a/Md sky/C) blue/C)")
+    )
+    expect(edits.length).toBe(1)
+    expect(edits[0]._tag === "Relabel" && edits[0].oldPath).toEqual([1, 0])
+  })
+
+  it("detects re-nesting as a wrap", () => {
+    const a = parse("(is/Pd.sc sky/C blue/C)")
+    const b = parse("(is/Pd.sc (the/Md sky/C) blue/C)")
+    const edits = diff(a, b)
+    expect(edits.map((e) => e._tag)).toEqual(["Wrap"])
+    const [wrap] = edits
+    if (wrap._tag !== "Wrap") return
+    expect(wrap.oldPath).toEqual([1])
+    expect(wrap.newPath).toEqual([1, 1])
+    expect(toStr(wrap.edge)).toBe("sky/C")
+    expect(wrap.wrapperPath).toEqual([1])
+    expect(toStr(wrap.wrapper)).toBe("(the/Md sky/C)")
+    // unwrapping is the reverse
+    const back = diff(b, a)
+    expect(back.map((e) => e._tag)).toEqual(["Unwrap"])
+    expect(back[0]._tag === "Unwrap" && back[0].oldPath).toEqual([1, 1])
+    expect(back[0]._tag === "Unwrap" && back[0].newPath).toEqual([1])
+  })
+
+  it("pairs adjacent moves", () => {
+    const [a, b, c, d] = [
+      "(is/Pd.sc sky/C blue/C)",
+      "(plays/Pd.so mary/C chess/C)",
+      "(has/Pd.so john/C cat/C)",
+      "(eats/Pd.so dog/C bone/C)"
+    ]
+    const edits = diff(
+      parse(`(f/Pd.so ${a} ${b} ${c} ${d})`),
+      parse(`(f/Pd.so ${c} ${d} ${a} ${b})`)
+    )
+    expect(
+      edits.map((e) => e._tag === "Move" ? `${toStr(e.edge)} ${e.oldPath} -> ${e.newPath}` : e._tag)
+    ).toEqual([`${c} 3 -> 1`, `${d} 4 -> 2`])
+  })
+
+  it("patches the old edge into the new one", () => {
+    const pairs = [
+      ["(is/Pd.sc sky/C blue/C)", "(is/Pd.sc sky/C red/C)"],
+      ["(plays/Pd.so mary/C chess/C)", "(plays/Pd.so mary/C)"],
+      ["(is/Pd.sc sky/C blue/C)", "(is/Pd.sc (the/Md sky/C) blue/C)"],
+      ["(is/Pd.sc sky/C blue/C)", "(is/Pd.sc (of/Br.ma (the/Md sky/C) earth/C) blue/C)"],
+      ["(says/Pd.sr john/C (is/Pd.sc sky/C blue/C))", "(is/Pd.sc sky/C blue/C)"],
+      [
+        "(f/Pd.so (is/Pd.sc sky/C blue/C) (plays/Pd.so mary/C chess/C) (has/Pd.so john/C cat/C))",
+        "(f/Pd.so (has/Pd.so john/C cat/C) (is/Pd.sc sky/C blue/C) (plays/Pd.so mary/C chess/C))"
+      ],
+      ["(the/Md sky/C)", "(is/Pd.sc (the/Md sky/C) blue/C)"]
+    ]
+    for (const [a, b] of pairs) {
+      expect(toStr(patch(parse(a), diff(parse(a), parse(b))))).toBe(b)
+      expect(toStr(patch(parse(b), diff(parse(b), parse(a))))).toBe(a)
+    }
+  })
+
+  it("renders changes inline", () => {
+    const out = prettyDiff(
+      parse("(is/Pd.sc sky/C blue/C)"),
+      parse("(is/Pd.sc sky/C red/C)")
+    )
+    expect(out).toBe("(is/Pd.sc sky/C [-blue/C-]{+red/C+})")
+    expect(
+      prettyDiff(
+        parse("(plays/Pd.so mary/C chess/C)"),
+        parse("(plays/Pd.so mary/C)")
+      )
+    ).toBe("(plays/Pd.so mary/C [-chess/C-])")
+  })
+})
@@ -0,0 +1,240 @@
+import { FileSystem } from "@effect/platform"
+import { NodeFileSystem } from "@effect/platform-node"
+import { SystemError } from "@effect/platform/Error"
+import { Chunk, Effect, Either, Layer } from "effect"
+import { appendFileSync, existsSync, mkdtempSync, readFileSync } from "node:fs"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { describe, expect, it } from "vitest"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+import * as Durable from "../src/memory/DurableHypergraph.js"
+import * as HG from "../src/memory/Hypergraph.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+const run = <A, E>(eff: Effect.Effect<A, E, any>) =>
+  Effect.runPromise(
+    eff.pipe(
+      Effect.scoped,
+      Effect.provide(NodeFileSystem.layer)
+    ) as Effect.Effect<A, E>
+  )
+
+const e1 = parse("(plays/Pd.so mary/C chess/C)")
+const e2 = parse("(is/Pd.sc sky/C blue/C)")
+const e3 = parse("(likes/Pd.so john/C pizza/C)")
+
+const reopen = (dir: string, options?: Durable.DurableOptions) =>
+  run(Effect.flatMap(Durable.open(dir, options), Durable.hypergraph))
+
+describe("durable hypergraph", () => {
+  it("replays the journal on open", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "hg-durable-"))
+    await run(
+      Effect.gen(function*() {
+        const d = yield* Durable.open(dir)
+        yield* Durable.insert(d, e1)
+        yield* Durable.insert(d, e2)
+        yield* Durable.insert(d, e3)
+        yield* Durable.remove(d, e2)
+        yield* Durable.setAttribute(d, e1, "source", "wiki")
+        yield* Durable.incAttribute(d, e1, "count")
+        yield* Durable.incAttribute(d, e1, "count")
+      })
+    )
+    const hg = await reopen(dir)
+    expect(HG.size(hg)).toBe(2)
+    expect(HG.get(hg, e2)._tag).toBe("None")
+    expect(HG.getStrAttribute(hg, e1, "source")).toBe("wiki")
+    expect(HG.getStrAttribute(hg, e1, "count")).toBe("2")
+  })
+
+  it("replays attribute deletion and retention", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "hg-durable-"))
+    await run(
+      Effect.gen(function*() {
+        const d = yield* Durable.open(dir)
+        yield* Durable.insert(d, e1)
+        yield* Durable.insert(d, e2)
+        yield* Durable.setAttribute(d, e1, "a", "1")
+        yield* Durable.setAttribute(d, e1, "b", "2")
+        yield* Durable.setAttribute(d, e2, "c", "3")
+        yield* Durable.deleteAttribute(d, e1, "a")
+        yield* Durable.remove(d, e1, { attributes: "retain" })
+        yield* Durable.remove(d, e2)
+      })
+    )
+    const hg = await reopen(dir)
+    expect(HG.size(hg)).toBe(0)
+    expect(HG.getStrAttribute(hg, e1, "a")).toBe(null)
+    expect(HG.getStrAttribute(hg, e1, "b")).toBe("2")
+    expect(HG.getStrAttribute(hg, e2, "c")).toBe(null)
+  })
+
+  it("keeps retained attributes through a compaction", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "hg-durable-"))
+    await run(
+      Effect.gen(function*() {
+        const d = yield* Durable.open(dir)
+        yield* Durable.insert(d, e1)
+        yield* Durable.setAttribute(d, e1, "title", "doc1")
+        yield* Durable.remove(d, e1, { attributes: "retain" })
+        yield* Durable.compact(d)
+      })
+    )
+    expect(readFileSync(join(dir, Durable.JOURNAL_FILE), "utf8")).toBe("")
+    expect(HG.getStrAttribute(await reopen(dir), e1, "title")).toBe("doc1")
+  })
+
+  it("rejects operations the hypergraph cannot apply without journaling them", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "hg-durable-"))
+    const malformed = parse("(a/Cp b/C)")
+    const error = await run(
+      Effect.gen(function*() {
+        const d = yield* Durable.open(dir)
+        yield* Durable.insert(d, e1)
+        const error = yield* Effect.flip(Durable.insert(d, malformed))
+        yield* Durable.insert(d, e2)
+        return error
+      })
+    )
+    expect(error._tag).toBe("EntryError")
+    const journal = readFileSync(join(dir, Durable.JOURNAL_FILE), "utf8")
+    expect(journal.trim().split("\n").length).toBe(2)
+    expect(HG.size(await reopen(dir))).toBe(2)
+  })
+
+  it("does not journal a failed increment", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "hg-durable-"))
+    const error = await run(
+      Effect.gen(function*() {
+        const d = yield* Durable.open(dir)
+        yield* Durable.setAttribute(d, e1, "count", "many")
+        return yield* Effect.flip(Durable.incAttribute(d, e1, "count"))
+      })
+    )
+    expect(error._tag).toBe("ParseError")
+    const journal = readFileSync(join(dir, Durable.JOURNAL_FILE), "utf8")
+    expect(journal.trim().split("\n").length).toBe(1)
+    expect(HG.getStrAttribute(await reopen(dir), e1, "count")).toBe("many")
+  })
+
+  it("compacts into a snapshot and keeps appending", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "hg-durable-"))
+    await run(
+      Effect.gen(function*() {
+        const d = yield* Durable.open(dir, { compactEvery: 2 })
+        yield* Durable.insert(d, e1)
+        yield* Durable.insert(d, e2)
+        yield* Durable.insert(d, e3)
+      })
+    )
+    expect(existsSync(join(dir, Durable.SNAPSHOT_FILE))).toBe(true)
+    const journal = readFileSync(join(dir, Durable.JOURNAL_FILE), "utf8")
+    expect(journal.trim().split("\n").length).toBe(1)
+    const hg = await reopen(dir)
+    expect(HG.size(hg)).toBe(3)
+    expect(HG.degree(hg, "mary")).toBe(1)
+  })
+
+  it("keeps the insertion order through compaction and replay", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "hg-durable-"))
+    const order = (hg: HG.Hypergraph) =>
+      HG.findByPattern(hg, parse("(* * *)"), { orderBy: "insertion" }).pipe(
+        Chunk.toArray,
+        (edges) => edges.map((e) => toStr(e))
+      )
+    const before = await run(
+      Effect.gen(function*() {
+        const d = yield* Durable.open(dir, { compactEvery: 4 })
+        yield* Durable.insert(d, e1)
+        yield* Durable.insert(d, e2)
+        yield* Durable.remove(d, e1)
+        yield* Durable.insert(d, e1)
+        yield* Durable.insert(d, e3)
+        return order(yield* Durable.hypergraph(d))
+      })
+    )
+    expect(before).toEqual([e2, e1, e3].map((e) => toStr(e)))
+    expect(order(await reopen(dir))).toEqual(before)
+  })
+
+  it("recovers from a torn last write", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "hg-durable-"))
+    await run(Effect.flatMap(Durable.open(dir), (d) => Durable.insert(d, e1)))
+    const path = join(dir, Durable.JOURNAL_FILE)
+    const intact = readFileSync(path, "utf8")
+    const torn = Durable.encodeEntry({ op: "insert", edge: e2 }).slice(0, 20)
+    appendFileSync(path, torn)
+    const hg = await reopen(dir)
+    expect(HG.size(hg)).toBe(1)
+    expect(readFileSync(path, "utf8")).toBe(intact)
+    // operations after recovery land on a clean line
+    await run(Effect.flatMap(Durable.open(dir), (d) => Durable.insert(d, e3)))
+    expect(HG.size(await reopen(dir))).toBe(2)
+  })
+
+  it("cuts off a failed append", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "hg-durable-"))
+    const path = join(dir, Durable.JOURNAL_FILE)
+    // the second journal write stops after a few bytes, like on a full disk
+    let writes = 0
+    const failingSecondWrite = Layer.effect(
+      FileSystem.FileSystem,
+      Effect.map(FileSystem.FileSystem, (fs) => ({
+        ...fs,
+        open: (file: string, options?: FileSystem.OpenFileOptions) =>
+          Effect.map(
+            fs.open(file, options),
+            (handle) =>
+              file !== path ? handle : Object.assign(Object.create(handle) as FileSystem.File, {
+                writeAll: (bytes: Uint8Array) =>
+                  ++writes !== 2 ? handle.writeAll(bytes) : handle.writeAll(bytes.slice(0, 20)).pipe(
+                    Effect.zipRight(
+                      Effect.fail(
+                        new SystemError({ reason: "WriteZero", module: "FileSystem", method: "writeAll" })
+                      )
+                    )
+                  )
+              })
+          )
+      }))
+    ).pipe(Layer.provide(NodeFileSystem.layer))
+    const failed = await Effect.runPromise(
+      Effect.gen(function*() {
+        const d = yield* Durable.open(dir)
+        yield* Durable.insert(d, e1)
+        const failed = yield* Effect.flip(Durable.insert(d, e2))
+        yield* Durable.insert(d, e3)
+        return failed
+      }).pipe(Effect.scoped, Effect.provide(failingSecondWrite))
+    )
+    expect(failed).toBeInstanceOf(SystemError)
+    expect(readFileSync(path, "utf8")).toBe(
+      Durable.encodeEntry({ op: "insert", edge: e1 }) + Durable.encodeEntry({ op: "insert", edge: e3 })
+    )
+    const hg = await reopen(dir)
+    expect(HG.values(hg).map((e) => toStr(e))).toEqual([toStr(e1), toStr(e3)])
+  })
+
+  it("refuses a journal corrupted before its last line", () => {
+    const good = Durable.encodeEntry({ op: "insert", edge: e1 })
+    const bad = good.replace("mary", "mary2")
+    const bytes = new TextEncoder().encode(bad + good)
+    const res = Durable.replayJournal(HG.make(), bytes)
+    expect(Either.isLeft(res) && res.left.line).toBe(1)
+  })
+
+  it("refuses a journal entry the hypergraph cannot apply", () => {
+    const bytes = new TextEncoder().encode(
+      Durable.encodeEntry({ op: "insert", edge: e1 }) +
+        Durable.encodeEntry({ op: "insert", edge: parse("(a/Cp b/C)") })
+    )
+    const res = Durable.replayJournal(HG.make(), bytes)
+    expect(Either.isLeft(res) && res.left).toMatchObject({
+      _tag: "JournalError",
+      line: 2
+    })
+  })
+})
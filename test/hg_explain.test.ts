@@ -0,0 +1,125 @@
+import { Effect } from "effect"
+import * as Stream from "effect/Stream"
+import { describe, expect, it } from "vitest"
+import { hedgeFromString } from "../src/hg/parse.js"
+import * as HG from "../src/memory/Hypergraph.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+const sample = () => {
+  let hg = HG.make()
+  for (
+    const s of [
+      "(is/P.so sky/C blue/C)",
+      "(is/P.so grass/C green/C)",
+      "(is/P.so sea/C blue/C)",
+      "(likes/P.so mary/C john/C)"
+    ]
+  ) {
+    hg = HG.insert(hg, parse(s))
+  }
+  return hg
+}
+
+describe("query plans", () => {
+  it("reports the indexes intersected for a pattern", () => {
+    const plan = HG.explain(sample(), parse("(is/P.so * blue/C)"))
+    expect(plan.scan).toBe(false)
+    expect(plan.matches).toBe(2)
+    expect(plan.candidates).toBe(2)
+    expect(plan.estimated).toBe(2)
+    const used = plan.lookups.filter((l) => l.used)
+    expect(used.map((l) => l.size)).toEqual(
+      [...used.map((l) => l.size)].sort((x, y) => x - y)
+    )
+    expect(used).toContainEqual({
+      index: "byConnector",
+      key: "is/P.so",
+      size: 3,
+      used: true
+    })
+    expect(used).toContainEqual({
+      index: "byArgRootN[2]",
+      key: "blue",
+      size: 2,
+      used: true
+    })
+    expect(plan.warnings).toEqual([])
+  })
+
+  it("warns about skipped lookups and full scans", () => {
+    const hg = sample()
+    const skipped = HG.explain(hg, parse("(is/P.so * red/C)"))
+    expect(skipped.matches).toBe(0)
+    expect(skipped.lookups).toContainEqual({
+      index: "byRoot",
+      key: "red",
+      size: 0,
+      used: false
+    })
+    expect(skipped.warnings).toContain("byRoot[red] is empty and was skipped")
+
+    const scan = HG.explain(hg, parse("(* * * *)"))
+    expect(scan.scan).toBe(true)
+    expect(scan.estimated).toBe(4)
+    expect(scan.candidates).toBe(4)
+    expect(scan.matches).toBe(0)
+    expect(scan.warnings).toContain(
+      "no index narrows the pattern: scanning all 4 edges"
+    )
+  })
+
+  it("includes attribute indexes and flags unindexed predicates", () => {
+    let hg = sample()
+    hg = HG.setAttribute(hg, parse("(is/P.so sky/C blue/C)"), "score", "3")
+    hg = HG.setAttribute(hg, parse("(is/P.so sea/C blue/C)"), "score", "1")
+    const where = [HG.attrRange("score", { gt: 2 })]
+    const pattern = parse("(is/P.so * *)")
+
+    const unindexed = HG.explain(hg, pattern, { where })
+    expect(unindexed.matches).toBe(1)
+    expect(unindexed.candidates).toBe(3)
+    expect(unindexed.warnings).toContain(
+      "no range index on attribute \"score\": candidates are filtered one by one"
+    )
+
+    hg = HG.declareAttributeIndex(hg, "score", "range")
+    const indexed = HG.explain(hg, pattern, { where })
+    expect(indexed.lookups[0]).toEqual({
+      index: "attr:score",
+      key: "> 2",
+      size: 1,
+      used: true
+    })
+    expect(indexed.candidates).toBe(1)
+    expect(indexed.matches).toBe(1)
+    expect(indexed.warnings).toEqual([])
+
+    const none = HG.explain(hg, pattern, {
+      where: [HG.attrRange("score", { gt: 5 })]
+    })
+    expect(none.candidates).toBe(0)
+    expect(none.estimated).toBe(0)
+  })
+
+  it("is passed to onPlan by findByPattern and streamByPattern", async () => {
+    const hg = sample()
+    const pattern = parse("(is/P.so * *)")
+    const plans: Array<HG.QueryPlan> = []
+    const found = HG.findByPattern(hg, pattern, {
+      onPlan: (p) => plans.push(p)
+    })
+    expect(found.length).toBe(3)
+    const streamed = Stream.runCount(
+      HG.streamByPattern(hg, pattern, { onPlan: (p) => plans.push(p) })
+    )
+    expect(plans.length).toBe(1)
+    expect(await Effect.runPromise(streamed)).toBe(3)
+    expect(plans.length).toBe(2)
+    expect(plans[1]).toEqual(plans[0])
+    expect(plans[0]).toEqual(HG.explain(hg, pattern))
+    expect(HG.formatPlan(plans[0]!).split("\n")[0]).toBe(
+      "plan for (is/P.so * *)"
+    )
+  })
+})
@@ -0,0 +1,112 @@
+import { NodeFileSystem } from "@effect/platform-node"
+import { Chunk, Effect, Either } from "effect"
+import * as Stream from "effect/Stream"
+import { mkdtempSync, readFileSync, writeFileSync } from "node:fs"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { describe, expect, it } from "vitest"
+import { hedgeFromString } from "../src/hg/parse.js"
+import * as HG from "../src/memory/Hypergraph.js"
+import * as HGFile from "../src/memory/HypergraphFile.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+const run = <A, E>(eff: Effect.Effect<A, E, any>) =>
+  Effect.runPromise(
+    eff.pipe(Effect.provide(NodeFileSystem.layer)) as Effect.Effect<A, E>
+  )
+
+const sample = () => {
+  let hg = HG.make()
+  const e1 = parse("(plays/Pd.so mary/C chess/C)")
+  const e2 = parse("(is/Pd.sc (the/Md sky/C) blue/C)")
+  hg = HG.insert(hg, e1)
+  hg = HG.insert(hg, e2)
+  hg = HG.setAttribute(hg, e1, "count", "2")
+  hg = HG.setAttribute(hg, e1, "source", "a \"quoted\"\tvalue")
+  return hg
+}
+
+describe("hypergraph file codec", () => {
+  const dir = mkdtempSync(join(tmpdir(), "hg-file-"))
+
+  for (const ext of ["hg", "jsonl"]) {
+    it(`round-trips edges and attributes (.${ext})`, async () => {
+      const path = join(dir, `sample.${ext}`)
+      const hg = sample()
+      await run(HGFile.writeFile(hg, path))
+      const lines = readFileSync(path, "utf8").trim().split("\n")
+      expect(lines.length).toBe(2)
+      const { errors, hypergraph, inserted } = await run(HGFile.readFile(path))
+      expect(inserted).toBe(2)
+      expect(Chunk.size(errors)).toBe(0)
+      expect(HG.size(hypergraph)).toBe(2)
+      const e1 = parse("(plays/Pd.so mary/C chess/C)")
+      expect(HG.getStrAttribute(hypergraph, e1, "count")).toBe("2")
+      expect(HG.getStrAttribute(hypergraph, e1, "source")).toBe(
+        "a \"quoted\"\tvalue"
+      )
+    })
+  }
+
+  it("keeps attributes of edges that are not stored (.jsonl)", async () => {
+    const path = join(dir, "attributes.jsonl")
+    const loose = parse("(likes/Pd.so john/C pizza/C)")
+    const hg = HG.setAttribute(sample(), loose, "source", "notes")
+    await run(HGFile.writeFile(hg, path))
+    const { hypergraph, inserted } = await run(HGFile.readFile(path))
+    expect(inserted).toBe(2)
+    expect(HG.has(hypergraph, loose)).toBe(false)
+    expect(HG.getStrAttribute(hypergraph, loose, "source")).toBe("notes")
+    expect(HG.getStrAttribute(hypergraph, parse("(plays/Pd.so mary/C chess/C)"), "count")).toBe("2")
+  })
+
+  it("reports malformed lines with line numbers", async () => {
+    const path = join(dir, "broken.hg")
+    writeFileSync(
+      path,
+      [
+        "# comment",
+        "(plays/Pd.so mary/C chess/C)",
+        "(is/Pd.sc sky/C",
+        "",
+        "(likes/Pd.so john/C pizza/C)\t{\"n\":1}",
+        "(eats/Pd.so john/C pizza/C)",
+        "(mary/C plays/P)"
+      ].join("\n")
+    )
+    const res = await run(HGFile.readFile(path, { onError: "skip" }))
+    expect(res.inserted).toBe(2)
+    expect(Chunk.toReadonlyArray(res.errors).map((e) => e.line)).toEqual([
+      3,
+      5,
+      7
+    ])
+    expect(Chunk.unsafeLast(res.errors).message).toMatch(/malformed edge/)
+    const failed = await run(Effect.either(HGFile.readFile(path)))
+    expect(Either.isLeft(failed)).toBe(true)
+    if (Either.isLeft(failed)) {
+      expect(failed.left._tag).toBe("LineError")
+      expect((failed.left as HGFile.LineError).line).toBe(3)
+    }
+  })
+
+  it("decodes JSONL lines", async () => {
+    const out = await Effect.runPromise(
+      Stream.runCollect(
+        HGFile.decodeLines(
+          Stream.make(
+            "{\"edge\":\"(is/Pd.sc sky/C blue/C)\",\"attrs\":{\"k\":\"v\"}}",
+            "{\"attrs\":{}}",
+            "not json"
+          ),
+          "jsonl"
+        )
+      )
+    )
+    const [ok, noEdge, bad] = Chunk.toReadonlyArray(out)
+    expect(Either.isRight(ok) && ok.right.attrs).toEqual({ k: "v" })
+    expect(Either.isLeft(noEdge) && noEdge.left.line).toBe(2)
+    expect(Either.isLeft(bad) && bad.left.message).toMatch(/invalid JSON/)
+  })
+})
@@ -0,0 +1,97 @@
+import { Chunk, HashMap, HashSet } from "effect"
+import { describe, expect, it } from "vitest"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+import * as HG from "../src/memory/Hypergraph.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+describe("interned edges and atoms", () => {
+  it("shares atom instances between stored edges", () => {
+    const hg = HG.insertMany(HG.make(), [
+      parse("(is/P.so sky/C blue/C)"),
+      parse("(is/P.so sea/C blue/C)")
+    ])
+    const [x, y] = HG.values(hg)
+    expect(x!.items[0]).toBe(y!.items[0])
+    expect(x!.items[2]).toBe(y!.items[2])
+    expect(HashMap.size(hg.atoms)).toBe(4)
+  })
+
+  it("reuses stored subedges inside the edges containing them", () => {
+    const sub = parse("(of/B.ma friend/C john/C)")
+    const hg = HG.insert(
+      HG.make(),
+      parse("(likes/P.so mary/C (of/B.ma friend/C john/C))"),
+      { recursive: true }
+    )
+    const stored = HG.get(hg, sub)
+    const parent = Chunk.unsafeHead(HG.star(hg, sub))
+    expect(stored._tag === "Some" && parent.items[2] === stored.value).toBe(
+      true
+    )
+  })
+
+  it("indexes edge ids and keeps ids stable across removal", () => {
+    const e = parse("(is/P.so sky/C blue/C)")
+    let hg = HG.insert(HG.make(), e)
+    const id = HashMap.unsafeGet(hg.ids, toStr(e))
+    expect(HashSet.has(HashMap.unsafeGet(hg.byConnector, "is/P.so"), id)).toBe(
+      true
+    )
+
+    hg = HG.setAttribute(hg, e, "source", "doc1")
+    hg = HG.remove(hg, e, { attributes: "retain" })
+    expect(HG.has(hg, e)).toBe(false)
+    expect(HashMap.has(hg.byConnector, "is/P.so")).toBe(false)
+
+    hg = HG.insert(hg, e)
+    expect(HashMap.unsafeGet(hg.ids, toStr(e))).toBe(id)
+    expect(HG.getStrAttribute(hg, e, "source")).toBe("doc1")
+  })
+
+  it("gives attributes of edges that are not stored an id", () => {
+    const e = parse("(is/P.so sky/C blue/C)")
+    const hg = HG.setAttribute(HG.make(), e, "k", "v")
+    expect(HG.size(hg)).toBe(0)
+    expect(HG.getStrAttribute(hg, e, "k")).toBe("v")
+    expect(HG.deleteAttribute(hg, e, "k").attrs).toEqual(HashMap.empty())
+  })
+
+  it("interns nothing for an edge it rejects", () => {
+    const texts = ["(plays/P.so mary/C chess/C)", "(is/P.so sky/C blue/C)"]
+    // in mutation mode a rejected insert must not leave ids behind
+    let hg = HG.beginMutation(HG.make())
+    expect(() => HG.insert(hg, parse("(mary/C plays/P)"))).toThrow(/malformed edge/)
+    expect(() => HG.insert(hg, parse("(says/P.so john/C (mary/C plays/P))"), { recursive: true })).toThrow()
+    for (const t of texts) hg = HG.insert(hg, parse(t))
+    hg = HG.endMutation(hg)
+    expect(HG.values(hg).map((e) => toStr(e)).sort()).toEqual([...texts].sort())
+    expect(HashMap.size(hg.ids)).toBe(8)
+  })
+
+  it("releases terms nothing refers to anymore", () => {
+    const e = parse("(likes/P.so mary/C (of/B.ma friend/C john/C))")
+    const other = parse("(is/P.so mary/C happy/C)")
+    let hg = HG.insert(HG.make(), other)
+    const before = [HashMap.size(hg.ids), HashMap.size(hg.atoms)]
+
+    hg = HG.insert(hg, e, { recursive: true })
+    hg = HG.remove(hg, e, { recursive: true })
+    expect([HashMap.size(hg.ids), HashMap.size(hg.atoms)]).toEqual(before)
+    // shared with the edge that is still stored
+    expect(HashMap.has(hg.ids, "mary/C")).toBe(true)
+
+    // retained attributes keep the edge, but not its items
+    hg = HG.setAttribute(HG.insert(hg, e), e, "source", "doc1")
+    hg = HG.remove(hg, e, { attributes: "retain" })
+    expect(HashMap.size(hg.ids)).toBe(before[0]! + 1)
+    expect(HashMap.has(hg.ids, "friend/C")).toBe(false)
+    hg = HG.deleteAttribute(hg, e, "source")
+    expect([HashMap.size(hg.ids), HashMap.size(hg.atoms)]).toEqual(before)
+
+    // attributes of edges that were never stored
+    hg = HG.remove(HG.setAttribute(hg, e, "k", "v"), e)
+    expect(HashMap.size(hg.ids)).toBe(before[0])
+  })
+})
@@ -1,22 +1,157 @@
-import { describe, it, expect } from "vitest";
-import * as HG from "../src/memory/Hypergraph.js";
-import { atom, hedge } from "../src/hg/model.js";
+import { Effect, Either, HashMap, Option, Schema as S } from "effect"
+import { describe, expect, it } from "vitest"
+import { atom, hedge } from "../src/hg/model.js"
+import * as Attr from "../src/memory/Attributes.js"
+import * as HG from "../src/memory/Hypergraph.js"
+import * as Store from "../src/memory/HypergraphStore.js"
 
 describe("hypergraph attributes", () => {
   it("sets, gets, increments, decrements attributes", () => {
-    let hg = HG.make();
-    const e = hedge([atom("+/B/."), atom("ping/C"), atom("pong/C")] as any);
-    hg = HG.insert(hg, e);
+    let hg = HG.make()
+    const e = hedge([atom("+/B/."), atom("ping/C"), atom("pong/C")] as any)
+    hg = HG.insert(hg, e)
 
-    hg = HG.setAttribute(hg, e, "count", "1");
-    expect(HG.getStrAttribute(hg, e, "count")).toBe("1");
+    hg = HG.setAttribute(hg, e, "count", "1")
+    expect(HG.getStrAttribute(hg, e, "count")).toBe("1")
 
-    hg = HG.incAttribute(hg, e, "count");
-    expect(HG.getStrAttribute(hg, e, "count")).toBe("2");
+    hg = Either.getOrThrow(HG.incAttribute(hg, e, "count"))
+    expect(HG.getStrAttribute(hg, e, "count")).toBe("2")
 
-    hg = HG.decAttribute(hg, e, "count");
-    expect(HG.getStrAttribute(hg, e, "count")).toBe("1");
-  });
-});
+    hg = Either.getOrThrow(HG.decAttribute(hg, e, "count"))
+    expect(HG.getStrAttribute(hg, e, "count")).toBe("1")
+  })
+})
 
+describe("hypergraph attribute lifecycle", () => {
+  const e = hedge([atom("+/B/."), atom("ping/C"), atom("pong/C")])
 
+  it("increments by arbitrary amounts and deletes attributes", () => {
+    let hg = HG.insert(HG.make(), e)
+    hg = Either.getOrThrow(HG.incAttribute(hg, e, "count", 5))
+    hg = Either.getOrThrow(HG.decAttribute(hg, e, "count", 2))
+    expect(HG.getStrAttribute(hg, e, "count")).toBe("3")
+    hg = HG.setAttribute(hg, e, "label", "x")
+    hg = HG.deleteAttribute(hg, e, "count")
+    expect(HG.getStrAttribute(hg, e, "count")).toBe(null)
+    expect(HashMap.size(HG.getAttributes(hg, e))).toBe(1)
+    hg = HG.deleteAttribute(hg, e, "label")
+    expect(HashMap.size(hg.attrs)).toBe(0)
+  })
+
+  it("refuses to increment a value that is not a number", () => {
+    const hg = HG.setAttribute(HG.insert(HG.make(), e), e, "count", "many")
+    expect(Either.isLeft(HG.incAttribute(hg, e, "count"))).toBe(true)
+    expect(HG.getStrAttribute(hg, e, "count")).toBe("many")
+    for (const raw of ["NaN", "Infinity"]) {
+      expect(Either.isLeft(HG.incAttribute(HG.setAttribute(hg, e, "count", raw), e, "count"))).toBe(true)
+    }
+    expect(Either.isLeft(HG.incAttribute(hg, e, "total", Infinity))).toBe(true)
+  })
+
+  it("deletes attributes of removed edges unless retained", () => {
+    let hg = HG.insert(HG.make(), e)
+    hg = HG.setAttribute(hg, e, "label", "x")
+    expect(HashMap.size(HG.remove(hg, e).attrs)).toBe(0)
+    const kept = HG.remove(hg, e, { attributes: "retain" })
+    expect(HG.getStrAttribute(kept, e, "label")).toBe("x")
+    // re-inserting picks the retained attributes up again
+    expect(HG.getStrAttribute(HG.insert(kept, e), e, "label")).toBe("x")
+  })
+})
+
+describe("typed attributes", () => {
+  const e = hedge([atom("+/B/."), atom("ping/C"), atom("pong/C")])
+  const count = Attr.number("count")
+  const seen = Attr.boolean("seen")
+  const meta = Attr.json(
+    "meta",
+    S.Struct({ source: S.String, score: S.Number })
+  )
+  const tags = Attr.list("tags", S.String)
+
+  it("round-trips values through their schemas", () => {
+    let hg = HG.insert(HG.make(), e)
+    hg = Either.getOrThrow(Attr.set(hg, e, count, 2.5))
+    hg = Either.getOrThrow(Attr.set(hg, e, seen, true))
+    hg = Either.getOrThrow(
+      Attr.set(hg, e, meta, { source: "wiki", score: 0.75 })
+    )
+    hg = Either.getOrThrow(Attr.set(hg, e, tags, ["a", "b"]))
+    expect(Attr.get(hg, e, count)).toEqual(Either.right(Option.some(2.5)))
+    expect(Attr.get(hg, e, seen)).toEqual(Either.right(Option.some(true)))
+    expect(Attr.get(hg, e, meta)).toEqual(
+      Either.right(Option.some({ source: "wiki", score: 0.75 }))
+    )
+    expect(Attr.get(hg, e, tags)).toEqual(
+      Either.right(Option.some(["a", "b"]))
+    )
+    expect(HG.getStrAttribute(hg, e, "tags")).toBe("[\"a\",\"b\"]")
+    expect(Attr.get(Attr.remove(hg, e, tags), e, tags)).toEqual(
+      Either.right(Option.none())
+    )
+  })
+
+  it("reports values that do not decode", () => {
+    const hg = HG.setAttribute(HG.insert(HG.make(), e), e, "seen", "maybe")
+    expect(Either.isLeft(Attr.get(hg, e, seen))).toBe(true)
+    const bad = HG.setAttribute(hg, e, "count", "many")
+    expect(Either.isLeft(Attr.increment(bad, e, count))).toBe(true)
+    // counters must stay finite, although the number schema decodes "NaN"
+    expect(Either.isLeft(Attr.increment(HG.setAttribute(hg, e, "count", "NaN"), e, count))).toBe(true)
+  })
+
+  it("increments numeric attributes", () => {
+    let hg = HG.insert(HG.make(), e)
+    hg = Either.getOrThrow(Attr.increment(hg, e, count))
+    hg = Either.getOrThrow(Attr.increment(hg, e, count, 0.5))
+    expect(Attr.get(hg, e, count)).toEqual(Either.right(Option.some(1.5)))
+  })
+})
+
+describe("store attribute operations", () => {
+  const e = hedge([atom("+/B/."), atom("ping/C"), atom("pong/C")])
+
+  it("never loses concurrent increments", async () => {
+    const value = await Effect.runPromise(
+      Effect.gen(function*() {
+        const store = yield* Store.HypergraphStore
+        yield* store.insert(e)
+        yield* Effect.forEach(
+          Array.from({ length: 50 }),
+          () => store.incAttribute(e, "count"),
+          { concurrency: "unbounded" }
+        )
+        yield* store.setAttribute(e, "tmp", "1")
+        yield* store.deleteAttribute(e, "tmp")
+        return [
+          yield* store.getStrAttribute(e, "count"),
+          yield* store.getStrAttribute(e, "tmp")
+        ]
+      }).pipe(Effect.provide(Store.layer()))
+    )
+    expect(value).toEqual([Option.some("50"), Option.none()])
+  })
+
+  it("increments typed attributes in a single update", async () => {
+    const count = Attr.number("count")
+    for (const layer of [Store.layer(), Store.layerMutable()]) {
+      const [value, error] = await Effect.runPromise(
+        Effect.gen(function*() {
+          const store = yield* Store.HypergraphStore
+          yield* store.insert(e)
+          yield* Effect.forEach(
+            Array.from({ length: 20 }),
+            () => Attr.incrementIn(store, e, count, 0.5),
+            { concurrency: "unbounded" }
+          )
+          const value = yield* store.getStrAttribute(e, "count")
+          yield* store.setAttribute(e, "label", "x")
+          const error = yield* Effect.flip(store.incAttribute(e, "label"))
+          return [value, error._tag] as const
+        }).pipe(Effect.provide(layer))
+      )
+      expect(value).toEqual(Option.some("10"))
+      expect(error).toBe("ParseError")
+    }
+  })
+})
@@ -0,0 +1,113 @@
+import { Chunk, HashMap } from "effect"
+import * as fs from "node:fs"
+import { describe, expect, it } from "vitest"
+import type { Hedge } from "../src/hg/model.js"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+import * as HG from "../src/memory/Hypergraph.js"
+import { match } from "../src/patterns/matcher.js"
+import { emptyBindings, matchWithBindings } from "../src/patterns/variables.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+// Nested edges with the words of every corpus sentence, in a few shapes
+const corpusEdges = (): Array<Hedge> => {
+  const edges: Array<Hedge> = []
+  for (const file of fs.readdirSync("test/data").sort()) {
+    const text = fs.readFileSync(`test/data/${file}`, "utf8")
+    text.split(/(?<=[.!?])\s+/).forEach((sentence, i) => {
+      const [w0, w1, w2, w3] = sentence
+        .toLowerCase()
+        .split(/\s+/)
+        .map((w) => w.replace(/[^a-z0-9]/g, ""))
+        .filter((w) => w.length > 0)
+      if (w3 === undefined) return
+      const shape = [
+        `(says/Pd.so ${w0}/Cp (is/Pd.sc ${w1}/C ${w2}/Ca))`,
+        `(says/Pd.so ${w0}/Cp (of/Br.ma ${w1}/C (is/Pd.sc ${w2}/C ${w3}/Ca)))`,
+        `(is/Pd.sc ${w0}/C (of/Br.ma ${w1}/C ${w2}/C))`
+      ][i % 3]!
+      edges.push(parse(shape))
+    })
+  }
+  return edges
+}
+
+const scan = (hg: HG.Hypergraph, pattern: Hedge) =>
+  Chunk.toArray(HG.all(hg))
+    .filter((e) => match(e, pattern))
+    .map((e) => toStr(e))
+    .sort()
+
+const found = (hg: HG.Hypergraph, pattern: Hedge) =>
+  Chunk.toArray(HG.findByPattern(hg, pattern))
+    .map((e) => toStr(e))
+    .sort()
+
+describe("nested structure indexes", () => {
+  const edges = corpusEdges()
+  const hg = HG.insertMany(HG.make(), edges)
+  // a word that heads nested predicates in the corpus
+  const word = (edges[0]!.items[2] as Hedge).items[2]!
+
+  it("answers nested patterns like a full scan", () => {
+    expect(HG.size(hg)).toBeGreaterThan(100)
+    for (
+      const p of [
+        "(says/Pd.so * (is/Pd.sc * *))",
+        `(says/Pd.so * (is/Pd.sc * ${toStr(word)}))`,
+        "(says/Pd.so * (of/Br.ma * (is/Pd.sc * *)))",
+        `(* * (of/Br.ma * (is/Pd.sc * ${toStr(word)})))`,
+        "(is/Pd.sc * (of/Br.ma * *))",
+        "(* * (is/Pd.sc the/C *))",
+        "(* * (of/Br.ma * (* * *)))"
+      ]
+    ) {
+      const pattern = parse(p)
+      const expected = scan(hg, pattern)
+      expect(found(hg, pattern)).toEqual(expected)
+      expect(HG.explain(hg, pattern).matches).toBe(expected.length)
+    }
+  })
+
+  it("selects candidates by connector and root at a path", () => {
+    const pattern = parse(`(says/Pd.so * (is/Pd.sc ?x ${toStr(word)}))`)
+    const plan = HG.explain(hg, pattern)
+    expect(plan.scan).toBe(false)
+    expect(plan.lookups).toContainEqual(
+      expect.objectContaining({ index: "byConnectorAt[2]", key: "is/Pd.sc" })
+    )
+    expect(plan.lookups).toContainEqual(
+      expect.objectContaining({ index: "byRootAt[2.2]", used: true })
+    )
+    expect(plan.candidates).toBeLessThan(HG.size(hg) / 10)
+
+    const expected = Chunk.toArray(HG.all(hg)).filter(
+      (e) => matchWithBindings(e, pattern, emptyBindings)._tag === "Some"
+    )
+    expect(HG.findByPatternWithBindings(hg, pattern).length).toBe(
+      expected.length
+    )
+    expect(expected.length).toBeGreaterThan(0)
+  })
+
+  it("does not use positions under unordered patterns", () => {
+    const small = HG.insertMany(HG.make(), [
+      parse("(says/Pd.so mary/Cp (is/Pd.{sc} sky/C blue/Ca))"),
+      parse("(says/Pd.so mary/Cp (is/Pd.{sc} blue/Ca sky/C))")
+    ])
+    const pattern = parse("(says/Pd.so * (is/Pd.{sc} sky/C blue/Ca))")
+    expect(found(small, pattern)).toEqual(scan(small, pattern))
+    expect(found(small, pattern).length).toBe(2)
+    expect(
+      HG.explain(small, pattern).lookups.some((l) => l.index.startsWith("byRootAt"))
+    ).toBe(false)
+  })
+
+  it("is maintained by remove", () => {
+    let next = hg
+    for (const e of edges) next = HG.remove(next, e)
+    expect(HashMap.size(next.byConnectorAt)).toBe(0)
+    expect(HashMap.size(next.byRootAt)).toBe(0)
+  })
+})
@@ -1,25 +1,51 @@
-import { describe, it, expect } from "vitest";
-import { hedgeFromString } from "../src/hg/parse.js";
-import { toStr } from "../src/hg/print.js";
-import { typeOf, mtypeOf, argrolesOf, normalized } from "../src/hg/ops.js";
+import { describe, expect, it } from "vitest"
+import { argrolesOf, mtypeOf, normalized, typeOf } from "../src/hg/ops.js"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
 
-const parse = (s: string) => hedgeFromString(s)!;
+const parse = (s: string) => hedgeFromString(s)!
 
 describe("hg ops", () => {
   it("type/mtype basic", () => {
-    const h = parse("(is/Pd.so graphbrain/Cp.s great/C)");
-    expect(typeOf(h)).toBe("Rd");
-    expect(mtypeOf(h)).toBe("R");
-  });
+    const h = parse("(is/Pd.so graphbrain/Cp.s great/C)")
+    expect(typeOf(h)).toBe("Rd")
+    expect(mtypeOf(h)).toBe("R")
+  })
 
   it("argroles detection", () => {
-    const h = parse("(is/Pd.sc mary/C blue/C)");
-    expect(argrolesOf(h)).toBe("sc");
-  });
+    const h = parse("(is/Pd.sc mary/C blue/C)")
+    expect(argrolesOf(h)).toBe("sc")
+  })
 
   it("normalized braces sort", () => {
-    const h = parse("(plays/Pd.{os} mary/C chess/C)");
-    const n = normalized(h);
-    expect(toStr(n)).toContain("{os}");
-  });
-});
+    const h = parse("(plays/Pd.{os} mary/C chess/C)")
+    const n = normalized(h)
+    expect(toStr(n)).toBe("(plays/Pd.{so} chess/C mary/C)")
+  })
+
+  it("normalized reorders arguments by argrole order", () => {
+    const a = parse("(is/Pd.{so} a/C b/C)")
+    const b = parse("(is/Pd.{os} b/C a/C)")
+    expect(toStr(normalized(a))).toBe(toStr(normalized(b)))
+
+    const ordered = parse("((not/M is/P.cs) sad/C (the/Md bob/Cp))")
+    expect(toStr(normalized(ordered))).toBe(
+      "((not/M is/P.sc) (the/Md bob/Cp) sad/C)"
+    )
+    // nested edges are normalized too; builders without argroles are kept
+    const nested = parse("(+/B/. (says/Pd.os x/C y/C) z/C)")
+    expect(toStr(normalized(nested))).toBe("(+/B/. (says/Pd.so y/C x/C) z/C)")
+  })
+
+  it("normalized sorts same-role arguments only when unordered", () => {
+    expect(toStr(normalized(parse("(and/J.{cc} b/C a/C)")))).toBe(
+      "(and/J.{cc} b/C a/C)"
+    )
+    expect(toStr(normalized(parse("(meet/Pd.{ss} bob/C alice/C)")))).toBe(
+      "(meet/Pd.{ss} alice/C bob/C)"
+    )
+    expect(toStr(normalized(parse("(meet/Pd.ss bob/C alice/C)")))).toBe(
+      "(meet/Pd.ss bob/C alice/C)"
+    )
+  })
+})
@@ -0,0 +1,76 @@
+import { Option } from "effect"
+import { describe, expect, it } from "vitest"
+import { atom } from "../src/hg/model.js"
+import {
+  argrolesOf,
+  checkCorrectness,
+  insertArgrole,
+  insertEdgeWithArgrole,
+  removeArgumentAt,
+  removeEdgesWithArgrole,
+  reorderArguments,
+  replaceArgroles,
+  replaceEdgeWithArgrole
+} from "../src/hg/ops.js"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+describe("hg argrole-addressed edits", () => {
+  it("insertArgrole and replaceArgroles reach modified predicates", () => {
+    const e = parse("((not/M likes/Pd.s) mary/C)")
+    expect(toStr(insertArgrole(e, "o", 1))).toBe(
+      "((not/M likes/Pd.so) mary/C)"
+    )
+    expect(toStr(replaceArgroles(e, "{s}"))).toBe(
+      "((not/M likes/Pd.{s}) mary/C)"
+    )
+  })
+
+  it("insertEdgeWithArgrole attaches a missing object", () => {
+    const e = parse("(likes/Pd.s mary/C)")
+    const res = insertEdgeWithArgrole(e, atom("chess/C"), "o")
+    expect(toStr(res)).toBe("(likes/Pd.so mary/C chess/C)")
+    expect(argrolesOf(res)).toBe("so")
+    expect(checkCorrectness(res)).toEqual([])
+
+    const front = insertEdgeWithArgrole(
+      parse("(gives/Pd.{io} flowers/C bob/C)"),
+      atom("mary/C"),
+      "s",
+      0
+    )
+    expect(toStr(front)).toBe("(gives/Pd.{sio} mary/C flowers/C bob/C)")
+  })
+
+  it("removes arguments by position and by role", () => {
+    const e = parse("(gives/Pd.sio mary/C bob/C flowers/C)")
+    expect(toStr(removeArgumentAt(e, 1))).toBe(
+      "(gives/Pd.so mary/C flowers/C)"
+    )
+    expect(toStr(removeArgumentAt(e, 5))).toBe(toStr(e))
+    expect(toStr(removeEdgesWithArgrole(e, "i"))).toBe(
+      "(gives/Pd.so mary/C flowers/C)"
+    )
+  })
+
+  it("replaces the argument playing a role", () => {
+    const e = parse("(and/Pd.ss alice/C bob/C)")
+    expect(toStr(replaceEdgeWithArgrole(e, "s", atom("carol/C"), 1))).toBe(
+      "(and/Pd.ss alice/C carol/C)"
+    )
+    expect(toStr(replaceEdgeWithArgrole(e, "o", atom("carol/C")))).toBe(
+      toStr(e)
+    )
+  })
+
+  it("reorders arguments to a permutation of the argroles", () => {
+    const e = parse("(gives/Pd.sio mary/C bob/C flowers/C)")
+    expect(Option.map(reorderArguments(e, "ois"), toStr)).toEqual(
+      Option.some("(gives/Pd.ois flowers/C bob/C mary/C)")
+    )
+    expect(Option.isNone(reorderArguments(e, "so"))).toBe(true)
+    expect(Option.isNone(reorderArguments(e, "sox"))).toBe(true)
+  })
+})
@@ -0,0 +1,67 @@
+import { Option } from "effect"
+import { describe, expect, it } from "vitest"
+import { atom } from "../src/hg/model.js"
+import { connectorAtom, innerAtom, label, mainConcepts, replaceMainConcept } from "../src/hg/ops.js"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+describe("hg labels and concepts", () => {
+  it("labels atoms with decoded roots", () => {
+    expect(label(atom("new%20york/Cp.s/en"))).toBe("new york")
+  })
+
+  it("labels edges following Graphbrain ordering", () => {
+    expect(label(parse("(+/B.am/. dr%2e/Cp smith/Cp)"))).toBe("dr. smith")
+    expect(label(parse("(of/Br.ma mayor/Cc berlin/Cp)"))).toBe(
+      "mayor of berlin"
+    )
+    expect(label(parse("(the/Md city/Cc)"))).toBe("the city")
+  })
+
+  it("finds inner and connector atoms", () => {
+    expect(toStr(innerAtom(parse("(red/M shoes/C)")))).toBe("shoes/C")
+    expect(toStr(innerAtom(parse("((and/J slow/M steady/M) go/P)")))).toBe(
+      "go/P"
+    )
+    const conn = connectorAtom(parse("(does/M (not/M like/P.so) john/C)"))
+    expect(Option.map(conn, toStr)).toEqual(Option.some("does/M"))
+    const nested = connectorAtom(parse("((not/M like/P.so) john/C chess/C)"))
+    expect(Option.map(nested, toStr)).toEqual(Option.some("like/P.so"))
+    // an atom connector is its own inner atom
+    const modified = connectorAtom(parse("(does/M (not/M like/P.so) john/C chess/C)"))
+    expect(Option.map(modified, toStr)).toEqual(Option.some("does/M"))
+    expect(Option.isNone(connectorAtom(atom("john/C")))).toBe(true)
+  })
+
+  it("main concepts of builder edges", () => {
+    const e = parse("('s/Bp.am zimbabwe/Cp economy/Cn.s)")
+    expect(mainConcepts(e).map((c) => toStr(c))).toEqual(["economy/Cn.s"])
+    expect(mainConcepts(parse("(is/Pd.sc mary/C blue/C)"))).toEqual([])
+    expect(mainConcepts(atom("mary/C"))).toEqual([])
+  })
+
+  it("replaces the main concept", () => {
+    const newMain = atom("growth/Cn.s")
+    const ma = replaceMainConcept(
+      parse("(of/Br.ma mayor/Cc berlin/Cp)"),
+      newMain
+    )
+    expect(Option.map(ma, toStr)).toEqual(
+      Option.some("(of/Br.ma growth/Cn.s berlin/Cp)")
+    )
+    const am = replaceMainConcept(
+      parse("('s/Bp.am zimbabwe/Cp economy/Cn.s)"),
+      newMain
+    )
+    expect(Option.map(am, toStr)).toEqual(
+      Option.some("('s/Bp.am zimbabwe/Cp growth/Cn.s)")
+    )
+    const mod = replaceMainConcept(parse("(the/Md city/Cc)"), newMain)
+    expect(Option.map(mod, toStr)).toEqual(Option.some("(the/Md growth/Cn.s)"))
+    expect(
+      Option.isNone(replaceMainConcept(parse("(is/Pd.sc a/C b/C)"), newMain))
+    ).toBe(true)
+  })
+})
@@ -0,0 +1,203 @@
+import { Chunk, Effect, Either, Option } from "effect"
+import * as Stream from "effect/Stream"
+import { describe, expect, it } from "vitest"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+import * as HG from "../src/memory/Hypergraph.js"
+import * as Snapshot from "../src/memory/Snapshot.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+const strs = (c: Chunk.Chunk<any>) => Chunk.toArray(c).map((e) => toStr(e))
+
+const texts = [
+  "(is/P.so sky/C blue/C)",
+  "(is/P.so grass/C green/C)",
+  "(likes/P.so mary/C john/C)",
+  "(is/P.so sea/C blue/C)",
+  "(is/P.so sun/C yellow/C)"
+]
+
+const sample = () => {
+  let hg = HG.make()
+  for (const t of texts) hg = HG.insert(hg, parse(t))
+  for (
+    const [t, score] of [
+      [texts[0]!, "10"],
+      [texts[1]!, "9"],
+      [texts[3]!, "unknown"],
+      [texts[4]!, "2.5"]
+    ] as const
+  ) {
+    hg = HG.setAttribute(hg, parse(t), "score", score)
+  }
+  return hg
+}
+
+const isEdges = texts.filter((t) => t.startsWith("(is"))
+
+describe("ordered queries and pages", () => {
+  it("orders by insertion, key or attribute", () => {
+    const hg = sample()
+    expect(strs(HG.findByConnector(hg, "is/P.so", {}))).toHaveLength(4)
+    expect(
+      strs(HG.findByConnector(hg, "is/P.so", { orderBy: "insertion" }))
+    ).toEqual(isEdges)
+    expect(strs(HG.findByConnector(hg, "is/P.so", { orderBy: "key" }))).toEqual(
+      [...isEdges].sort()
+    )
+    expect(
+      strs(HG.findByType(hg, "R", { orderBy: "key", descending: true }))
+    ).toEqual([...texts].sort().reverse())
+    // numbers in order, values that are not numbers and missing ones last
+    expect(
+      strs(
+        HG.findByPattern(hg, parse("(* * *)"), {
+          orderBy: { attribute: "score", numeric: true },
+          descending: true
+        })
+      )
+    ).toEqual([texts[0], texts[1], texts[4], texts[2], texts[3]])
+    // as strings, "10" < "2.5" < "9" < "unknown"
+    expect(
+      strs(
+        HG.findByPattern(hg, parse("(* * *)"), {
+          orderBy: { attribute: "score" }
+        })
+      )
+    ).toEqual([texts[0], texts[4], texts[1], texts[3], texts[2]])
+  })
+
+  it("applies offset and limit", () => {
+    const hg = sample()
+    const page = HG.findByPattern(hg, parse("(is/P.so * *)"), {
+      orderBy: "key",
+      offset: 1,
+      limit: 2
+    })
+    expect(strs(page)).toEqual([...isEdges].sort().slice(1, 3))
+    expect(
+      HG.findByConnector(hg, "is/P.so", { offset: 10 }).pipe(Chunk.size)
+    ).toBe(0)
+  })
+
+  it("pages through matches with cursors", () => {
+    let hg = sample()
+    const pattern = parse("(* * *)")
+    const seen: Array<string> = []
+    let options: HG.PageOptions = { orderBy: "key", limit: 2 }
+    for (;;) {
+      const page = HG.findByPattern(hg, pattern, options)
+      if (Chunk.isEmpty(page)) break
+      for (const text of strs(page)) seen.push(text)
+      const last = Chunk.unsafeLast(page)
+      const cursor = Option.getOrThrow(HG.cursorAfter(hg, last, options))
+      // the cursor survives the removal of the edge it was taken from
+      hg = HG.remove(hg, last)
+      const text = HG.encodeCursor(cursor)
+      options = { after: Either.getOrThrow(HG.decodeCursor(text)), limit: 2 }
+    }
+    expect(seen).toEqual([...texts].sort())
+    expect(Either.isLeft(HG.decodeCursor("not a cursor"))).toBe(true)
+    expect(
+      Option.isNone(HG.cursorAfter(hg, parse("(is/P.so moon/C white/C)")))
+    ).toBe(true)
+  })
+
+  it("keeps the order of cursors over the options", () => {
+    const hg = sample()
+    const cursor = Option.getOrThrow(
+      HG.cursorAfter(hg, parse(texts[0]!), { orderBy: "key" })
+    )
+    expect(
+      strs(
+        HG.findByConnector(hg, "is/P.so", {
+          after: cursor,
+          orderBy: "insertion",
+          descending: true
+        })
+      )
+    ).toEqual([...isEdges].sort().filter((t) => t > texts[0]!))
+  })
+
+  it("streams the same pages", async () => {
+    const hg = sample()
+    const options: HG.PageOptions = {
+      orderBy: "key",
+      descending: true,
+      limit: 3
+    }
+    const streamed = await Effect.runPromise(
+      Stream.runCollect(HG.streamByPattern(hg, parse("(* * *)"), options))
+    )
+    expect(strs(streamed)).toEqual(
+      strs(HG.findByPattern(hg, parse("(* * *)"), options))
+    )
+    const byConnector = await Effect.runPromise(
+      Stream.runCollect(
+        HG.streamByConnector(hg, "is/P.so", { orderBy: "insertion" })
+      )
+    )
+    expect(strs(byConnector)).toEqual(isEdges)
+  })
+
+  it("keeps the insertion order through a snapshot", () => {
+    const hg = Either.getOrThrow(Snapshot.decode(Snapshot.encode(sample())))
+    expect(
+      strs(HG.findByPattern(hg, parse("(* * *)"), { orderBy: "insertion" }))
+    ).toEqual(texts)
+  })
+
+  it("orders edges by when they were last stored", () => {
+    const first = parse(texts[0]!)
+    // retained attributes keep the id of the edge, not its place
+    let hg = HG.remove(sample(), first, { attributes: "retain" })
+    const cursor = Option.getOrThrow(HG.cursorAfter(hg, parse(texts[4]!)))
+    hg = HG.insert(hg, first)
+    const expected = [...texts.slice(1), texts[0]]
+    const pattern = parse("(* * *)")
+    expect(strs(HG.findByPattern(hg, pattern, { orderBy: "insertion" }))).toEqual(expected)
+
+    // cursors keep their place through a snapshot, and so do later inserts
+    const moon = "(is/P.so moon/C white/C)"
+    const decoded = Either.getOrThrow(Snapshot.decode(Snapshot.encode(hg)))
+    for (const g of [hg, decoded]) {
+      const next = HG.insert(g, parse(moon))
+      expect(strs(HG.findByPattern(next, pattern, { after: cursor }))).toEqual([texts[0], moon])
+    }
+  })
+
+  it("seeks from the cursor like a full sort", () => {
+    const inserted = Array.from(
+      { length: 40 },
+      (_, i) => `(${i % 8 === 0 ? "rare" : "is"}/P.so w${(i * 17) % 40}/C blue/C)`
+    )
+    let hg = HG.make()
+    for (const text of inserted) hg = HG.insert(hg, parse(text))
+    const listing = (pattern: string, options: HG.PageOptions) => {
+      const seen: Array<string> = []
+      let page = HG.findByPattern(hg, parse(pattern), options)
+      while (!Chunk.isEmpty(page)) {
+        for (const text of strs(page)) seen.push(text)
+        const after = Option.getOrThrow(HG.cursorAfter(hg, Chunk.unsafeLast(page), options))
+        page = HG.findByPattern(hg, parse(pattern), { after, limit: 3 })
+      }
+      return seen
+    }
+    // most edges match (walks the index) or few do (selects the matches)
+    for (const connector of ["is", "rare"]) {
+      const pattern = `(${connector}/P.so * *)`
+      const matching = inserted.filter((t) => t.startsWith(`(${connector}/`))
+      for (const orderBy of ["insertion", "key"] as const) {
+        for (const descending of [false, true]) {
+          const ordered = orderBy === "key" ? [...matching].sort() : matching
+          const all = descending ? [...ordered].reverse() : ordered
+          expect(strs(HG.findByPattern(hg, parse(pattern), { orderBy, descending }))).toEqual(all)
+          expect(listing(pattern, { orderBy, descending, limit: 3 })).toEqual(all)
+          expect(
+            strs(HG.findByPattern(hg, parse(pattern), { orderBy, descending, offset: 2, limit: 4 }))
+          ).toEqual(all.slice(2, 6))
+        }
+      }
+    }
+  })
+})
@@ -0,0 +1,61 @@
+import { Either } from "effect"
+import { describe, expect, it } from "vitest"
+import { hedgeFromString, hedgeFromStringStrict } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+import { decodeEdgeString, decodeEdgeStringEither, type ParseError } from "../src/hg/schema.js"
+
+const strictLeft = (s: string): ParseError => {
+  const res = hedgeFromStringStrict(s)
+  if (Either.isRight(res)) throw new Error(`expected failure for ${s}`)
+  return res.left
+}
+
+describe("hg strict parsing", () => {
+  it("agrees with hedgeFromString on well-formed input", () => {
+    for (
+      const s of [
+        "(is graphbrain/1 great/1)",
+        "(src graphbrain/2 (is graphbrain/1 great/1))",
+        "graphbrain/1",
+        "is graphbrain/1 great/1",
+        "(a)",
+        "((a b))",
+        "  (is/Pd.so\n mary/C (the/Md  cat/Cc))  "
+      ]
+    ) {
+      const strict = hedgeFromStringStrict(s)
+      expect(Either.isRight(strict)).toBe(true)
+      expect(toStr(Either.getOrThrow(strict))).toBe(toStr(hedgeFromString(s)!))
+    }
+  })
+
+  it("reports unclosed parentheses at end of input", () => {
+    const err = strictLeft("(is graphbrain/1 (great/1)")
+    expect(err._tag).toBe("ParseError")
+    expect(err.offset).toBe(26)
+    expect(err.expected).toBe("')'")
+    expect(err.found).toBe("end of input")
+  })
+
+  it("reports unbalanced closing parentheses", () => {
+    const err = strictLeft("(is graphbrain/1) great/1)")
+    expect(err.offset).toBe(25)
+    expect(err.found).toBe("\")\"")
+    expect(err.snippet).toContain("^")
+  })
+
+  it("rejects empty input, empty edges and glued tokens", () => {
+    expect(strictLeft("   ").found).toBe("end of input")
+    expect(strictLeft("(is ())").offset).toBe(5)
+    expect(strictLeft("(is a(b c))").offset).toBe(5)
+    expect(strictLeft("(is (a b)c)").offset).toBe(9)
+  })
+
+  it("EdgeStringSchema reports parse issues", () => {
+    expect(() => decodeEdgeString("(is graphbrain/1")).toThrow(
+      /expected '\)' but found end of input at offset 16/
+    )
+    const res = decodeEdgeStringEither("(is graphbrain/1 great/1)")
+    expect(Either.isRight(res)).toBe(true)
+  })
+})
@@ -0,0 +1,70 @@
+import { Option, pipe } from "effect"
+import { describe, expect, it } from "vitest"
+import { atom, isAtom } from "../src/hg/model.js"
+import { atomMType, replaceArgrolesAt } from "../src/hg/ops.js"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { atArgument, atConnector, compose, getAt, modifyAt, pathsOf, setAt } from "../src/hg/path.js"
+import { toStr } from "../src/hg/print.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+describe("hg paths and optics", () => {
+  const e = parse("(says/Pd.sr mary/Cp (is/Pd.cs (the/Md sky/Cc) blue/Ca))")
+
+  it("gets subedges by path", () => {
+    expect(Option.map(getAt(e, [2, 1, 1]), toStr)).toEqual(
+      Option.some("sky/Cc")
+    )
+    expect(Option.map(getAt(e, []), toStr)).toEqual(Option.some(toStr(e)))
+    expect(Option.isNone(getAt(e, [1, 0]))).toBe(true)
+    expect(Option.isNone(getAt(e, [7]))).toBe(true)
+    expect(pipe(e, getAt([0]), Option.map(toStr))).toEqual(
+      Option.some("says/Pd.sr")
+    )
+  })
+
+  it("sets and modifies without touching other subedges", () => {
+    const res = setAt(e, [2, 1, 1], atom("sea/Cc"))
+    expect(toStr(res)).toBe(
+      "(says/Pd.sr mary/Cp (is/Pd.cs (the/Md sea/Cc) blue/Ca))"
+    )
+    expect(setAt(e, [1, 3], atom("x/C"))).toBe(e)
+    const upper = modifyAt(e, [1], (sub) => isAtom(sub) ? atom(sub.text.toUpperCase()) : sub)
+    expect(toStr(upper)).toContain("MARY/CP")
+  })
+
+  it("finds paths by predicate", () => {
+    const preds = pathsOf(e, (sub) => isAtom(sub) && atomMType(sub) === "P")
+    expect(preds).toEqual([[0], [2, 0]])
+  })
+
+  it("composes optionals", () => {
+    const skyOptic = compose(
+      atArgument(1),
+      compose(atArgument(0), atArgument(0))
+    )
+    expect(skyOptic.path).toEqual([2, 1, 1])
+    expect(Option.map(skyOptic.getOption(e), toStr)).toEqual(
+      Option.some("sky/Cc")
+    )
+    const renamed = pipe(atArgument(1), compose(atConnector)).replace(
+      e,
+      atom("was/Pd.cs")
+    )
+    expect(toStr(renamed)).toBe(
+      "(says/Pd.sr mary/Cp (was/Pd.cs (the/Md sky/Cc) blue/Ca))"
+    )
+  })
+
+  it("fixes one nested predicate's argroles in one call", () => {
+    expect(toStr(replaceArgrolesAt(e, [2], "sc"))).toBe(
+      "(says/Pd.sr mary/Cp (is/Pd.sc (the/Md sky/Cc) blue/Ca))"
+    )
+    const negated = parse(
+      "(says/Pd.sr mary/Cp ((not/M is/Pd.cs) sky/Cc blue/Ca))"
+    )
+    expect(toStr(replaceArgrolesAt(negated, [2], "{sc}"))).toBe(
+      "(says/Pd.sr mary/Cp ((not/M is/Pd.{sc}) sky/Cc blue/Ca))"
+    )
+  })
+})
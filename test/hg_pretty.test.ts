@@ -1,16 +1,64 @@
-import { describe, it, expect } from "vitest";
-import { atom, hedge } from "../src/hg/model.js";
-import { prettyPrint } from "../src/hg/pretty.js";
+import { describe, expect, it } from "vitest"
+import { atom, hedge } from "../src/hg/model.js"
+import { prettyPrint, prettyPrintAnsi, prettyPrintHtml } from "../src/hg/pretty.js"
+
+// ANSI color sequences; built from a string to keep control characters out of regex literals
+const ansiColor = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*m`, "g")
+const stripAnsi = (text: string) => text.replace(ansiColor, "")
 
 describe("hg pretty", () => {
   it("prints multi-line indented hyperedge", () => {
     const e = hedge([
       atom("+/B/."),
       hedge([atom("plays/Pd.{so}"), atom("mary/C")]) as any,
-      atom("chess/C"),
-    ] as any);
-    const s = prettyPrint(e, { width: 20, indent: 2 });
-    expect(typeof s).toBe("string");
-    expect(s.includes("(+/B/."));
-  });
-});
+      atom("chess/C")
+    ] as any)
+    const s = prettyPrint(e, { width: 20, indent: 2 })
+    expect(typeof s).toBe("string")
+    expect(s.includes("(+/B/."))
+  })
+})
+
+describe("hg pretty annotated", () => {
+  const e = hedge([
+    atom("plays/Pd.so/en"),
+    atom("mary/Cp/en"),
+    hedge([atom("the/Md"), atom("game/Cc/en")])
+  ])
+
+  it("tags atoms by main type", () => {
+    const ansi = prettyPrintAnsi(e)
+    expect(ansi).toContain("\u001b[31mplays/Pd.so/en\u001b[0m")
+    expect(ansi).toContain("\u001b[34mmary/Cp/en\u001b[0m")
+    expect(ansi).toContain("\u001b[32mthe/Md\u001b[0m")
+    expect(stripAnsi(ansi)).toBe(prettyPrint(e))
+  })
+
+  it("accepts custom colors", () => {
+    const ansi = prettyPrintAnsi(e, { colors: { C: "1;34" } })
+    expect(ansi).toContain("\u001b[1;34mmary/Cp/en\u001b[0m")
+  })
+
+  it("renders html spans with type classes", () => {
+    const html = prettyPrintHtml(hedge([atom("is/Pd.sc"), atom("a<b/C")]))
+    expect(html).toBe(
+      "<pre class=\"hg-edge\">(<span class=\"hg-atom hg-P\" title=\"is/Pd.sc\">is/Pd.sc</span> " +
+        "<span class=\"hg-atom hg-C\" title=\"a&lt;b/C\">a&lt;b/C</span>)</pre>"
+    )
+  })
+
+  it("keeps layout when breaking lines", () => {
+    const ansi = prettyPrintAnsi(e, { width: 20 })
+    expect(stripAnsi(ansi)).toBe(
+      prettyPrint(e, { width: 20 })
+    )
+    expect(ansi).toContain("\n")
+  })
+
+  it("prints roots only or hides namespaces", () => {
+    expect(prettyPrint(e, { rootsOnly: true })).toBe("(plays mary (the game))")
+    expect(prettyPrint(e, { namespaces: false })).toBe(
+      "(plays/Pd.so mary/Cp (the/Md game/Cc))"
+    )
+  })
+})
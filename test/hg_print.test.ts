@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toDot, toJson, toJsonTree, toOutline, toStr } from "../src/hg/print.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+describe("hg print", () => {
+  const e = parse("(plays/Pd.so/en mary/Cp/en (the/Md game/Cc))")
+
+  it("prints roots only", () => {
+    expect(toStr(e, { rootsOnly: true })).toBe("(plays mary (the game))")
+    expect(toStr(e)).toBe("(plays/Pd.so/en mary/Cp/en (the/Md game/Cc))")
+  })
+
+  it("builds a JSON tree with parsed atom parts", () => {
+    const tree = toJsonTree(e)
+    expect(tree.kind).toBe("hedge")
+    if (tree.kind !== "hedge") return
+    const [conn] = tree.items
+    expect(conn).toEqual({
+      kind: "atom",
+      text: "plays/Pd.so/en",
+      parens: false,
+      parts: {
+        root: "plays",
+        mainType: "P",
+        subtype: "d",
+        argroles: "so",
+        unordered: false,
+        namespace: "en",
+        extra: []
+      }
+    })
+    expect(JSON.parse(toJson(e))).toEqual(tree)
+  })
+
+  it("renders a DOT tree", () => {
+    const dot = toDot(e, { name: "s1" })
+    expect(dot.startsWith("digraph \"s1\" {")).toBe(true)
+    expect(dot).toContain("n1 [shape=box, label=\"plays/Pd.so/en\"];")
+    expect(dot).toContain("n0 -> n1 [label=\"0\", style=bold];")
+    expect(dot).toContain("n0 -> n3 [label=\"2\"];")
+    expect(dot).toContain("n3 -> n5 [label=\"1\"];")
+    expect(toDot(parse("(says/Pd \"hi\"/C)"))).toContain("label=\"\\\"hi\\\"/C\"")
+  })
+
+  it("renders an indented outline", () => {
+    expect(toOutline(e)).toBe(
+      ["plays/Pd.so/en", "  mary/Cp/en", "  the/Md", "    game/Cc"].join("\n")
+    )
+    expect(toOutline(parse("((not/M is/P) x/C)"), { rootsOnly: true })).toBe(
+      "(not is)\n  x"
+    )
+  })
+})
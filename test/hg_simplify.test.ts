@@ -0,0 +1,70 @@
+import { Chunk, Option } from "effect"
+import { describe, expect, it } from "vitest"
+import { atom } from "../src/hg/model.js"
+import { simplify } from "../src/hg/ops.js"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+import * as HG from "../src/memory/Hypergraph.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+describe("hg simplify", () => {
+  it("simplifies atoms with Graphbrain defaults", () => {
+    expect(toStr(simplify(atom("works/Pd.so/en")))).toBe("works/P/en")
+    expect(toStr(simplify(atom("works/Pd.so/en"), { subtypes: true }))).toBe(
+      "works/Pd/en"
+    )
+    expect(toStr(simplify(atom("works/Pd.so/en"), { argroles: true }))).toBe(
+      "works/P.so/en"
+    )
+    expect(toStr(simplify(atom("works/Pd.so/en"), { namespaces: false }))).toBe(
+      "works/P"
+    )
+    expect(toStr(simplify(atom("is")))).toBe("is")
+  })
+
+  it("keeps argroles only on predicates and builders", () => {
+    expect(toStr(simplify(atom("of/Br.ma"), { argroles: true }))).toBe(
+      "of/B.ma"
+    )
+    expect(toStr(simplify(atom("mary/Cp.s"), { argroles: true }))).toBe(
+      "mary/C"
+    )
+    expect(
+      toStr(simplify(atom("hear/Pd.{os}"), { argroles: true, subtypes: true }))
+    ).toBe("hear/Pd.{os}")
+  })
+
+  it("simplifies edges recursively", () => {
+    const e = parse("(works/Pd.so/en (the/Md/en man/Cc.s/en) hard/Ma)")
+    expect(toStr(simplify(e, { namespaces: false }))).toBe(
+      "(works/P (the/M man/C) hard/M)"
+    )
+  })
+
+  it("toStr can render the simplified form", () => {
+    const e = parse("(works/Pd.so/en mary/Cp.s/en)")
+    expect(toStr(e, { simplify: { namespaces: false } })).toBe(
+      "(works/P mary/C)"
+    )
+  })
+
+  it("Hypergraph lookups by simplified form", () => {
+    let hg = HG.make()
+    const e1 = parse("(works/Pd.so/en mary/Cp.s/en)")
+    const e2 = parse("(works/Pd.so/fr mary/Cp.s/fr)")
+    const e3 = parse("(plays/Pd.so/en mary/Cp.s/en)")
+    hg = HG.insert(hg, e1)
+    hg = HG.insert(hg, e2)
+    hg = HG.insert(hg, e3)
+
+    const query = parse("(works/P mary/C)")
+    expect(Option.isNone(HG.get(hg, query))).toBe(true)
+    const found = HG.get(hg, query, { simplify: { namespaces: false } })
+    expect(Option.isSome(found)).toBe(true)
+    expect(
+      Chunk.size(HG.findSimplified(hg, query, { namespaces: false }))
+    ).toBe(2)
+    expect(Chunk.size(HG.findSimplified(hg, query))).toBe(0)
+  })
+})
@@ -0,0 +1,119 @@
+import { NodeFileSystem } from "@effect/platform-node"
+import { Effect, Either, HashMap, HashSet } from "effect"
+import { mkdtempSync } from "node:fs"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { describe, expect, it } from "vitest"
+import { atom, hedge } from "../src/hg/model.js"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+import * as HG from "../src/memory/Hypergraph.js"
+import * as Snapshot from "../src/memory/Snapshot.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+const sample = () => {
+  const e1 = parse("(plays/Pd.so mary/C chess/C)")
+  let hg = HG.insertMany(HG.make(), [
+    e1,
+    parse("(is/Pd.sc (the/Md sky/C) blue/C)"),
+    parse("(says/Pd.sr mary/C (plays/Pd.so mary/C chess/C))"),
+    hedge([atom("+/B/."), atom("café/C"), atom("x/C", true)])
+  ])
+  hg = HG.setAttribute(hg, e1, "count", "3")
+  hg = HG.setAttribute(hg, e1, "note", "ünïcode")
+  return hg
+}
+
+const keys = (hg: HG.Hypergraph) =>
+  HG.values(hg)
+    .map((e) => toStr(e))
+    .sort()
+
+describe("binary snapshot", () => {
+  it("round-trips edges, attributes and indexes", () => {
+    const hg = sample()
+    const decoded = Either.getOrThrow(Snapshot.decode(Snapshot.encode(hg)))
+    expect(keys(decoded)).toEqual(keys(hg))
+    const e1 = parse("(plays/Pd.so mary/C chess/C)")
+    expect(HG.getStrAttribute(decoded, e1, "count")).toBe("3")
+    expect(HG.getStrAttribute(decoded, e1, "note")).toBe("ünïcode")
+    expect(HG.degree(decoded, "mary")).toBe(HG.degree(hg, "mary"))
+    for (const index of ["byConnector", "byRoot", "byArity"] as const) {
+      const a = HashMap.map(hg[index], HashSet.size)
+      const b = HashMap.map(decoded[index], HashSet.size)
+      expect(HashMap.size(b)).toBe(HashMap.size(a))
+      for (const [k, n] of a) expect(HashMap.unsafeGet(b, k)).toBe(n)
+    }
+  })
+
+  it("round-trips attributes of edges that are not stored", () => {
+    const e1 = parse("(plays/Pd.so mary/C chess/C)")
+    const doc = parse("(is/Pd.sc doc1/C draft/C)")
+    let hg = HG.setAttribute(sample(), doc, "title", "doc1")
+    hg = HG.remove(hg, e1, { attributes: "retain" })
+    const decoded = Either.getOrThrow(Snapshot.decode(Snapshot.encode(hg)))
+    expect(HG.has(decoded, e1)).toBe(false)
+    expect(HG.has(decoded, doc)).toBe(false)
+    expect(HG.getStrAttribute(decoded, e1, "count")).toBe("3")
+    expect(HG.getStrAttribute(decoded, doc, "title")).toBe("doc1")
+    expect(HashMap.size(decoded.attrs)).toBe(HashMap.size(hg.attrs))
+    // retained attributes come back with the edge
+    expect(HG.getStrAttribute(HG.insert(decoded, e1), e1, "note")).toBe("ünïcode")
+  })
+
+  it("matches insertMany with one-by-one inserts", () => {
+    const edges = HG.values(sample())
+    let one = HG.make()
+    for (const e of edges) one = HG.insert(one, e)
+    const many = HG.insertMany(HG.make(), edges)
+    expect(keys(many)).toEqual(keys(one))
+    expect(HG.degree(many, "mary")).toBe(HG.degree(one, "mary"))
+  })
+
+  it("rejects corrupt or foreign data", () => {
+    const bytes = Snapshot.encode(sample())
+    const flipped = bytes.slice()
+    flipped[bytes.length - 1] ^= 0xff
+    const bad = Snapshot.decode(flipped)
+    expect(Either.isLeft(bad) && bad.left.message).toBe("checksum mismatch")
+    const future = bytes.slice()
+    future[4] = 99
+    expect(Either.isLeft(Snapshot.decode(future))).toBe(true)
+    // only the current layout is read
+    expect(bytes[4]).toBe(Snapshot.SNAPSHOT_VERSION)
+    const other = bytes.slice()
+    other[4] = Snapshot.SNAPSHOT_VERSION + 1
+    const unsupported = Snapshot.decode(other)
+    expect(Either.isLeft(unsupported) && unsupported.left.message).toBe(
+      `unsupported snapshot version ${Snapshot.SNAPSHOT_VERSION + 1}`
+    )
+    const foreign = Snapshot.decode(new TextEncoder().encode("(a/C b/C)..."))
+    expect(Either.isLeft(foreign) && foreign.left._tag).toBe("SnapshotError")
+    expect(Either.isLeft(Snapshot.decode(bytes.slice(0, 20)))).toBe(true)
+  })
+
+  it("writes and reads snapshot files", async () => {
+    const path = join(mkdtempSync(join(tmpdir(), "hg-snap-")), "g.whgs")
+    const hg = sample()
+    const loaded = await Effect.runPromise(
+      Effect.zipRight(
+        Snapshot.writeSnapshot(hg, path),
+        Snapshot.readSnapshot(path)
+      ).pipe(Effect.provide(NodeFileSystem.layer))
+    )
+    expect(keys(loaded)).toEqual(keys(hg))
+  })
+})
+
+describe("binary snapshot primary flags", () => {
+  it("keeps non-primary subedges non-primary", () => {
+    const e = parse("(says/Pd.sr mary/C (plays/Pd.so mary/C chess/C))")
+    const hg = HG.insert(HG.make(), e, { recursive: true })
+    const decoded = Either.getOrThrow(Snapshot.decode(Snapshot.encode(hg)))
+    expect(HG.isPrimary(decoded, e)).toBe(true)
+    expect(HG.isPrimary(decoded, parse("(plays/Pd.so mary/C chess/C)"))).toBe(
+      false
+    )
+  })
+})
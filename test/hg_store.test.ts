@@ -0,0 +1,117 @@
+import { NodeFileSystem } from "@effect/platform-node"
+import { Chunk, Effect, Layer, Option } from "effect"
+import * as Stream from "effect/Stream"
+import { mkdtempSync } from "node:fs"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { describe, expect, it } from "vitest"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+import * as HG from "../src/memory/Hypergraph.js"
+import * as Store from "../src/memory/HypergraphStore.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+const e1 = parse("(plays/Pd.so mary/C chess/C)")
+const e2 = parse("(plays/Pd.so john/C chess/C)")
+const e3 = parse("(is/Pd.sc sky/C blue/C)")
+
+// Application code depends only on the service
+const program = Effect.gen(function*() {
+  const store = yield* Store.HypergraphStore
+  yield* store.insert(e1)
+  yield* store.insert(e2)
+  yield* store.insert(e3)
+  const before = yield* store.snapshot
+  yield* store.remove(e3)
+  yield* store.setAttribute(e1, "count", "4")
+  return {
+    size: yield* store.size,
+    sizeBefore: HG.size(before),
+    has3: Option.isSome(yield* store.get(e3)),
+    count: yield* store.getStrAttribute(e1, "count"),
+    matches: Chunk.size(
+      yield* store.findByPattern(parse("(plays/Pd.so * chess/C)"))
+    ),
+    streamed: Chunk.size(yield* Stream.runCollect(store.streamAll))
+  }
+})
+
+const expected = {
+  size: 2,
+  sizeBefore: 3,
+  has3: false,
+  count: Option.some("4"),
+  matches: 2,
+  streamed: 2
+}
+
+const backends: ReadonlyArray<
+  readonly [string, () => Layer.Layer<Store.HypergraphStore, unknown>]
+> = [
+  ["immutable", () => Store.layer()],
+  ["mutable", () => Store.layerMutable()],
+  [
+    "file",
+    () =>
+      Store.layerFile(mkdtempSync(join(tmpdir(), "hg-store-"))).pipe(
+        Layer.provide(NodeFileSystem.layer)
+      )
+  ]
+]
+
+describe("HypergraphStore", () => {
+  for (const [name, makeLayer] of backends) {
+    it(`behaves the same with the ${name} backend`, async () => {
+      const result = await Effect.runPromise(
+        program.pipe(Effect.provide(makeLayer()))
+      )
+      expect(result).toEqual(expected)
+    })
+  }
+
+  for (const [name, makeLayer] of backends) {
+    it(`rejects edges it cannot store with the ${name} backend`, async () => {
+      const result = await Effect.runPromise(
+        Effect.gen(function*() {
+          const store = yield* Store.HypergraphStore
+          const error = yield* Effect.flip(store.insert(parse("(mary/C plays/P)")))
+          yield* store.insert(e1)
+          yield* store.insert(e3)
+          return [error._tag, HG.values(yield* store.snapshot).map((e) => toStr(e)).sort()]
+        }).pipe(Effect.provide(makeLayer()))
+      )
+      expect(result).toEqual(["StoreError", [toStr(e1), toStr(e3)].sort()])
+    })
+  }
+
+  it("keeps mutable snapshots stable across later writes", async () => {
+    const sizes = await Effect.runPromise(
+      Effect.gen(function*() {
+        const store = yield* Store.makeMutable()
+        yield* store.insert(e1)
+        const first = yield* store.snapshot
+        yield* store.insert(e2)
+        yield* store.insert(e3)
+        return [HG.size(first), yield* store.size]
+      })
+    )
+    expect(sizes).toEqual([1, 3])
+  })
+
+  it("persists file-backed data across layers", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "hg-store-"))
+    const fileLayer = () => Store.layerFile(dir).pipe(Layer.provide(NodeFileSystem.layer))
+    await Effect.runPromise(
+      Effect.flatMap(Store.HypergraphStore, (s) => s.insert(e1)).pipe(
+        Effect.provide(fileLayer())
+      )
+    )
+    const size = await Effect.runPromise(
+      Effect.flatMap(Store.HypergraphStore, (s) => s.size).pipe(
+        Effect.provide(fileLayer())
+      )
+    )
+    expect(size).toBe(1)
+  })
+})
@@ -0,0 +1,111 @@
+import { Chunk, Effect, Either, Equal, HashMap, Option } from "effect"
+import { describe, expect, it } from "vitest"
+import { atom } from "../src/hg/model.js"
+import { hedgeFromString } from "../src/hg/parse.js"
+import { toStr } from "../src/hg/print.js"
+import * as Batch from "../src/memory/Batch.js"
+import * as HG from "../src/memory/Hypergraph.js"
+import * as Store from "../src/memory/HypergraphStore.js"
+
+const parse = (s: string) => hedgeFromString(s)!
+
+const plays = parse("(plays/Pd.so ?x ?y)")
+const a = parse("(plays/Pd.so mary/C chess/C)")
+const b = parse("(plays/Pd.so john/C chess/C)")
+const c = parse("(plays/Pd.so mary/C go/C)")
+const d = parse("(is/Pd.sc sky/C blue/C)")
+
+// results as "edge ?x=... ?y=..." strings
+const show = (results: Chunk.Chunk<HG.EdgeWithBindings>) =>
+  Chunk.toArray(results)
+    .map(
+      ({ bindings, edge }) =>
+        `${toStr(edge)} ${
+          Array.from(HashMap.entries(bindings))
+            .map(([k, v]) => `${k}=${toStr(v)}`)
+            .sort()
+            .join(" ")
+        }`
+    )
+    .sort()
+
+describe("pattern views", () => {
+  it("starts from the stored edges", () => {
+    const hg = HG.declareView(HG.insertMany(HG.make(), [a, b, d]), "p", plays)
+    expect(show(HG.viewResults(hg, "p"))).toEqual(
+      show(HG.findByPatternWithBindings(hg, plays))
+    )
+    expect(HG.viewCount(hg, "p")).toBe(2)
+    expect(HG.viewGroupCount(hg, "p", "?y", atom("chess/C"))).toBe(2)
+    expect(HG.viewCount(hg, "missing")).toBe(0)
+  })
+
+  it("is updated by insert and remove", () => {
+    let hg = HG.declareView(HG.make(), "p", plays)
+    hg = HG.insertMany(hg, [a, b, c, d])
+    hg = HG.insert(hg, a)
+    expect(HG.viewCount(hg, "p")).toBe(3)
+    expect(
+      Equal.equals(
+        HG.viewGroups(hg, "p", "?x"),
+        HashMap.make(["mary/C", 2], ["john/C", 1])
+      )
+    ).toBe(true)
+
+    hg = HG.remove(hg, a)
+    expect(HG.viewCount(hg, "p")).toBe(2)
+    expect(HG.viewGroupCount(hg, "p", "?x", atom("mary/C"))).toBe(1)
+    expect(HG.viewGroupCount(hg, "p", "?y", atom("chess/C"))).toBe(1)
+    hg = HG.remove(hg, b)
+    expect(HashMap.has(HG.viewGroups(hg, "p", "?x"), "john/C")).toBe(false)
+    expect(show(HG.viewResults(hg, "p"))).toEqual(
+      show(HG.findByPatternWithBindings(hg, plays))
+    )
+
+    hg = HG.dropView(hg, "p")
+    expect(Option.isNone(HG.getView(hg, "p"))).toBe(true)
+  })
+
+  it("follows recursive inserts and removals of subedges", () => {
+    const says = parse("(says/Pd.so john/C (plays/Pd.so mary/C go/C))")
+    let hg = HG.declareView(HG.make(), "p", plays)
+    hg = HG.insert(hg, says, { recursive: true })
+    expect(show(HG.viewResults(hg, "p"))).toEqual([
+      `${toStr(c)} ?x=mary/C ?y=go/C`
+    ])
+    hg = HG.remove(hg, says, { recursive: true })
+    expect(HG.viewCount(hg, "p")).toBe(0)
+    expect(HashMap.size(HG.viewGroups(hg, "p", "?x"))).toBe(0)
+  })
+
+  it("is maintained by batches without touching the input", () => {
+    const initial = HG.declareView(HG.insert(HG.make(), a), "p", plays)
+    const result = Either.getOrThrow(
+      Batch.apply(initial, [b, c, d, { op: "remove", edge: a }])
+    )
+    expect(HG.viewCount(result.hypergraph, "p")).toBe(2)
+    expect(HG.viewCount(initial, "p")).toBe(1)
+  })
+
+  it("can be declared on a store", async () => {
+    const program = Effect.gen(function*() {
+      const store = yield* Store.HypergraphStore
+      yield* store.insert(a)
+      yield* store.declareView("p", plays)
+      yield* store.insert(b)
+      yield* store.remove(a)
+      yield* store.insert(c)
+      const hg = yield* store.snapshot
+      return [
+        HG.viewCount(hg, "p"),
+        HG.viewGroupCount(hg, "p", "?x", atom("mary/C"))
+      ]
+    })
+    for (const layer of [Store.layer(), Store.layerMutable()]) {
+      expect(await Effect.runPromise(Effect.provide(program, layer))).toEqual([
+        2,
+        1
+      ])
+    }
+  })
+})